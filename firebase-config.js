@@ -10,6 +10,17 @@ const firebaseConfig = {
     appId: "1:836553253045:web:e93f536adf7afbbced5efc"
 };
 
+// Sign-in options. Staff sign in with a link emailed to them (turn on "Email link" under Firebase
+// Authentication → Sign-in method). For district single sign-on, set ssoProviderId to the SAML or OIDC
+// provider configured there, e.g. 'saml.district' or 'oidc.district'.
+// On localhost the app uses the Firebase emulators (firebase emulators:start) instead of the live project.
+const authSettings = {
+    emailLink: true,
+    ssoProviderId: null,
+    ssoLabel: 'Sign in with district account',
+    useEmulators: ['localhost', '127.0.0.1'].includes(window.location.hostname)
+};
+
 // Initialize Firebase (only if Firebase scripts are loaded)
 let db = null;
 
@@ -19,20 +30,23 @@ async function initializeFirebaseIfReady() {
             console.log('Initializing Firebase for Bus Student Tracker...');
             firebase.initializeApp(firebaseConfig);
             db = firebase.firestore();
-            
-            // Authenticate with anonymous auth (required for Firestore security rules)
             const auth = firebase.auth();
-            try {
-                const userCredential = await auth.signInAnonymously();
-                console.log('Authenticated anonymously:', userCredential.user.uid);
-            } catch (authError) {
-                console.error('Error authenticating:', authError);
-                const currentUser = auth.currentUser;
-                if (!currentUser) {
-                    console.warn('Could not authenticate with Firebase. Some features may not work.');
-                }
+            if (authSettings.useEmulators) {
+                auth.useEmulator('http://127.0.0.1:9099');
+                db.useEmulator('127.0.0.1', 8080);
+                console.log('Using the Firebase Auth and Firestore emulators');
             }
             
+            // Wait until Auth has restored any saved session, so the app knows whether someone is signed in
+            await new Promise(resolve => {
+                const unsubscribe = auth.onAuthStateChanged(() => {
+                    unsubscribe();
+                    resolve();
+                });
+            });
+            
+            window.firebaseAuth = auth;
+            window.firebaseAuthSettings = authSettings;
             // Expose db on window for app to access
             window.db = db;
             console.log('Firebase initialized successfully, db:', db);
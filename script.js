@@ -3,75 +3,269 @@
 // Bump APP_VERSION when you deploy; also update service-worker.js and manifest.json
 const APP_VERSION = '1.0.10';
 
+// Student fields the roster importer can fill, with column headers commonly used by SIS exports
+const ROSTER_IMPORT_FIELDS = [
+    { key: 'studentNumber', label: 'Student ID', aliases: ['student id', 'student number', 'student no', 'id', 'local id', 'sis id', 'state id', 'student id number'] },
+    { key: 'fullName', label: 'Full Name (split into first/last)', aliases: ['student name', 'name', 'student', 'full name', 'student full name'] },
+    { key: 'firstName', label: 'First Name', aliases: ['first name', 'first', 'firstname', 'given name', 'student first name'] },
+    { key: 'lastName', label: 'Last Name', aliases: ['last name', 'last', 'lastname', 'surname', 'family name', 'student last name'] },
+    { key: 'grade', label: 'Grade', aliases: ['grade', 'grade level', 'gr', 'grd', 'current grade'] },
+    { key: 'busAM', label: 'AM Bus', aliases: ['am bus', 'bus am', 'morning bus', 'am route', 'pickup bus', 'to school bus'] },
+    { key: 'busPM', label: 'PM Bus', aliases: ['pm bus', 'bus pm', 'afternoon bus', 'pm route', 'dropoff bus', 'from school bus'] },
+    { key: 'address', label: 'Physical Address', aliases: ['address', 'physical address', 'home address', 'street address', 'residence address', 'mailing address'] },
+    { key: 'dropoffAddress', label: 'Drop-off Address', aliases: ['dropoff address', 'drop off address', 'alternate address', 'pm address', 'daycare address'] },
+    { key: 'parentName', label: 'Parent/Guardian Name', aliases: ['parent', 'parent name', 'guardian', 'guardian name', 'parent guardian', 'parent guardian name', 'contact name'] },
+    { key: 'homePhone', label: 'Home Phone', aliases: ['home phone', 'phone', 'home', 'primary phone', 'telephone'] },
+    { key: 'cellPhone', label: 'Cell Phone', aliases: ['cell phone', 'cell', 'mobile', 'mobile phone', 'parent cell'] },
+    { key: 'workPhone', label: 'Work Phone', aliases: ['work phone', 'work', 'business phone', 'parent work'] },
+    { key: 'emergencyContact', label: 'Emergency Contact', aliases: ['emergency contact', 'emergency', 'emergency phone', 'emergency contact name'] },
+    { key: 'otherInfo', label: 'Other Info', aliases: ['other info', 'notes', 'comments', 'medical', 'other', 'alerts'] }
+];
+
+// Route stop fields the route importer can fill. Pasted rows without a header row are read in this order,
+// which is the route table's column order.
+const ROUTE_IMPORT_FIELDS = [
+    { key: 'action', label: 'Action', aliases: ['action', 'turn', 'instruction', 'maneuver'] },
+    { key: 'direction', label: 'Direction', aliases: ['direction', 'dir', 'heading'] },
+    { key: 'streetAddress', label: 'Street Address', aliases: ['street address', 'address', 'stop address', 'location', 'street'] },
+    { key: 'student', label: 'Student', aliases: ['student', 'students', 'student name', 'name', 'rider', 'riders'] },
+    { key: 'roadside', label: 'Roadside', aliases: ['roadside', 'side', 'side of road', 'pickup side'] },
+    { key: 'time', label: 'Time', aliases: ['time', 'stop time', 'scheduled time', 'pickup time', 'dropoff time', 'drop off time', 'eta'] }
+];
+
+// USPS street suffix and directional abbreviations (Publication 28), so "123 North Main Street" and
+// "123 N Main St." compare equal
+const ADDRESS_ABBREVIATIONS = {
+    north: 'n', south: 's', east: 'e', west: 'w', northeast: 'ne', northwest: 'nw', southeast: 'se', southwest: 'sw',
+    alley: 'aly', avenue: 'ave', av: 'ave', bend: 'bnd', boulevard: 'blvd', bypass: 'byp', causeway: 'cswy', center: 'ctr',
+    circle: 'cir', court: 'ct', cove: 'cv', creek: 'crk', crossing: 'xing', drive: 'dr', estates: 'est', expressway: 'expy',
+    extension: 'ext', freeway: 'fwy', grove: 'grv', harbor: 'hbr', heights: 'hts', highway: 'hwy', hollow: 'holw',
+    junction: 'jct', landing: 'lndg', lane: 'ln', meadows: 'mdws', mount: 'mt', mountain: 'mtn', parkway: 'pkwy',
+    place: 'pl', plaza: 'plz', point: 'pt', ridge: 'rdg', road: 'rd', route: 'rte', saint: 'st', square: 'sq',
+    station: 'sta', street: 'st', str: 'st', terrace: 'ter', trail: 'trl', turnpike: 'tpke', view: 'vw', village: 'vlg'
+};
+
+// Secondary unit designators; "Apt 4B", "Unit 4B" and "#4B" all compare as "# 4b"
+const ADDRESS_UNIT_DESIGNATORS = ['#', 'apartment', 'apt', 'unit', 'suite', 'ste', 'room', 'rm', 'lot', 'trailer', 'trlr', 'space', 'spc'];
+
+// Seat layout presets offered in the bus modal (rows of seats, seats on each side of the aisle, rear bench seats)
+const BUS_LAYOUT_PRESETS = {
+    standard: { label: 'Standard (16 rows, 3 + 3)', rows: 16, leftSeats: 3, rightSeats: 3, rearBenchSeats: 0 },
+    p48: { label: '48-passenger (12 rows, 2 + 2)', rows: 12, leftSeats: 2, rightSeats: 2, rearBenchSeats: 0 },
+    p72: { label: '72-passenger (12 rows, 3 + 3)', rows: 12, leftSeats: 3, rightSeats: 3, rearBenchSeats: 0 },
+    p84: { label: '84-passenger (14 rows, 3 + 3)', rows: 14, leftSeats: 3, rightSeats: 3, rearBenchSeats: 0 },
+    liftVan: { label: 'Wheelchair-lift van (4 rows, 1 + 2, rear bench)', rows: 4, leftSeats: 1, rightSeats: 2, rearBenchSeats: 3 }
+};
+
+// Schedule adherence: a stop is flagged when it was more than toleranceMinutes off its scheduled time,
+// in the same direction, on at least `share` of the days it was observed (and on at least minDays days)
+const SCHEDULE_ADHERENCE_FLAG = { toleranceMinutes: 3, minDays: 3, share: 0.75 };
+
+// Online geocoders for route stop addresses, chosen in Settings. Each builds a request URL; the JSON
+// response is read by readGeocodeResult. 'custom' fills {address} in the URL template saved in Settings.
+const GEOCODER_PROVIDERS = {
+    none: { label: 'Off (use offline sources only)' },
+    nominatim: {
+        label: 'OpenStreetMap Nominatim',
+        buildUrl: (address) => `https://nominatim.openstreetmap.org/search?format=json&limit=1&q=${encodeURIComponent(address)}`,
+        minIntervalMs: 1100 // Nominatim usage policy: at most one request per second
+    },
+    custom: {
+        label: 'Custom URL',
+        buildUrl: (address, urlTemplate) => urlTemplate ? urlTemplate.replace('{address}', encodeURIComponent(address)) : null
+    }
+};
+
+// The organization (school or district) that existed before organizations did. Its data keeps the original
+// Firestore path and IndexedDB database name; organizations created later get their own.
+const DEFAULT_ORG_ID = 'qisd-bus-student-tracker';
+
+// Account roles, kept in busTracker/{syncId}/members/{email}. Drivers and substitutes only see and check in
+// the busses listed on their account, and a substitute's access ends on their "access until" date.
+// firestore.rules enforces the same split on the server.
+const ACCOUNT_ROLES = {
+    admin: { label: 'Admin', permissions: ['viewAllBusses', 'checkIn', 'editBusses', 'editSeating', 'editRoutes', 'reports', 'manageRoster', 'manageEncryption', 'manageAccounts', 'backup', 'viewAuditLog'] },
+    dispatcher: { label: 'Dispatcher', permissions: ['viewAllBusses', 'checkIn', 'editBusses', 'editSeating', 'editRoutes', 'reports'] },
+    driver: { label: 'Driver', permissions: ['checkIn'] },
+    substitute: { label: 'Substitute', permissions: ['checkIn'] }
+};
+
+// Kinds of record kept in the audit log (see recordAudit), with how the log viewer names them
+const AUDIT_ENTITY_TYPES = {
+    student: 'Student',
+    seatAssignment: 'Seat',
+    checkin: 'Check-in',
+    routeRow: 'Route stop',
+    routeVersion: 'Route version',
+    backup: 'Backup restore'
+};
+
+// The audit log's record type for each synced collection it covers
+const AUDIT_TYPE_BY_COLLECTION = { students: 'student', seatAssignments: 'seatAssignment', checkins: 'checkin', routeRows: 'routeRow', routeVersions: 'routeVersion' };
+
+// Written by sync on every record it sends: the record's revision number in the cloud, and when and by whom
+// it was last written. They're left out when comparing two versions of a record (see getChangedFields).
+const SYNC_META_FIELDS = ['rev', 'updatedAt', 'updatedBy'];
+
+// Collections that are only ever added to, so they're written without revision checks or merging
+const APPEND_ONLY_COLLECTIONS = ['gpsPoints', 'auditLog'];
+
+// Most records written in one versioned transaction (see writeOpsToFirebase)
+const VERSIONED_TRANSACTION_SIZE = 20;
+
+// Stores clearLocalData leaves alone: they hold work nobody has finished yet (see getOutboxEntries)
+const PENDING_STORES = ['outbox', 'conflicts'];
+
+// Outbox retries: the delay doubles after each failed attempt, up to maxDelayMs
+// (a write still unanswered after writeTimeoutMs counts as failed; offline, Firestore would hold it indefinitely)
+const OUTBOX_RETRY = { firstDelayMs: 2000, maxDelayMs: 5 * 60 * 1000, writeTimeoutMs: 30000 };
+// Background Sync tag registered while the outbox has writes waiting; service-worker.js uses the same name
+const OUTBOX_SYNC_TAG = 'bus-tracker-outbox';
+
+// GPS breadcrumbs downloaded when a session starts and kept up to date: runs from this many days back.
+// Older runs are fetched when they're opened in GPS replay (see loadGpsReplay)
+const GPS_SYNC_DAYS = 14;
+
+// Audit entries downloaded when a session starts: this many days back. The audit log window pages through
+// older ones, AUDIT_PAGE_SIZE at a time (see loadOlderAuditEntries)
+const AUDIT_SYNC_DAYS = 30;
+const AUDIT_PAGE_SIZE = 200;
+
+// Synced collections whose documents belong to a single bus (through busId, or the bus's own id)
+const BUS_SCOPED_COLLECTIONS = ['busses', 'seatAssignments', 'checkins', 'routeRows', 'routeVersions', 'runs', 'absences', 'gpsPoints'];
+
+// Row number rear bench seats are saved with. It's fixed, so changing how many rows a layout has leaves the
+// bench's assignments and blocked seats in place (older data used the row behind the last one; see getSeatKey)
+const REAR_BENCH_ROW = 0;
+
 class BusStudentTracker {
     constructor() {
         this.db = null;
-        this.dbName = 'BusStudentTrackerDB';
-        this.dbVersion = 4; // Incremented to add routeRows store
+        this.dbVersion = 11; // Incremented to add outbox store
         this.busses = [];
         this.students = [];
+        this.households = []; // Siblings linked through student.householdId
         this.routeRows = [];
+        this.routeVersions = []; // Drafts and published versions of a bus route; rows without a versionId are the original route
+        this.routeSelectedRowIds = new Set(); // Route rows ticked in edit mode, moved together
         this.currentBusId = null;
         this.currentRoute = 'AM'; // 'AM' or 'PM'
         this.editingBusId = null;
         this.editingStudentId = null;
         this.selectedSeat = null; // {row: number, side: 'left'|'right', position: 0|1}
         this.firebaseEnabled = false;
-        this.syncId = this.getOrCreateSyncId();
+        this.ORG_STORAGE_KEY = 'busTrackerOrgId';
+        this.syncId = this.getOrCreateSyncId(); // Current organization; its data lives under busTracker/{syncId}
+        this.dbName = this.getOrgDatabaseName(this.syncId);
+        this.org = null; // { id, name } from the busTracker/{syncId} document
+        this.account = null; // { email, role, busIds, accessUntil } for the signed-in user; null when not syncing
+        this.accounts = []; // Every members/{email} record, loaded for admins in Settings
+        this.LAST_ACCOUNT_STORAGE_KEY = 'busTrackerLastAccount_' + this.syncId.replace(/\W/g, '_');
+        this.ACCOUNT_CACHE_STORAGE_KEY = 'busTrackerAccount_' + this.syncId.replace(/\W/g, '_'); // last confirmed account, for offline starts
+        this.GPS_DATES_ADDED_STORAGE_KEY = 'busTrackerGpsDatesAdded_' + this.syncId.replace(/\W/g, '_'); // older GPS points given their access.date
+        this.AUDIT_UNDATED_LOADED_STORAGE_KEY = 'busTrackerAuditUndatedLoaded_' + this.syncId.replace(/\W/g, '_'); // audit entries without access.timestamp fetched
+        this.SIGN_IN_EMAIL_STORAGE_KEY = 'busTrackerSignInEmail';
+        this.DEVICE_ID_STORAGE_KEY = 'busTrackerDeviceId';
+        this.deviceId = this.getOrCreateDeviceId(); // Names this device in the audit log
+        this.auditLogLimit = AUDIT_PAGE_SIZE; // Audit log rows shown; "Show Older Changes" adds a page
+        this.auditLogAllLoaded = false; // Set once the cloud has no older audit entries to fetch
         this.checkins = [];
+        this.runs = []; // One per bus + route + date, created by run mode or when the check-in list is finalized
+        this.absences = []; // Assigned students who weren't checked in on a finalized run
+        this.ABSENCE_THRESHOLD_STORAGE_KEY = 'busTrackerAbsenceFlagThreshold';
+        // GPS breadcrumbs are read from IndexedDB per run when replayed rather than held in memory
+        this.gpsWatchId = null;
+        this.lastGpsFix = null; // Latest position from the run mode watch, used to stamp check-ins
+        this.gpsUploadQueue = [];
+        this.GEOCODER_STORAGE_KEY = 'busTrackerGeocoder'; // { provider, urlTemplate }
+        this.GEOCODE_CACHE_STORAGE_KEY = 'busTrackerGeocodeCache'; // normalized address -> { lat, lng }
         this.encryptionKey = null; // Set when user enters password or loaded from storage
         this.ENCRYPTION_STORAGE_KEY = 'busTrackerEncryptionEnabled';
         this.ENCRYPTION_KEY_STORAGE_KEY = 'busTrackerEncryptionKey_' + this.syncId.replace(/\W/g, '_');
         this.ENCRYPTION_KEY_VERSION_STORAGE_KEY = 'busTrackerEncryptionKeyVersion_' + this.syncId.replace(/\W/g, '_');
         
-        // Bus configuration: 16 rows, 3 seats per side per row (6 seats total per row)
+        // Default seat layout for busses that don't carry their own: 16 rows, 3 seats per side
         this.busConfig = {
             rows: 16,
-            seatsPerSide: 3,
-            totalSeatsPerRow: 6
+            leftSeats: 3,
+            rightSeats: 3,
+            rearBenchSeats: 0,
+            blockedSeats: []
         };
+        this.editingBlockedSeats = new Set(); // Seat keys blocked out while editing a bus layout
         
         // Initialize IndexedDB first
         this.initIndexedDB().then(() => {
             this.waitForFirebase(async () => {
                 this.initializeFirebase();
-                const encConfig = await this.getEncryptionConfigFromFirebase();
-                if (encConfig.required) {
-                    const storedKeyVersion = this.getStoredKeyVersion();
-                    if (storedKeyVersion < encConfig.keyVersion) {
-                        this.clearStoredEncryptionKey();
-                    }
-                    const storedKey = await this.loadEncryptionKeyFromStorage();
-                    if (storedKey) {
-                        this.encryptionKey = storedKey;
-                        try {
-                            await this.syncFromFirebase();
-                        } catch (e) {
-                            if (e.message === 'WRONG_PASSWORD') {
-                                this.clearStoredEncryptionKey();
-                                this.encryptionKey = null;
-                                this.showEncryptionPasswordModal();
-                                return;
-                            }
-                            throw e;
-                        }
-                        await this.loadData();
-                        this.initializeApp();
-                        return;
-                    }
-                    this.showEncryptionPasswordModal();
-                    return;
-                }
+                this.setupSignInListeners();
+                await this.startSession();
+            });
+        });
+    }
+
+    // Signs the user in (when syncing), then unlocks encryption, syncs and starts the UI. Runs again after
+    // a sign-in from the sign-in screen.
+    async startSession() {
+        if (this.firebaseEnabled) {
+            const auth = window.firebaseAuth;
+            if (!auth.currentUser && auth.isSignInWithEmailLink(window.location.href)) {
+                await this.completeEmailLinkSignIn();
+            }
+            if (!auth.currentUser) {
+                this.showSignInModal();
+                return;
+            }
+            const problem = await this.loadAccount(auth.currentUser);
+            if (problem) {
+                this.showSignInModal(problem);
+                return;
+            }
+            this.closeSignInModal();
+            await this.loadOrgDetails();
+            this.setupRealtimeListeners();
+        } else if (window.location.protocol !== 'file:') {
+            // Firebase didn't load (e.g. offline with its scripts not cached yet): carry on as whoever last
+            // signed in here, as far as the device remembers them
+            const cached = this.getCachedAccount(localStorage.getItem(this.LAST_ACCOUNT_STORAGE_KEY));
+            if (cached && (cached.role !== 'substitute' || cached.accessUntil > new Date())) this.account = cached;
+        }
+        
+        const encConfig = await this.getEncryptionConfigFromFirebase();
+        if (encConfig.required) {
+            const storedKeyVersion = this.getStoredKeyVersion();
+            if (storedKeyVersion < encConfig.keyVersion) {
+                this.clearStoredEncryptionKey();
+            }
+            const storedKey = await this.loadEncryptionKeyFromStorage();
+            if (storedKey) {
+                this.encryptionKey = storedKey;
                 try {
                     await this.syncFromFirebase();
                 } catch (e) {
-                    console.error('Sync error:', e);
+                    if (e.message === 'WRONG_PASSWORD') {
+                        this.clearStoredEncryptionKey();
+                        this.encryptionKey = null;
+                        this.showEncryptionPasswordModal();
+                        return;
+                    }
+                    throw e;
                 }
-                this.loadData().then(() => this.initializeApp()).catch(error => {
-                    console.error('Error loading data:', error);
-                    this.initializeApp();
-                });
-            });
+                await this.loadData();
+                this.initializeApp();
+                return;
+            }
+            this.showEncryptionPasswordModal();
+            return;
+        }
+        try {
+            await this.syncFromFirebase();
+        } catch (e) {
+            console.error('Sync error:', e);
+        }
+        this.loadData().then(() => this.initializeApp()).catch(error => {
+            console.error('Error loading data:', error);
+            this.initializeApp();
         });
     }
 
@@ -147,6 +341,63 @@ class BusStudentTracker {
                     routeRowsStore.createIndex('busRoute', ['busId', 'route'], { unique: false });
                 }
                 
+                // Create runs store (finalized check-in lists)
+                if (!db.objectStoreNames.contains('runs')) {
+                    const runsStore = db.createObjectStore('runs', { keyPath: 'id', autoIncrement: false });
+                    runsStore.createIndex('busId', 'busId', { unique: false });
+                    runsStore.createIndex('date', 'date', { unique: false });
+                    runsStore.createIndex('busDateRoute', ['busId', 'date', 'route'], { unique: false });
+                }
+                
+                // Create absences store (no-shows recorded when a run is finalized)
+                if (!db.objectStoreNames.contains('absences')) {
+                    const absencesStore = db.createObjectStore('absences', { keyPath: 'id', autoIncrement: false });
+                    absencesStore.createIndex('runId', 'runId', { unique: false });
+                    absencesStore.createIndex('busId', 'busId', { unique: false });
+                    absencesStore.createIndex('studentId', 'studentId', { unique: false });
+                    absencesStore.createIndex('date', 'date', { unique: false });
+                    absencesStore.createIndex('busDateRoute', ['busId', 'date', 'route'], { unique: false });
+                }
+                
+                // Create gpsPoints store (positions recorded while a route is run)
+                if (!db.objectStoreNames.contains('gpsPoints')) {
+                    const gpsPointsStore = db.createObjectStore('gpsPoints', { keyPath: 'id', autoIncrement: false });
+                    gpsPointsStore.createIndex('date', 'date', { unique: false });
+                    gpsPointsStore.createIndex('busDateRoute', ['busId', 'date', 'route'], { unique: false });
+                }
+                
+                // Create routeVersions store (drafts and published route versions with effective dates)
+                if (!db.objectStoreNames.contains('routeVersions')) {
+                    const routeVersionsStore = db.createObjectStore('routeVersions', { keyPath: 'id', autoIncrement: false });
+                    routeVersionsStore.createIndex('busRoute', ['busId', 'route'], { unique: false });
+                }
+                
+                // Create households store (siblings linked through student.householdId)
+                if (!db.objectStoreNames.contains('households')) {
+                    db.createObjectStore('households', { keyPath: 'id', autoIncrement: false });
+                }
+                
+                // Create auditLog store (append-only record of changes, read from IndexedDB when browsed)
+                if (!db.objectStoreNames.contains('auditLog')) {
+                    const auditLogStore = db.createObjectStore('auditLog', { keyPath: 'id', autoIncrement: false });
+                    auditLogStore.createIndex('timestamp', 'timestamp', { unique: false });
+                }
+                
+                // Create syncBase store (the last cloud version of each synced record this device has seen)
+                if (!db.objectStoreNames.contains('syncBase')) {
+                    db.createObjectStore('syncBase', { keyPath: 'key', autoIncrement: false });
+                }
+                
+                // Create conflicts store (records changed on this device and another one at the same time)
+                if (!db.objectStoreNames.contains('conflicts')) {
+                    db.createObjectStore('conflicts', { keyPath: 'id', autoIncrement: false });
+                }
+                
+                // Create outbox store (writes waiting to be sent to Firestore, in the order they were made)
+                if (!db.objectStoreNames.contains('outbox')) {
+                    db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+                }
+                
                 console.log('IndexedDB stores created');
             };
         });
@@ -157,10 +408,486 @@ class BusStudentTracker {
         return Date.now().toString(36) + Math.random().toString(36).substr(2);
     }
 
-    // Get sync ID - always uses the same shared ID for all instances
+    // Get sync ID - the organization chosen on this device (see switchOrg). Who may read or change the data
+    // under it is decided by the signed-in account's role there (see loadAccount and firestore.rules).
     getOrCreateSyncId() {
-        // Fixed Sync ID - all instances use this same ID
-        return 'qisd-bus-student-tracker';
+        return localStorage.getItem(this.ORG_STORAGE_KEY) || DEFAULT_ORG_ID;
+    }
+
+    // A random id kept on this device, so the audit log can tell two devices signed in as the same person apart
+    getOrCreateDeviceId() {
+        let deviceId = localStorage.getItem(this.DEVICE_ID_STORAGE_KEY);
+        if (!deviceId) {
+            deviceId = this.generateId();
+            localStorage.setItem(this.DEVICE_ID_STORAGE_KEY, deviceId);
+        }
+        return deviceId;
+    }
+
+    // Each organization keeps its own IndexedDB database, so switching never mixes two schools' data
+    getOrgDatabaseName(orgId) {
+        return orgId === DEFAULT_ORG_ID ? 'BusStudentTrackerDB' : `BusStudentTrackerDB_${orgId}`;
+    }
+
+    // --- Organizations (busTracker/{orgId} = { name, createdBy, createdAt }) ---
+    async loadOrgDetails() {
+        let name = this.syncId;
+        try {
+            const doc = await window.db.collection('busTracker').doc(this.syncId).get();
+            if (doc.exists && doc.data().name) name = doc.data().name;
+        } catch (error) {
+            console.error('Error loading organization:', error);
+        }
+        this.org = { id: this.syncId, name };
+        const label = document.getElementById('orgNameLabel');
+        label.textContent = name;
+        label.style.display = this.syncId === DEFAULT_ORG_ID && name === DEFAULT_ORG_ID ? 'none' : 'block';
+    }
+
+    // Organizations where the signed-in user has an account, found through their members/{email} records
+    async getMyOrgs() {
+        const email = window.firebaseAuth.currentUser.email.toLowerCase();
+        const snapshot = await window.db.collectionGroup('members').where('email', '==', email).get();
+        const orgs = await Promise.all(snapshot.docs.map(async (doc) => {
+            const orgRef = doc.ref.parent.parent;
+            const orgDoc = await orgRef.get();
+            const name = orgDoc.exists && orgDoc.data().name ? orgDoc.data().name : orgRef.id;
+            return { id: orgRef.id, name, role: doc.data().role };
+        }));
+        return orgs.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async openOrgModal() {
+        document.getElementById('orgModal').style.display = 'block';
+        document.getElementById('orgJoinCodeInput').value = '';
+        document.getElementById('orgNameInput').value = '';
+        this.setOrgMessage('');
+        const listEl = document.getElementById('orgList');
+        listEl.innerHTML = '<div class="account-empty">Loading...</div>';
+        let orgs = [];
+        try {
+            orgs = await this.getMyOrgs();
+        } catch (error) {
+            console.error('Error loading organizations:', error);
+        }
+        if (orgs.length === 0) {
+            listEl.innerHTML = '<div class="account-empty">You don\'t have an account in any organization yet. Join one with the code your administrator gave you, or create one.</div>';
+            return;
+        }
+        listEl.innerHTML = orgs.map(org => {
+            const role = ACCOUNT_ROLES[org.role] ? ACCOUNT_ROLES[org.role].label : org.role;
+            const current = org.id === this.syncId;
+            return `
+                <div class="account-row">
+                    <div class="account-row-info">
+                        <div class="account-row-email">${this.escapeHtml(org.name)}</div>
+                        <div class="account-row-detail">${this.escapeHtml(role)} · ${this.escapeHtml(org.id)}</div>
+                    </div>
+                    ${current
+                        ? '<span class="account-row-detail">Current</span>'
+                        : `<button type="button" class="btn btn-primary" onclick="app.switchOrg('${org.id}')">Open</button>`}
+                </div>
+            `;
+        }).join('');
+    }
+
+    closeOrgModal() {
+        document.getElementById('orgModal').style.display = 'none';
+    }
+
+    setOrgMessage(text, isError = false) {
+        const messageEl = document.getElementById('orgMessage');
+        messageEl.textContent = text;
+        messageEl.style.color = isError ? 'var(--danger-color)' : 'var(--success-color)';
+    }
+
+    // Reopens the app on another organization; its database, listeners and encryption key are set up from scratch
+    switchOrg(orgId) {
+        localStorage.setItem(this.ORG_STORAGE_KEY, orgId);
+        window.location.reload();
+    }
+
+    joinOrg() {
+        const code = document.getElementById('orgJoinCodeInput').value.trim();
+        if (!/^[\w-]+$/.test(code) || code === 'appVersion') {
+            this.setOrgMessage('Enter the organization code from your administrator.', true);
+            return;
+        }
+        // The sign-in screen explains if there's no account for this user in that organization
+        this.switchOrg(code);
+    }
+
+    // Creates an organization with the signed-in user as its first admin
+    async createOrg() {
+        const name = document.getElementById('orgNameInput').value.trim();
+        if (!name) {
+            this.setOrgMessage('Enter the school or district name.', true);
+            return;
+        }
+        const email = window.firebaseAuth.currentUser.email.toLowerCase();
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'org';
+        const orgId = `${slug}-${Math.random().toString(36).slice(2, 8)}`;
+        const orgRef = window.db.collection('busTracker').doc(orgId);
+        try {
+            await orgRef.set({ name, createdBy: email, createdAt: new Date().toISOString() });
+            await orgRef.collection('members').doc(email).set({ email, role: 'admin', busIds: [], accessUntil: null, updatedAt: new Date().toISOString() });
+        } catch (error) {
+            console.error('Error creating organization:', error);
+            this.setOrgMessage('Could not create the organization: ' + error.message, true);
+            return;
+        }
+        this.switchOrg(orgId);
+    }
+
+    // --- Accounts and sign-in ---
+    // Opened as a file there are no accounts: the device's own data is all there is, so the app runs with
+    // full rights. A hosted copy with no account loaded (Firebase failed to load and nobody has signed in on
+    // this device before) gets the least: a driver's rights with no busses.
+    getRole() {
+        if (this.account) return this.account.role;
+        return window.location.protocol === 'file:' ? 'admin' : 'substitute';
+    }
+
+    can(permission) {
+        return ACCOUNT_ROLES[this.getRole()].permissions.includes(permission);
+    }
+
+    requirePermission(permission) {
+        if (this.can(permission)) return true;
+        alert(`Your account (${ACCOUNT_ROLES[this.getRole()].label}) can't do this. Ask an administrator.`);
+        return false;
+    }
+
+    // Drivers and substitutes with no busses on their account have nothing to sync
+    canReadAnyBus() {
+        return this.can('viewAllBusses') || (this.account && this.account.busIds.length > 0);
+    }
+
+    getVisibleBusses() {
+        if (this.can('viewAllBusses')) return this.busses;
+        return this.busses.filter(bus => this.account && this.account.busIds.includes(bus.id));
+    }
+
+    // Firestore only answers a driver's query when it asks for their own busses (see getSyncAccess)
+    scopedCollection(collection) {
+        const ref = window.db.collection('busTracker').doc(this.syncId).collection(collection);
+        if (this.can('viewAllBusses')) return ref;
+        // array-contains-any takes at most 30 values
+        return ref.where('access.busIds', 'array-contains-any', this.account.busIds.slice(0, 30));
+    }
+
+    // Hides controls marked data-requires="<permission>" that the account's role doesn't have
+    applyAccountPermissions() {
+        document.querySelectorAll('[data-requires]').forEach(el => {
+            el.classList.toggle('role-hidden', !this.can(el.dataset.requires));
+        });
+    }
+
+    // Reads members/{email} for the signed-in user. Returns a message for the sign-in screen when the
+    // user has no access, otherwise null. Started offline, the account as it was last confirmed is used.
+    async loadAccount(user) {
+        const email = (user.email || '').toLowerCase();
+        if (!email) return 'This sign-in did not provide an email address.';
+        const noAccess = `${email} has not been given access to this organization (${this.syncId}). Ask its administrator to add you under Settings → Accounts, or choose another organization.`;
+        let account;
+        try {
+            const doc = await window.db.collection('busTracker').doc(this.syncId).collection('members').doc(email).get();
+            const member = doc.exists ? doc.data() : null;
+            if (!member || !ACCOUNT_ROLES[member.role]) {
+                localStorage.removeItem(this.ACCOUNT_CACHE_STORAGE_KEY);
+                return noAccess;
+            }
+            const accessUntil = member.accessUntil && member.accessUntil.toDate ? member.accessUntil.toDate() : null;
+            account = { email, role: member.role, busIds: member.busIds || [], accessUntil };
+            localStorage.setItem(this.ACCOUNT_CACHE_STORAGE_KEY, JSON.stringify(account));
+        } catch (error) {
+            account = error.code === 'unavailable' ? this.getCachedAccount(email) : null;
+            if (!account) {
+                console.error('Error loading account:', error);
+                return `Could not check ${email}'s access to this organization: ${error.message}`;
+            }
+        }
+        if (account.role === 'substitute' && (!account.accessUntil || account.accessUntil < new Date())) {
+            return `Substitute access for ${email} has ended. Ask an administrator to extend it.`;
+        }
+        this.account = account;
+        const lastEmail = localStorage.getItem(this.LAST_ACCOUNT_STORAGE_KEY);
+        if (!lastEmail) {
+            // The first sign-in on this device (or since updating to a version with accounts): anything recorded
+            // before it that the cloud doesn't have is queued under this account, and sent once the session starts
+            await this.loadData();
+            const ops = await this.getUnsyncedChanges();
+            if (ops.length) await this.queueSyncOps(ops, false);
+            localStorage.setItem(this.LAST_ACCOUNT_STORAGE_KEY, email);
+        } else if (lastEmail !== email) {
+            // A shared tablet keeps nothing from the previous account, except the changes it hasn't sent yet
+            await this.clearLocalData();
+            localStorage.setItem(this.LAST_ACCOUNT_STORAGE_KEY, email);
+            if ((await this.getOutboxEntries(lastEmail)).length) {
+                alert(`Changes made on this device by ${lastEmail} haven't been sent to the cloud yet. They are kept, and sent the next time ${lastEmail} signs in here.`);
+            }
+        }
+        return null;
+    }
+
+    // The account last confirmed by Firestore on this device, if it belongs to email
+    getCachedAccount(email) {
+        try {
+            const cached = JSON.parse(localStorage.getItem(this.ACCOUNT_CACHE_STORAGE_KEY));
+            if (!cached || !email || cached.email !== email || !ACCOUNT_ROLES[cached.role]) return null;
+            return { ...cached, accessUntil: cached.accessUntil ? new Date(cached.accessUntil) : null };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Empties the IndexedDB stores; the data stays in Firestore. Changes that haven't been sent yet and sync
+    // conflicts waiting for review are kept, each for the account that made them (see getOutboxEntries).
+    async clearLocalData() {
+        const storeNames = Array.from(this.db.objectStoreNames).filter(name => !PENDING_STORES.includes(name));
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeNames, 'readwrite');
+            storeNames.forEach(name => transaction.objectStore(name).clear());
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+        await this.loadData();
+    }
+
+    // The sign-in and organization screens come up before initializeApp sets up the rest of the listeners
+    setupSignInListeners() {
+        document.getElementById('signInSendLinkBtn').addEventListener('click', () => this.sendSignInLink());
+        document.getElementById('signInEmailInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.sendSignInLink();
+        });
+        document.getElementById('signInSsoBtn').addEventListener('click', () => this.signInWithSso());
+        document.getElementById('signInSwitchAccountBtn').addEventListener('click', () => this.switchAccount());
+        document.getElementById('signInChooseOrgBtn').addEventListener('click', () => this.openOrgModal());
+        document.getElementById('closeOrgModal').addEventListener('click', () => this.closeOrgModal());
+        document.getElementById('orgJoinBtn').addEventListener('click', () => this.joinOrg());
+        document.getElementById('orgCreateBtn').addEventListener('click', () => this.createOrg());
+    }
+
+    showSignInModal(message = '') {
+        const settings = window.firebaseAuthSettings || {};
+        const user = window.firebaseAuth && window.firebaseAuth.currentUser;
+        document.getElementById('signInEmailSection').style.display = settings.emailLink === false ? 'none' : 'block';
+        const ssoBtn = document.getElementById('signInSsoBtn');
+        ssoBtn.style.display = settings.ssoProviderId ? 'block' : 'none';
+        ssoBtn.textContent = settings.ssoLabel || 'Sign in with district account';
+        document.getElementById('signInSwitchAccountBtn').style.display = user ? 'block' : 'none';
+        document.getElementById('signInChooseOrgBtn').style.display = user ? 'block' : 'none';
+        document.getElementById('signInEmailInput').value = localStorage.getItem(this.SIGN_IN_EMAIL_STORAGE_KEY) || '';
+        this.setSignInMessage(message, !!message);
+        document.getElementById('signInModal').style.display = 'block';
+    }
+
+    closeSignInModal() {
+        document.getElementById('signInModal').style.display = 'none';
+    }
+
+    setSignInMessage(text, isError) {
+        const messageEl = document.getElementById('signInMessage');
+        messageEl.textContent = text;
+        messageEl.style.color = isError ? 'var(--danger-color)' : 'var(--success-color)';
+        messageEl.style.display = text ? 'block' : 'none';
+    }
+
+    async sendSignInLink() {
+        const email = document.getElementById('signInEmailInput').value.trim().toLowerCase();
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            this.setSignInMessage('Enter your work email address.', true);
+            return;
+        }
+        try {
+            const url = window.location.href.split(/[?#]/)[0];
+            await window.firebaseAuth.sendSignInLinkToEmail(email, { url, handleCodeInApp: true });
+            localStorage.setItem(this.SIGN_IN_EMAIL_STORAGE_KEY, email);
+            this.setSignInMessage(`A sign-in link was sent to ${email}. Open it on this device.`, false);
+        } catch (error) {
+            console.error('Error sending sign-in link:', error);
+            this.setSignInMessage('Could not send the sign-in link: ' + error.message, true);
+        }
+    }
+
+    // Finishes an email-link sign-in when the app is opened from the link
+    async completeEmailLinkSignIn() {
+        let email = localStorage.getItem(this.SIGN_IN_EMAIL_STORAGE_KEY);
+        // Opened on a different device than the one that asked for the link
+        if (!email) email = prompt('Confirm your email address to finish signing in:');
+        if (!email) return;
+        try {
+            await window.firebaseAuth.signInWithEmailLink(email.trim(), window.location.href);
+        } catch (error) {
+            console.error('Email link sign-in failed:', error);
+            this.setSignInMessage('That sign-in link has expired or was already used. Send a new one.', true);
+        }
+        window.history.replaceState(null, '', window.location.href.split(/[?#]/)[0]);
+    }
+
+    async signInWithSso() {
+        const providerId = window.firebaseAuthSettings.ssoProviderId;
+        const provider = providerId.startsWith('saml.')
+            ? new firebase.auth.SAMLAuthProvider(providerId)
+            : new firebase.auth.OAuthProvider(providerId);
+        try {
+            await window.firebaseAuth.signInWithPopup(provider);
+        } catch (error) {
+            console.error('SSO sign-in failed:', error);
+            this.setSignInMessage('Sign-in failed: ' + error.message, true);
+            return;
+        }
+        await this.startSession();
+    }
+
+    // Signs out and removes this device's copy of the data (and its saved encryption key)
+    async signOut() {
+        if (this.firebaseEnabled) await this.flushOutbox(true);
+        const pending = this.firebaseEnabled ? await this.countPendingChanges() : 0;
+        const warning = pending
+            ? `${pending} change${pending === 1 ? ' has' : 's have'} not been sent to the cloud yet; ${pending === 1 ? 'it stays' : 'they stay'} on this device and ${pending === 1 ? 'is' : 'are'} sent the next time you sign in here. `
+            : '';
+        if (!confirm(`Sign out? ${warning}Student data stored on this device will be removed. It stays in the cloud.`)) return;
+        await this.clearLocalData();
+        this.clearStoredEncryptionKey();
+        localStorage.removeItem(this.LAST_ACCOUNT_STORAGE_KEY);
+        localStorage.removeItem(this.ACCOUNT_CACHE_STORAGE_KEY);
+        await window.firebaseAuth.signOut();
+        window.location.reload();
+    }
+
+    async switchAccount() {
+        await window.firebaseAuth.signOut();
+        this.showSignInModal();
+    }
+
+    updateAccountStatus() {
+        const section = document.getElementById('accountStatusSection');
+        section.style.display = this.account ? 'block' : 'none';
+        if (!this.account) return;
+        const role = ACCOUNT_ROLES[this.account.role].label;
+        const busses = this.can('viewAllBusses')
+            ? ''
+            : ` · ${this.getVisibleBusses().map(bus => bus.name).join(', ') || 'no busses assigned'}`;
+        const until = this.account.accessUntil ? ` · until ${this.account.accessUntil.toLocaleDateString()}` : '';
+        document.getElementById('accountSignedInAs').textContent = `${this.account.email} (${role}${busses}${until})`;
+    }
+
+    // --- Account management (admins): members/{email} = { email, role, busIds, accessUntil } ---
+    async loadAccounts() {
+        const listEl = document.getElementById('accountList');
+        try {
+            const snapshot = await window.db.collection('busTracker').doc(this.syncId).collection('members').get();
+            this.accounts = snapshot.docs.map(doc => ({ ...doc.data(), email: doc.id }));
+            this.renderAccounts();
+        } catch (error) {
+            console.error('Error loading accounts:', error);
+            listEl.textContent = 'Could not load accounts.';
+        }
+    }
+
+    renderAccounts() {
+        const listEl = document.getElementById('accountList');
+        const accounts = this.accounts.slice().sort((a, b) => a.email.localeCompare(b.email));
+        if (accounts.length === 0) {
+            listEl.innerHTML = '<div class="account-empty">No accounts yet.</div>';
+            return;
+        }
+        listEl.innerHTML = accounts.map(account => {
+            const role = ACCOUNT_ROLES[account.role] ? ACCOUNT_ROLES[account.role].label : account.role;
+            const busses = ACCOUNT_ROLES[account.role] && ACCOUNT_ROLES[account.role].permissions.includes('viewAllBusses')
+                ? 'All busses'
+                : (account.busIds || []).map(id => (this.busses.find(bus => bus.id === id) || { name: '(deleted bus)' }).name).join(', ') || 'No busses';
+            const until = account.accessUntil && account.accessUntil.toDate ? ` · until ${account.accessUntil.toDate().toLocaleDateString()}` : '';
+            const key = encodeURIComponent(account.email);
+            return `
+                <div class="account-row">
+                    <div class="account-row-info">
+                        <div class="account-row-email">${this.escapeHtml(account.email)}</div>
+                        <div class="account-row-detail">${this.escapeHtml(role)} · ${this.escapeHtml(busses)}${until}</div>
+                    </div>
+                    <button type="button" class="btn btn-secondary" onclick="app.editAccount('${key}')">Edit</button>
+                    <button type="button" class="btn btn-danger" onclick="app.removeAccount('${key}')">Remove</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    editAccount(key = '') {
+        const email = decodeURIComponent(key);
+        const account = this.accounts.find(a => a.email === email) || { email: '', role: 'driver', busIds: [] };
+        document.getElementById('accountEmailInput').value = account.email;
+        document.getElementById('accountEmailInput').disabled = !!account.email;
+        document.getElementById('accountRoleSelect').value = account.role;
+        const accessUntil = account.accessUntil && account.accessUntil.toDate ? account.accessUntil.toDate() : null;
+        document.getElementById('accountAccessUntilInput').value = accessUntil
+            ? `${accessUntil.getFullYear()}-${String(accessUntil.getMonth() + 1).padStart(2, '0')}-${String(accessUntil.getDate()).padStart(2, '0')}`
+            : '';
+        const busIds = new Set(account.busIds || []);
+        const sorted = [...this.busses].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        document.getElementById('accountBusList').innerHTML = sorted.map(bus => `
+            <label class="account-bus-option"><input type="checkbox" value="${bus.id}" ${busIds.has(bus.id) ? 'checked' : ''}> ${this.escapeHtml(bus.name)}</label>
+        `).join('') || '<span class="account-empty">No busses yet.</span>';
+        this.updateAccountFormFields();
+        document.getElementById('accountMessage').textContent = '';
+    }
+
+    // Busses only apply to drivers and substitutes; only substitutes have an end date
+    updateAccountFormFields() {
+        const role = document.getElementById('accountRoleSelect').value;
+        document.getElementById('accountBusGroup').style.display = role === 'driver' || role === 'substitute' ? 'block' : 'none';
+        document.getElementById('accountAccessUntilGroup').style.display = role === 'substitute' ? 'block' : 'none';
+    }
+
+    async saveAccount() {
+        if (!this.requirePermission('manageAccounts')) return;
+        const messageEl = document.getElementById('accountMessage');
+        const email = document.getElementById('accountEmailInput').value.trim().toLowerCase();
+        const role = document.getElementById('accountRoleSelect').value;
+        const busIds = Array.from(document.querySelectorAll('#accountBusList input:checked')).map(input => input.value);
+        const accessUntil = document.getElementById('accountAccessUntilInput').value;
+        const fail = (text) => {
+            messageEl.textContent = text;
+            messageEl.style.color = 'var(--danger-color)';
+        };
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return fail('Enter an email address.');
+        if ((role === 'driver' || role === 'substitute') && busIds.length === 0) return fail('Choose at least one bus.');
+        if (role === 'substitute' && !accessUntil) return fail('Choose the last day the substitute may sign in.');
+        if (email === this.account.email && role !== 'admin') return fail('You can\'t remove your own admin role.');
+        const member = {
+            email,
+            role,
+            busIds: role === 'driver' || role === 'substitute' ? busIds : [],
+            accessUntil: role === 'substitute' ? firebase.firestore.Timestamp.fromDate(new Date(`${accessUntil}T23:59:59`)) : null,
+            updatedAt: new Date().toISOString()
+        };
+        try {
+            await window.db.collection('busTracker').doc(this.syncId).collection('members').doc(email).set(member);
+            await this.loadAccounts();
+            this.editAccount();
+            messageEl.textContent = `Saved ${email}.`;
+            messageEl.style.color = 'var(--success-color)';
+        } catch (error) {
+            console.error('Error saving account:', error);
+            fail('Could not save the account: ' + error.message);
+        }
+    }
+
+    async removeAccount(key) {
+        if (!this.requirePermission('manageAccounts')) return;
+        const email = decodeURIComponent(key);
+        if (email === this.account.email) {
+            alert('You can\'t remove your own account.');
+            return;
+        }
+        if (!confirm(`Remove ${email}? They will no longer be able to sign in.`)) return;
+        try {
+            await window.db.collection('busTracker').doc(this.syncId).collection('members').doc(email).delete();
+            await this.loadAccounts();
+        } catch (error) {
+            console.error('Error removing account:', error);
+            alert('Could not remove the account: ' + error.message);
+        }
     }
 
     // --- Client-side encryption (before syncing to Firebase) ---
@@ -249,10 +976,12 @@ class BusStudentTracker {
         await window.db.collection('busTracker').doc(this.syncId).set(update, { merge: true });
     }
 
+    // The audit log can't be rewritten, so its entries stay encrypted with the password they were written under:
+    // devices that already have them keep them, and other devices skip them (see syncFromFirebase)
     async reEncryptAllWithNewKey(oldKey, newKey) {
         if (!this.firebaseEnabled || !window.db) return;
         const baseRef = window.db.collection('busTracker').doc(this.syncId);
-        const collections = ['busses', 'students', 'seatAssignments', 'checkins', 'routeRows'];
+        const collections = ['busses', 'students', 'households', 'seatAssignments', 'checkins', 'routeRows', 'routeVersions', 'runs', 'absences', 'gpsPoints'];
         for (const collName of collections) {
             const snapshot = await baseRef.collection(collName).get();
             for (const doc of snapshot.docs) {
@@ -277,6 +1006,7 @@ class BusStudentTracker {
                 this.encryptionKey = newKey;
                 const payload = await this.encryptForSync(decoded);
                 this.encryptionKey = prevKey;
+                if (data.access) payload.access = data.access;
                 await baseRef.collection(collName).doc(doc.id).set(payload);
             }
         }
@@ -310,6 +1040,10 @@ class BusStudentTracker {
     }
 
     async decryptFromSync(docId, docData) {
+        if (docData && docData.access && docData.v !== 1) {
+            const { access, ...plain } = docData;
+            return plain;
+        }
         if (!docData || docData.v !== 1 || !docData.enc) return docData;
         if (!this.encryptionKey) return null;
         try {
@@ -341,25 +1075,31 @@ class BusStudentTracker {
         if (window.db) {
             callback();
         } else {
-            window.addEventListener('firebaseReady', callback, { once: true });
+            // Whichever comes first, the ready event or the timeout, starts the app; the other is ignored
+            let started = false;
+            const start = () => {
+                if (started) return;
+                started = true;
+                callback();
+            };
+            window.addEventListener('firebaseReady', start, { once: true });
             // Timeout after 5 seconds
             setTimeout(() => {
-                console.warn('Firebase not ready after 5 seconds, continuing without it');
-                callback();
+                if (!started) console.warn('Firebase not ready after 5 seconds, continuing without it');
+                start();
             }, 5000);
         }
     }
 
-    // Initialize Firebase (does not sync yet; sync runs after encryption check)
+    // Initialize Firebase (does not sync yet; listeners and sync start once the user has signed in)
     initializeFirebase() {
         if (window.location.protocol === 'file:') {
             console.log('Running from file:// - Firebase disabled');
             return;
         }
-        if (window.db) {
+        if (window.db && window.firebaseAuth) {
             this.firebaseEnabled = true;
             console.log('Firebase enabled');
-            this.setupRealtimeListeners();
         } else {
             console.log('Firebase not available');
         }
@@ -373,14 +1113,21 @@ class BusStudentTracker {
         if (this.busListener) this.busListener();
         if (this.studentListener) this.studentListener();
         if (this.assignmentListener) this.assignmentListener();
-        
-        const baseRef = window.db.collection('busTracker').doc(this.syncId);
+        if (this.runListener) this.runListener();
+        if (this.absenceListener) this.absenceListener();
+        if (this.gpsPointListener) this.gpsPointListener();
+        if (this.routeVersionListener) this.routeVersionListener();
+        if (this.householdListener) this.householdListener();
+        if (this.auditLogListener) this.auditLogListener();
+        this.householdListener = null;
+        this.auditLogListener = null;
+        if (!this.canReadAnyBus()) return;
         
         // Listen for bus changes
-        this.busListener = baseRef.collection('busses').onSnapshot(async (snapshot) => {
+        this.busListener = this.scopedCollection('busses').onSnapshot(async (snapshot) => {
             for (const change of snapshot.docChanges()) {
                 if (change.type === 'added' || change.type === 'modified') {
-                    const bus = await this.decryptFromSync(change.doc.id, change.doc.data());
+                    const bus = await this.receiveSyncedRecord('busses', change.doc);
                     if (bus) await this.addBusToIndexedDB(bus);
                     this.renderBusses();
                 } else if (change.type === 'removed') {
@@ -395,10 +1142,10 @@ class BusStudentTracker {
         });
         
         // Listen for student changes
-        this.studentListener = baseRef.collection('students').onSnapshot(async (snapshot) => {
+        this.studentListener = this.scopedCollection('students').onSnapshot(async (snapshot) => {
             for (const change of snapshot.docChanges()) {
                 if (change.type === 'added' || change.type === 'modified') {
-                    const student = await this.decryptFromSync(change.doc.id, change.doc.data());
+                    const student = await this.receiveSyncedRecord('students', change.doc);
                     if (student) this.addStudentToIndexedDB(student);
                 } else if (change.type === 'removed') {
                     const studentId = change.doc.id;
@@ -409,11 +1156,28 @@ class BusStudentTracker {
             console.error('Student listener error:', error);
         });
         
+        // Listen for household changes (staff only; siblings still show for drivers through student.householdId)
+        if (this.can('viewAllBusses')) {
+            this.householdListener = this.scopedCollection('households').onSnapshot(async (snapshot) => {
+                for (const change of snapshot.docChanges()) {
+                    if (change.type === 'added' || change.type === 'modified') {
+                        const household = await this.receiveSyncedRecord('households', change.doc);
+                        if (household) await this.addHouseholdToIndexedDB(household);
+                    } else if (change.type === 'removed') {
+                        await this.deleteFromStore('households', change.doc.id);
+                        this.households = this.households.filter(h => h.id !== change.doc.id);
+                    }
+                }
+            }, (error) => {
+                console.error('Household listener error:', error);
+            });
+        }
+        
         // Listen for seat assignment changes
-        this.assignmentListener = baseRef.collection('seatAssignments').onSnapshot(async (snapshot) => {
+        this.assignmentListener = this.scopedCollection('seatAssignments').onSnapshot(async (snapshot) => {
             for (const change of snapshot.docChanges()) {
                 if (change.type === 'added' || change.type === 'modified') {
-                    const assignment = await this.decryptFromSync(change.doc.id, change.doc.data());
+                    const assignment = await this.receiveSyncedRecord('seatAssignments', change.doc);
                     if (assignment) {
                         await this.addSeatAssignmentToIndexedDB(assignment);
                         if (this.currentBusId === assignment.busId) this.renderBusDiagram();
@@ -432,10 +1196,10 @@ class BusStudentTracker {
         });
         
         // Listen for checkin changes
-        this.checkinListener = baseRef.collection('checkins').onSnapshot(async (snapshot) => {
+        this.checkinListener = this.scopedCollection('checkins').onSnapshot(async (snapshot) => {
             for (const change of snapshot.docChanges()) {
                 if (change.type === 'added' || change.type === 'modified') {
-                    const checkin = await this.decryptFromSync(change.doc.id, change.doc.data());
+                    const checkin = await this.receiveSyncedRecord('checkins', change.doc);
                     if (checkin) this.addCheckinToIndexedDB(checkin);
                 } else if (change.type === 'removed') {
                     const checkinId = change.doc.id;
@@ -447,10 +1211,10 @@ class BusStudentTracker {
         });
         
         // Listen for routeRow changes
-        this.routeRowListener = baseRef.collection('routeRows').onSnapshot(async (snapshot) => {
+        this.routeRowListener = this.scopedCollection('routeRows').onSnapshot(async (snapshot) => {
             for (const change of snapshot.docChanges()) {
                 if (change.type === 'added' || change.type === 'modified') {
-                    const row = await this.decryptFromSync(change.doc.id, change.doc.data());
+                    const row = await this.receiveSyncedRecord('routeRows', change.doc);
                     if (row) this.addRouteRowToIndexedDB(row);
                 } else if (change.type === 'removed') {
                     const rowId = change.doc.id;
@@ -461,74 +1225,851 @@ class BusStudentTracker {
             console.error('RouteRow listener error:', error);
         });
         
-        console.log('Real-time sync listeners established for sync ID:', this.syncId);
-    }
-
-    // Sync to Firebase (encrypts document if encryption is enabled)
-    async syncToFirebase(collection, data, deleteId = null) {
-        if (!this.firebaseEnabled || !window.db) return;
-        
-        try {
-            const collectionRef = window.db.collection('busTracker').doc(this.syncId).collection(collection);
-            
-            if (deleteId) {
-                await collectionRef.doc(deleteId).delete();
-            } else if (data) {
-                const payload = this.encryptionKey ? await this.encryptForSync(data) : data;
-                await collectionRef.doc(data.id).set(payload);
+        // Listen for route version changes (drafts and publishing)
+        this.routeVersionListener = this.scopedCollection('routeVersions').onSnapshot(async (snapshot) => {
+            for (const change of snapshot.docChanges()) {
+                if (change.type === 'added' || change.type === 'modified') {
+                    const version = await this.receiveSyncedRecord('routeVersions', change.doc);
+                    if (version) await this.addRouteVersionToIndexedDB(version);
+                } else if (change.type === 'removed') {
+                    await this.deleteFromStore('routeVersions', change.doc.id);
+                    this.routeVersions = this.routeVersions.filter(v => v.id !== change.doc.id);
+                }
             }
-        } catch (error) {
-            console.error('Firebase sync error:', error);
-        }
-    }
-
-    // Sync from Firebase (decrypts documents when encryption is enabled)
-    async syncFromFirebase() {
-        if (!this.firebaseEnabled || !window.db) return;
+        }, (error) => {
+            console.error('Route version listener error:', error);
+        });
         
-        try {
-            const decrypt = async (doc) => {
-                const data = doc.data();
-                const decrypted = await this.decryptFromSync(doc.id, data);
-                if (decrypted === null && data && data.v === 1) throw new Error('WRONG_PASSWORD');
-                return decrypted || data;
-            };
-
-            // Sync busses
-            const bussesSnapshot = await window.db.collection('busTracker').doc(this.syncId).collection('busses').get();
-            for (const doc of bussesSnapshot.docs) {
-                const bus = await decrypt(doc);
-                if (bus) this.addBusToIndexedDB(bus);
-            }
-            
-            // Sync students
-            const studentsSnapshot = await window.db.collection('busTracker').doc(this.syncId).collection('students').get();
-            for (const doc of studentsSnapshot.docs) {
-                const student = await decrypt(doc);
-                if (student) this.addStudentToIndexedDB(student);
+        // Listen for finalized runs
+        this.runListener = this.scopedCollection('runs').onSnapshot(async (snapshot) => {
+            for (const change of snapshot.docChanges()) {
+                if (change.type === 'added' || change.type === 'modified') {
+                    const run = await this.receiveSyncedRecord('runs', change.doc);
+                    if (run) await this.addRunToIndexedDB(run);
+                } else if (change.type === 'removed') {
+                    await this.deleteFromStore('runs', change.doc.id);
+                    this.runs = this.runs.filter(r => r.id !== change.doc.id);
+                }
+            }
+            if (this.currentBusId) this.renderBusDiagram();
+        }, (error) => {
+            console.error('Run listener error:', error);
+        });
+        
+        // Listen for absence changes
+        this.absenceListener = this.scopedCollection('absences').onSnapshot(async (snapshot) => {
+            for (const change of snapshot.docChanges()) {
+                if (change.type === 'added' || change.type === 'modified') {
+                    const absence = await this.receiveSyncedRecord('absences', change.doc);
+                    if (absence) await this.addAbsenceToIndexedDB(absence);
+                } else if (change.type === 'removed') {
+                    await this.deleteFromStore('absences', change.doc.id);
+                    this.absences = this.absences.filter(a => a.id !== change.doc.id);
+                }
+            }
+            if (this.currentBusId) this.renderBusDiagram();
+        }, (error) => {
+            console.error('Absence listener error:', error);
+        });
+        
+        // Listen for GPS breadcrumbs uploaded by other devices
+        this.gpsPointListener = this.getGpsPointsQuery('>=', this.getGpsSyncStartDate()).onSnapshot(async (snapshot) => {
+            const points = [];
+            for (const change of snapshot.docChanges()) {
+                if (change.type === 'added' || change.type === 'modified') {
+                    const point = await this.decryptFromSync(change.doc.id, change.doc.data());
+                    if (point) points.push(point);
+                } else if (change.type === 'removed') {
+                    await this.deleteFromStore('gpsPoints', change.doc.id);
+                }
+            }
+            if (points.length) await this.addGpsPointsToIndexedDB(points);
+        }, (error) => {
+            console.error('GPS point listener error:', error);
+        });
+        
+        // Listen for audit entries recorded on other devices (admins only)
+        if (this.can('viewAuditLog')) {
+            this.auditLogListener = this.scopedCollection('auditLog').where('access.timestamp', '>=', this.getAuditSyncStart()).onSnapshot(async (snapshot) => {
+                const entries = [];
+                for (const change of snapshot.docChanges()) {
+                    if (change.type === 'added' || change.type === 'modified') {
+                        const entry = await this.decryptFromSync(change.doc.id, change.doc.data());
+                        if (entry) entries.push(entry);
+                    }
+                }
+                if (entries.length) await this.addAuditEntriesToIndexedDB(entries);
+                if (entries.length && document.getElementById('auditLogModal').style.display === 'block') await this.renderAuditLog();
+            }, (error) => {
+                console.error('Audit log listener error:', error);
+            });
+        }
+        
+        console.log('Real-time sync listeners established for sync ID:', this.syncId);
+    }
+
+    // The busses a document belongs to, stored in the clear beside the (possibly encrypted) data so
+    // firestore.rules and drivers' queries can filter on it. Students belong to the busses they have a seat on
+    // and the ones named in their AM and PM bus fields; documents in other collections are for staff only.
+    // Audit entries also carry who recorded them, which the rules check against the signed-in user.
+    async getSyncAccess(collection, data) {
+        if (collection === 'busses') return { busIds: [data.id] };
+        // recordedBy is whoever sends the entry, which the rules check against the sign-in: an entry made
+        // before anyone signed in here goes up with the next account (the entry's own user stays blank)
+        if (collection === 'auditLog') return { busIds: data.busId ? [data.busId] : [], recordedBy: this.account ? this.account.email : data.user, timestamp: data.timestamp };
+        // The run date is left readable so points can be fetched by date (see getGpsPointsQuery)
+        if (collection === 'gpsPoints') return { busIds: data.busId ? [data.busId] : [], date: data.date };
+        if (BUS_SCOPED_COLLECTIONS.includes(collection)) return { busIds: data.busId ? [data.busId] : [] };
+        if (collection === 'students') {
+            const seatBusIds = (await this.getStudentSeatAssignments(data.id)).map(a => a.busId);
+            const namedBusIds = this.busses.filter(bus => this.studentRidesBus(data, bus, 'AM') || this.studentRidesBus(data, bus, 'PM')).map(bus => bus.id);
+            return { busIds: Array.from(new Set([...seatBusIds, ...namedBusIds])).sort() };
+        }
+        return null;
+    }
+
+    async getStudentSeatAssignments(studentId) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['seatAssignments'], 'readonly');
+            const request = transaction.objectStore('seatAssignments').index('studentId').getAll(IDBKeyRange.only(studentId));
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // A student's access changes when they're seated on or removed from a bus, and when a bus they're named
+    // on is renamed. Those writes come from staff, who may not otherwise write students (only admins can),
+    // so the new access goes as an access-only update: ops of the form {collection, accessId, access}.
+    async getStudentAccessOps(ops) {
+        if (!this.can('viewAllBusses')) return [];
+        const studentIds = new Set();
+        for (const op of ops) {
+            if (op.collection === 'seatAssignments') {
+                const studentId = op.data ? op.data.studentId : op.studentId;
+                if (studentId) studentIds.add(studentId);
+            } else if (op.collection === 'busses' && op.data) {
+                const base = await this.getFromStore('syncBase', `busses/${op.data.id}`);
+                const before = base ? base.data : null;
+                if (before && this.normalizeBusNumber(before.name) === this.normalizeBusNumber(op.data.name)) continue;
+                this.students
+                    .filter(student => [before, op.data].some(bus => bus && (this.studentRidesBus(student, bus, 'AM') || this.studentRidesBus(student, bus, 'PM'))))
+                    .forEach(student => studentIds.add(student.id));
+            }
+        }
+        // Students written in the same ops carry their new access already
+        ops.forEach(op => {
+            if (op.collection === 'students') studentIds.delete(op.data ? op.data.id : op.deleteId);
+        });
+        const students = this.students.filter(student => studentIds.has(student.id));
+        return Promise.all(students.map(async (student) => ({ collection: 'students', accessId: student.id, access: await this.getSyncAccess('students', student) })));
+    }
+
+    async buildSyncPayload(collection, data) {
+        const payload = this.encryptionKey ? await this.encryptForSync(data) : { ...data };
+        const access = await this.getSyncAccess(collection, data);
+        if (access) payload.access = access;
+        return payload;
+    }
+
+    // Sync to Firebase (encrypts document if encryption is enabled). The write is queued in the outbox first,
+    // so it survives being offline or the app closing before it's sent.
+    async syncToFirebase(collection, data, deleteId = null) {
+        if (!this.firebaseEnabled || !window.db) return;
+        if (deleteId) await this.queueSyncOps([{ collection, deleteId }]);
+        else if (data) await this.queueSyncOps([{ collection, data }]);
+    }
+
+    // Sync several writes so they land together (ops: [{collection, data}] or [{collection, deleteId}])
+    async syncBatchToFirebase(ops) {
+        if (!this.firebaseEnabled || !window.db || !ops || ops.length === 0) return;
+        await this.queueSyncOps(ops);
+    }
+
+    // --- Outbox ---
+    // Every write bound for Firestore is kept in the outbox store until Firestore accepts it. Entries are sent
+    // one at a time, oldest first; one that fails is retried with a growing delay and holds back the ones
+    // after it, so changes always arrive in the order they were made. The queue is also sent when the app
+    // starts, when the connection comes back, and through Background Sync (see service-worker.js) when the
+    // browser supports it. With send false the ops are only queued, for a flush later on.
+    async queueSyncOps(ops, send = true) {
+        // Copied before anything is awaited, so later edits to the caller's objects aren't mistaken for what was sent
+        const copies = ops.map(op => op.data ? { ...op, data: JSON.parse(JSON.stringify(op.data)) } : op);
+        const createdAt = new Date().toISOString();
+        const email = this.account ? this.account.email : null;
+        // Access updates are sent after the writes that caused them, as an entry of their own
+        const accessOps = await this.getStudentAccessOps(copies);
+        // Firestore caps a batch or transaction at 500 writes; each entry is written in one go
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['outbox'], 'readwrite');
+            const store = transaction.objectStore('outbox');
+            [copies, accessOps].forEach(list => {
+                for (let i = 0; i < list.length; i += 500) {
+                    store.add({ ops: list.slice(i, i + 500), email, createdAt, attempts: 0, nextAttemptAt: 0, lastError: null });
+                }
+            });
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+        if (send) await this.flushOutbox();
+    }
+
+    // The entries queued by one account (by default the signed-in one). On a shared tablet each person's
+    // unsent changes wait for them to sign in again, since the rules only accept them from that account.
+    async getOutboxEntries(email = this.account ? this.account.email : null) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['outbox'], 'readonly');
+            const request = transaction.objectStore('outbox').getAll();
+            request.onsuccess = () => resolve((request.result || []).filter(entry => !entry.email || entry.email === email));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Access updates (see getStudentAccessOps) aren't changes anyone made, so they aren't counted
+    async countPendingChanges() {
+        return (await this.getOutboxEntries()).reduce((sum, entry) => sum + entry.ops.filter(op => !op.accessId).length, 0);
+    }
+
+    // Sends the outbox; force skips any retry delay (the connection has just come back). Calls made while
+    // it's already sending wait for that run, which goes round again to pick up anything added meanwhile.
+    flushOutbox(force = false) {
+        this.outboxForce = this.outboxForce || force;
+        if (this.outboxFlush) {
+            this.outboxFlushAgain = true;
+            return this.outboxFlush;
+        }
+        this.outboxFlush = (async () => {
+            do {
+                this.outboxFlushAgain = false;
+                const forceNow = this.outboxForce;
+                this.outboxForce = false;
+                await this.replayOutbox(forceNow);
+            } while (this.outboxFlushAgain);
+        })().finally(() => {
+            this.outboxFlush = null;
+        });
+        return this.outboxFlush;
+    }
+
+    async replayOutbox(force) {
+        // Nothing is sent before someone has signed in; the rules would refuse it
+        if (!this.firebaseEnabled || !window.db || !this.account) return;
+        // A write that timed out may still be running. Nothing is sent until it settles, so the same ops are
+        // never being written twice at once; it sends the outbox again when it does.
+        if (this.outboxWrite) return;
+        clearTimeout(this.outboxTimer);
+        try {
+            for (const entry of await this.getOutboxEntries()) {
+                if (!navigator.onLine) {
+                    this.requestBackgroundSync();
+                    return;
+                }
+                const wait = entry.nextAttemptAt - Date.now();
+                if (wait > 0 && !force) {
+                    this.outboxTimer = setTimeout(() => this.flushOutbox(), wait);
+                    return;
+                }
+                const timedOut = new Error('No response from Firebase');
+                // Set once this attempt has failed: from then on the entry belongs to the retry (or has been
+                // deleted), and progress reported by a write that is still running mustn't overwrite it
+                let abandoned = false;
+                // What's been written is taken off the entry as it goes, so a retry doesn't write it again
+                const ops = entry.ops;
+                const onCommitted = async (count) => {
+                    if (abandoned) return;
+                    entry.ops = ops.slice(count);
+                    await this.putOutboxEntry(entry);
+                };
+                const write = this.writeOpsToFirebase(ops, onCommitted);
+                try {
+                    let timer;
+                    const timeout = new Promise((_, reject) => {
+                        timer = setTimeout(() => reject(timedOut), OUTBOX_RETRY.writeTimeoutMs);
+                    });
+                    await Promise.race([write, timeout]).finally(() => clearTimeout(timer));
+                } catch (error) {
+                    abandoned = true;
+                    // The sign-in has expired or been revoked: the entry waits for the user to sign in again
+                    if (error.code === 'unauthenticated') {
+                        await this.putOutboxEntry({ ...entry, lastError: error.message || String(error) });
+                        this.showSignInModal('Your sign-in has expired. Sign in again to send the changes saved on this device.');
+                        return;
+                    }
+                    // Firestore will never accept these (e.g. the account lost access), so retrying would only
+                    // hold back everything queued after them. They go to the conflict inbox instead, where the
+                    // user can see what wasn't sent and try it again
+                    if (['permission-denied', 'invalid-argument'].includes(error.code)) {
+                        console.error('Firebase sync error, write rejected:', error, error.failedOps || entry.ops);
+                        for (const op of error.failedOps || entry.ops) {
+                            if (!op.accessId) await this.addRejectedWrite(op, error);
+                        }
+                        await this.deleteFromStore('outbox', entry.seq);
+                        continue;
+                    }
+                    console.error('Firebase sync error, will retry:', error);
+                    const attempts = entry.attempts + 1;
+                    const delay = Math.min(OUTBOX_RETRY.maxDelayMs, OUTBOX_RETRY.firstDelayMs * 2 ** (attempts - 1));
+                    await this.putOutboxEntry({ ...entry, attempts, nextAttemptAt: Date.now() + delay, lastError: error.message || String(error) });
+                    if (error === timedOut) {
+                        this.outboxWrite = write.catch(() => {}).finally(() => {
+                            this.outboxWrite = null;
+                            this.flushOutbox();
+                        });
+                    } else {
+                        this.outboxTimer = setTimeout(() => this.flushOutbox(), delay);
+                    }
+                    this.requestBackgroundSync();
+                    return;
+                }
+                await this.deleteFromStore('outbox', entry.seq);
+                force = false;
+            }
+        } finally {
+            this.updateSyncStatus();
+        }
+    }
+
+    async putOutboxEntry(entry) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['outbox'], 'readwrite');
+            const request = transaction.objectStore('outbox').put(entry);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Asks the browser to wake the service worker when the device is back online; it then tells an open
+    // window of the app to send the outbox
+    requestBackgroundSync() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.ready
+            .then(registration => registration.sync && registration.sync.register(OUTBOX_SYNC_TAG))
+            .catch(error => console.log('Background Sync unavailable:', error));
+    }
+
+    // Writes one outbox entry. Entries that change versioned records go through commitVersionedWrites, a few
+    // records per transaction: each transaction reads everything it writes, and a large one would keep
+    // colliding with other devices' writes and run into Firestore's time limit. onCommitted(count) is told
+    // how many ops have been written so far, so a retry can carry on from there. Ops the account may not
+    // write are tried one by one, so they don't hold back the rest; they're thrown at the end as
+    // error.failedOps. The rest are a plain batch.
+    async writeOpsToFirebase(ops, onCommitted = null) {
+        const baseRef = window.db.collection('busTracker').doc(this.syncId);
+        if (ops.every(op => op.accessId)) {
+            for (const op of ops) {
+                // Nothing to update when the record has been deleted since
+                await baseRef.collection(op.collection).doc(op.accessId).update({ access: op.access }).catch(error => {
+                    if (error.code !== 'not-found') throw error;
+                });
+            }
+            return;
+        }
+        if (ops.some(op => op.data && !APPEND_ONLY_COLLECTIONS.includes(op.collection))) {
+            const failedOps = [];
+            let denied = null;
+            for (let i = 0; i < ops.length; i += VERSIONED_TRANSACTION_SIZE) {
+                const chunk = ops.slice(i, i + VERSIONED_TRANSACTION_SIZE);
+                try {
+                    await this.commitVersionedWrites(chunk);
+                } catch (error) {
+                    if (error.code !== 'permission-denied') throw error;
+                    denied = error;
+                    for (const op of chunk) {
+                        await this.commitVersionedWrites([op]).catch(opError => {
+                            if (opError.code !== 'permission-denied') throw opError;
+                            failedOps.push(op);
+                        });
+                    }
+                }
+                if (onCommitted) await onCommitted(i + chunk.length);
+            }
+            if (denied) {
+                denied.failedOps = failedOps;
+                throw denied;
+            }
+            return;
+        }
+        const batch = window.db.batch();
+        for (const op of ops) {
+            const collectionRef = baseRef.collection(op.collection);
+            if (op.deleteId) {
+                batch.delete(collectionRef.doc(op.deleteId));
+            } else {
+                batch.set(collectionRef.doc(op.data.id), await this.buildSyncPayload(op.collection, op.data));
+            }
+        }
+        await batch.commit();
+        for (const op of ops) {
+            if (op.deleteId) await this.deleteFromStore('syncBase', `${op.collection}/${op.deleteId}`);
+        }
+    }
+
+    // --- Versioned sync ---
+    // Each synced record carries a revision number (rev) that goes up by one on every write. The syncBase store
+    // keeps the last cloud version this device has seen of each record, which is what both sides started from
+    // when the cloud copy has moved on: fields changed on only one side are combined, and a field changed
+    // differently on both sides keeps the other device's value and is listed in the conflict inbox.
+    
+    // Writes ops in one Firestore transaction: reads the cloud copy of each record, merges where another
+    // device got there first, and writes it with the next revision. Deletes in ops are applied as they are.
+    async commitVersionedWrites(ops) {
+        const baseRef = window.db.collection('busTracker').doc(this.syncId);
+        const stamp = { updatedAt: new Date().toISOString(), updatedBy: this.account ? this.account.email : null };
+        const results = await window.db.runTransaction(async (transaction) => {
+            // Firestore needs every read in a transaction done before the first write; they're all sent at once
+            const results = await Promise.all(ops.map(async (op) => {
+                if (!op.data || APPEND_ONLY_COLLECTIONS.includes(op.collection)) {
+                    return { op, record: op.data || null, remote: null, conflicts: [] };
+                }
+                const [snapshot, base] = await Promise.all([
+                    transaction.get(baseRef.collection(op.collection).doc(op.data.id)),
+                    this.getFromStore('syncBase', `${op.collection}/${op.data.id}`)
+                ]);
+                const remote = snapshot.exists ? await this.decryptFromSync(snapshot.id, snapshot.data()) : null;
+                // This device has seen the record in the cloud, so it has been deleted there since: writing it
+                // would bring it back. It goes to the conflict inbox instead.
+                if (!remote && base) {
+                    return { op, record: null, remote: null, conflicts: [], deletedElsewhere: true };
+                }
+                let merged = op.data;
+                let conflicts = [];
+                if (remote && (!base || (remote.rev || 0) !== base.rev)) {
+                    // With no record of what the cloud copy looked like before, every field the two versions
+                    // disagree on counts as changed on both sides
+                    ({ merged, conflicts } = this.mergeRecordVersions(base ? base.data : {}, op.data, remote));
+                }
+                // Already in the cloud as it would be written, e.g. a write that timed out in the outbox but
+                // still went through: writing it again would only bump the revision for every other device
+                if (remote && this.getChangedFields(merged, remote, SYNC_META_FIELDS).length === 0) {
+                    return { op, record: remote, remote, conflicts, versioned: true, unchanged: true };
+                }
+                return { op, record: { ...merged, rev: ((remote && remote.rev) || 0) + 1, ...stamp }, remote, conflicts, versioned: true };
+            }));
+            const payloads = await Promise.all(results.map(({ op, record, deletedElsewhere, unchanged }) => (
+                op.deleteId || deletedElsewhere || unchanged ? null : this.buildSyncPayload(op.collection, record)
+            )));
+            results.forEach(({ op, deletedElsewhere, unchanged }, i) => {
+                if (deletedElsewhere || unchanged) return;
+                const ref = baseRef.collection(op.collection).doc(op.deleteId || op.data.id);
+                if (op.deleteId) transaction.delete(ref);
+                else transaction.set(ref, payloads[i]);
+            });
+            return results;
+        });
+        
+        for (const { op, record, remote, conflicts, versioned, deletedElsewhere } of results) {
+            if (deletedElsewhere) {
+                await this.addSyncConflict(op.collection, op.data, null, []);
+                continue;
+            }
+            if (op.deleteId) {
+                await this.deleteFromStore('syncBase', `${op.collection}/${op.deleteId}`);
+                continue;
+            }
+            if (!versioned) continue;
+            await this.putSyncBase(op.collection, record);
+            if (this.getChangedFields(record, op.data, SYNC_META_FIELDS).length > 0) {
+                // Keep the other device's changes here too, unless the record was edited again (or deleted)
+                // while this write was on its way; that edit is merged when it's sent
+                const local = await this.getFromStore(op.collection, record.id);
+                if (local && this.getChangedFields(local, op.data).length === 0) await this.saveSyncedRecordLocally(op.collection, record);
+            }
+            if (conflicts.length) await this.addSyncConflict(op.collection, op.data, remote, conflicts);
+        }
+    }
+
+    // What to store locally for a record that arrived from the cloud, or null when it's older than what this
+    // device already has. A record also changed on this device since it last synced is merged with it, and the
+    // merged version is sent back.
+    async mergeSyncedRecord(collection, remote) {
+        const [base, local] = await Promise.all([
+            this.getFromStore('syncBase', `${collection}/${remote.id}`),
+            this.getFromStore(collection, remote.id)
+        ]);
+        if (base && (remote.rev || 0) < base.rev) return null;
+        await this.putSyncBase(collection, remote);
+        if (!local || !base || this.getChangedFields(base.data, local, SYNC_META_FIELDS).length === 0) return remote;
+        const { merged, conflicts } = this.mergeRecordVersions(base.data, local, remote);
+        if (conflicts.length) await this.addSyncConflict(collection, local, remote, conflicts);
+        if (this.getChangedFields(merged, remote, SYNC_META_FIELDS).length > 0) this.syncToFirebase(collection, merged);
+        return merged;
+    }
+
+    async receiveSyncedRecord(collection, doc) {
+        const record = await this.decryptFromSync(doc.id, doc.data());
+        return record ? this.mergeSyncedRecord(collection, record) : null;
+    }
+
+    // Three-way merge from the version both sides started from. Fields changed differently on both sides keep
+    // the remote value and are returned in conflicts.
+    mergeRecordVersions(base, local, remote) {
+        const merged = { ...remote };
+        const remoteChanges = new Set(this.getChangedFields(base, remote, SYNC_META_FIELDS));
+        const conflicts = [];
+        this.getChangedFields(base, local, SYNC_META_FIELDS).forEach(field => {
+            if (remoteChanges.has(field) && this.getChangedFields({ [field]: local[field] }, { [field]: remote[field] }).length > 0) {
+                conflicts.push(field);
+            } else if (local[field] === undefined) {
+                delete merged[field];
+            } else {
+                merged[field] = local[field];
+            }
+        });
+        return { merged, conflicts };
+    }
+
+    // Fields whose values differ between two versions of a record; a missing field counts as null
+    getChangedFields(a, b, ignore = []) {
+        const same = (field) => JSON.stringify(a[field] ?? null) === JSON.stringify(b[field] ?? null);
+        return Array.from(new Set([...Object.keys(a), ...Object.keys(b)])).filter(field => !ignore.includes(field) && !same(field));
+    }
+
+    async putSyncBase(collection, record) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['syncBase'], 'readwrite');
+            const request = transaction.objectStore('syncBase').put({ key: `${collection}/${record.id}`, rev: record.rev || 0, data: record });
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async saveSyncedRecordLocally(collection, record) {
+        const savers = {
+            busses: 'addBusToIndexedDB',
+            students: 'addStudentToIndexedDB',
+            households: 'addHouseholdToIndexedDB',
+            seatAssignments: 'addSeatAssignmentToIndexedDB',
+            checkins: 'addCheckinToIndexedDB',
+            routeRows: 'addRouteRowToIndexedDB',
+            routeVersions: 'addRouteVersionToIndexedDB',
+            runs: 'addRunToIndexedDB',
+            absences: 'addAbsenceToIndexedDB'
+        };
+        if (savers[collection]) await this[savers[collection]](record);
+    }
+
+    // --- Conflict inbox ---
+    // One entry per record (a later conflict on the same record replaces it), kept on this device only.
+    // remote is null when the record was deleted on another device while this one was changing it.
+    async addSyncConflict(collection, local, remote, fields) {
+        const id = `${collection}/${local.id}`;
+        const existing = await this.getFromStore('conflicts', id);
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['conflicts'], 'readwrite');
+            const request = transaction.objectStore('conflicts').put({
+                id,
+                collection,
+                recordId: local.id,
+                email: this.account ? this.account.email : null,
+                label: this.describeSyncRecord(collection, remote || local),
+                fields: Array.from(new Set([...(existing ? existing.fields : []), ...fields])),
+                local,
+                remote,
+                detectedAt: new Date().toISOString()
+            });
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+        await this.updateConflictBadge();
+    }
+
+    // A write Firestore refused for good. It stays in the inbox with the op as it was queued, so it can be sent again
+    async addRejectedWrite(op, error) {
+        const recordId = op.data ? op.data.id : op.deleteId;
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['conflicts'], 'readwrite');
+            const request = transaction.objectStore('conflicts').put({
+                id: `${op.collection}/${recordId}`,
+                collection: op.collection,
+                recordId,
+                email: this.account ? this.account.email : null,
+                label: this.describeSyncRecord(op.collection, op.data || { id: recordId }),
+                rejected: error.message || String(error),
+                op,
+                fields: [],
+                local: op.data || null,
+                remote: null,
+                detectedAt: new Date().toISOString()
+            });
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+        await this.updateConflictBadge();
+    }
+
+    async getSyncConflicts() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['conflicts'], 'readonly');
+            const request = transaction.objectStore('conflicts').getAll();
+            // Like the outbox, conflicts found while someone else was signed in wait for that person
+            const email = this.account ? this.account.email : null;
+            request.onsuccess = () => resolve((request.result || [])
+                .filter(c => !c.email || c.email === email)
+                .sort((a, b) => b.detectedAt.localeCompare(a.detectedAt)));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    describeSyncRecord(collection, record) {
+        const type = AUDIT_TYPE_BY_COLLECTION[collection];
+        if (type) return `${AUDIT_ENTITY_TYPES[type]}: ${this.describeAuditRecord(type, record)}`;
+        if (collection === 'busses') return `Bus: ${record.name || ''}`;
+        if (collection === 'households') return `Household: ${record.address || ''}`;
+        return `${collection}: ${record.id}`;
+    }
+
+    async updateConflictBadge() {
+        const badge = document.getElementById('conflictBadgeBtn');
+        if (!badge) return;
+        const count = (await this.getSyncConflicts()).length;
+        badge.textContent = `⚠️ ${count} sync conflict${count === 1 ? '' : 's'} to review`;
+        badge.style.display = count > 0 ? 'inline-block' : 'none';
+    }
+
+    async openConflictsModal() {
+        await this.renderConflicts();
+        document.getElementById('conflictsModal').style.display = 'block';
+    }
+
+    closeConflictsModal() {
+        document.getElementById('conflictsModal').style.display = 'none';
+    }
+
+    async renderConflicts() {
+        const conflicts = await this.getSyncConflicts();
+        const container = document.getElementById('conflictList');
+        if (conflicts.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: var(--text-secondary); padding: 40px;">No conflicts to review.</p>';
+            return;
+        }
+        const value = (v) => {
+            if (v === null || v === undefined || v === '') return '<em>blank</em>';
+            return this.escapeHtml(typeof v === 'object' ? JSON.stringify(v) : String(v));
+        };
+        container.innerHTML = conflicts.map(c => {
+            if (c.rejected) {
+                return `
+                    <div class="conflict-card">
+                        <div class="conflict-title">${this.escapeHtml(c.label)}</div>
+                        <div class="conflict-meta">Found ${new Date(c.detectedAt).toLocaleString()}. The cloud refused this ${c.op.deleteId ? 'deletion' : 'change'} (${this.escapeHtml(c.rejected)}), so it has only been made on this device.</div>
+                        <div class="conflict-actions">
+                            <button class="btn btn-secondary" onclick="app.resolveConflict('${this.escapeHtml(c.id)}', false)">Dismiss</button>
+                            <button class="btn btn-primary" onclick="app.resolveConflict('${this.escapeHtml(c.id)}', true)">Try Again</button>
+                        </div>
+                    </div>
+                `;
+            }
+            if (!c.remote) {
+                return `
+                    <div class="conflict-card">
+                        <div class="conflict-title">${this.escapeHtml(c.label)}</div>
+                        <div class="conflict-meta">Found ${new Date(c.detectedAt).toLocaleString()}. This record was deleted on another device while it was being changed on this one. Your changes haven't been sent.</div>
+                        <div class="conflict-actions">
+                            <button class="btn btn-secondary" onclick="app.resolveConflict('${this.escapeHtml(c.id)}', false)">Delete It Here Too</button>
+                            <button class="btn btn-primary" onclick="app.resolveConflict('${this.escapeHtml(c.id)}', true)">Restore This Device's Version</button>
+                        </div>
+                    </div>
+                `;
+            }
+            const remote = c.remote;
+            const otherLabel = `${remote.updatedBy || 'Another device'}${remote.updatedAt ? `, ${new Date(remote.updatedAt).toLocaleString()}` : ''}`;
+            return `
+                <div class="conflict-card">
+                    <div class="conflict-title">${this.escapeHtml(c.label)}</div>
+                    <div class="conflict-meta">Found ${new Date(c.detectedAt).toLocaleString()}. The other version is in use now.</div>
+                    <div class="report-table-wrapper">
+                        <table class="report-table">
+                            <thead><tr><th>Field</th><th>This device</th><th>${this.escapeHtml(otherLabel)}</th></tr></thead>
+                            <tbody>
+                                ${c.fields.map(field => `
+                                    <tr><td>${this.escapeHtml(field)}</td><td>${value(c.local[field])}</td><td>${value(remote[field])}</td></tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div class="conflict-actions">
+                        <button class="btn btn-secondary" onclick="app.resolveConflict('${this.escapeHtml(c.id)}', false)">Keep Other Version</button>
+                        <button class="btn btn-primary" onclick="app.resolveConflict('${this.escapeHtml(c.id)}', true)">Use This Device's Version</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // The other version is already in place, so keeping it only clears the entry; using this device's version
+    // puts its values for the conflicting fields back and sends the record again. For a record deleted on
+    // another device, keeping the other version deletes it here too and using this one creates it again.
+    // A write the cloud refused is either dismissed or queued again as it was.
+    async resolveConflict(conflictId, useLocal) {
+        const conflict = await this.getFromStore('conflicts', conflictId);
+        if (!conflict) return;
+        const type = AUDIT_TYPE_BY_COLLECTION[conflict.collection];
+        if (conflict.rejected) {
+            // Cleared before it's queued, since a second refusal puts it back
+            await this.deleteFromStore('conflicts', conflictId);
+            if (useLocal) await this.queueSyncOps([conflict.op]);
+            await this.updateConflictBadge();
+            await this.renderConflicts();
+            return;
+        }
+        if (!conflict.remote) {
+            const current = await this.getFromStore(conflict.collection, conflict.recordId);
+            await this.deleteFromStore('syncBase', conflict.id);
+            if (useLocal) {
+                const restored = { ...(current || conflict.local) };
+                delete restored.rev;
+                await this.saveSyncedRecordLocally(conflict.collection, restored);
+                this.syncToFirebase(conflict.collection, restored);
+                if (type) await this.recordAudit([{ type, before: null, after: restored, action: 'restore' }]);
+            } else if (current) {
+                await this.deleteFromStore(conflict.collection, conflict.recordId);
+                await this.loadData();
+                if (type) await this.recordAudit([{ type, before: current, after: null }]);
+            }
+        } else if (useLocal) {
+            const current = await this.getFromStore(conflict.collection, conflict.recordId);
+            if (!current) {
+                alert('This record has been deleted since, so there is nothing to update.');
+            } else {
+                const updated = { ...current };
+                conflict.fields.forEach(field => {
+                    if (conflict.local[field] === undefined) delete updated[field];
+                    else updated[field] = conflict.local[field];
+                });
+                await this.saveSyncedRecordLocally(conflict.collection, updated);
+                this.syncToFirebase(conflict.collection, updated);
+                if (type) await this.recordAudit([{ type, before: current, after: updated }]);
+            }
+        }
+        await this.deleteFromStore('conflicts', conflictId);
+        await this.updateConflictBadge();
+        await this.renderConflicts();
+        this.renderBusses();
+        if (this.currentBusId) await this.renderBusDiagram();
+    }
+
+    // Sync from Firebase (decrypts documents when encryption is enabled)
+    async syncFromFirebase() {
+        if (!this.firebaseEnabled || !window.db || !this.canReadAnyBus()) return;
+        
+        try {
+            // Records synced before accounts existed have no access field (see getSyncAccess)
+            const unscoped = [];
+            // Pass the collection for versioned records, to merge them with any changes made on this device
+            const decrypt = async (doc, collection = null) => {
+                const data = doc.data();
+                const decrypted = await this.decryptFromSync(doc.id, data);
+                if (decrypted === null && data && data.v === 1) throw new Error('WRONG_PASSWORD');
+                if (collection && data && !data.access && collection !== 'households') unscoped.push({ collection, record: decrypted || data });
+                return collection ? this.mergeSyncedRecord(collection, decrypted || data) : decrypted || data;
+            };
+
+            // Sync busses
+            const bussesSnapshot = await this.scopedCollection('busses').get();
+            for (const doc of bussesSnapshot.docs) {
+                const bus = await decrypt(doc, 'busses');
+                if (bus) this.addBusToIndexedDB(bus);
+            }
+            
+            // Sync students
+            const studentsSnapshot = await this.scopedCollection('students').get();
+            for (const doc of studentsSnapshot.docs) {
+                const student = await decrypt(doc, 'students');
+                if (student) this.addStudentToIndexedDB(student);
+            }
+            
+            // Sync households
+            if (this.can('viewAllBusses')) {
+                const householdsSnapshot = await this.scopedCollection('households').get();
+                for (const doc of householdsSnapshot.docs) {
+                    const household = await decrypt(doc, 'households');
+                    if (household) this.addHouseholdToIndexedDB(household);
+                }
             }
             
             // Sync seat assignments
-            const assignmentsSnapshot = await window.db.collection('busTracker').doc(this.syncId).collection('seatAssignments').get();
+            const assignmentsSnapshot = await this.scopedCollection('seatAssignments').get();
             for (const doc of assignmentsSnapshot.docs) {
-                const assignment = await decrypt(doc);
+                const assignment = await decrypt(doc, 'seatAssignments');
                 if (assignment) this.addSeatAssignmentToIndexedDB(assignment);
             }
             
             // Sync checkins
-            const checkinsSnapshot = await window.db.collection('busTracker').doc(this.syncId).collection('checkins').get();
+            const checkinsSnapshot = await this.scopedCollection('checkins').get();
             for (const doc of checkinsSnapshot.docs) {
-                const checkin = await decrypt(doc);
+                const checkin = await decrypt(doc, 'checkins');
                 if (checkin) this.addCheckinToIndexedDB(checkin);
             }
             
             // Sync routeRows
-            const routeRowsSnapshot = await window.db.collection('busTracker').doc(this.syncId).collection('routeRows').get();
+            const routeRowsSnapshot = await this.scopedCollection('routeRows').get();
             for (const doc of routeRowsSnapshot.docs) {
-                const row = await decrypt(doc);
+                const row = await decrypt(doc, 'routeRows');
                 if (row) this.addRouteRowToIndexedDB(row);
             }
             
+            // Sync route versions
+            const routeVersionsSnapshot = await this.scopedCollection('routeVersions').get();
+            for (const doc of routeVersionsSnapshot.docs) {
+                const version = await decrypt(doc, 'routeVersions');
+                if (version) this.addRouteVersionToIndexedDB(version);
+            }
+            
+            // Sync finalized runs
+            const runsSnapshot = await this.scopedCollection('runs').get();
+            for (const doc of runsSnapshot.docs) {
+                const run = await decrypt(doc, 'runs');
+                if (run) this.addRunToIndexedDB(run);
+            }
+            
+            // Sync absences
+            const absencesSnapshot = await this.scopedCollection('absences').get();
+            for (const doc of absencesSnapshot.docs) {
+                const absence = await decrypt(doc, 'absences');
+                if (absence) this.addAbsenceToIndexedDB(absence);
+            }
+            
+            // Sync recent GPS breadcrumbs. Points uploaded before the run date was stored readable can't be
+            // found by date, so a staff device reads them all once and gives them the date.
+            const gpsStart = this.getGpsSyncStartDate();
+            const addGpsDates = this.can('viewAllBusses') && !localStorage.getItem(this.GPS_DATES_ADDED_STORAGE_KEY);
+            const gpsPointsSnapshot = await (addGpsDates ? this.scopedCollection('gpsPoints') : this.getGpsPointsQuery('>=', gpsStart)).get();
+            const gpsPoints = [];
+            const gpsDateOps = [];
+            for (const doc of gpsPointsSnapshot.docs) {
+                const point = await decrypt(doc);
+                if (!point) continue;
+                if (addGpsDates && !(doc.data().access && doc.data().access.date)) {
+                    gpsDateOps.push({ collection: 'gpsPoints', accessId: doc.id, access: await this.getSyncAccess('gpsPoints', point) });
+                }
+                if (point.date >= gpsStart) gpsPoints.push(point);
+            }
+            if (gpsPoints.length) await this.addGpsPointsToIndexedDB(gpsPoints);
+            if (gpsDateOps.length) this.syncBatchToFirebase(gpsDateOps);
+            if (addGpsDates) localStorage.setItem(this.GPS_DATES_ADDED_STORAGE_KEY, '1');
+            
+            // Sync the recent audit log
+            if (this.can('viewAuditLog')) {
+                const auditLogSnapshot = await this.scopedCollection('auditLog').where('access.timestamp', '>=', this.getAuditSyncStart()).get();
+                const entries = [];
+                for (const doc of auditLogSnapshot.docs) {
+                    // Entries written before the encryption password last changed can't be read, and are skipped
+                    const entry = await this.decryptFromSync(doc.id, doc.data());
+                    if (entry) entries.push(entry);
+                }
+                if (entries.length) await this.addAuditEntriesToIndexedDB(entries);
+            }
+            
+            // Staff give those records their access once, so drivers' queries find them. Done after everything
+            // is stored, since a student's access depends on their seats.
+            if (unscoped.length && this.can('viewAllBusses')) {
+                const accessOps = await Promise.all(unscoped.map(async ({ collection, record }) => ({
+                    collection,
+                    accessId: record.id,
+                    access: await this.getSyncAccess(collection, record)
+                })));
+                this.syncBatchToFirebase(accessOps);
+            }
+            
             // Reload UI
             await this.loadData();
             this.renderBusses();
@@ -608,6 +2149,241 @@ class BusStudentTracker {
         });
     }
 
+    // --- Audit log ---
+    // Each change to students, seats, check-ins and routes made on this device is appended to the auditLog
+    // store and synced with who made it, on which device and when. Updates keep only the fields that changed.
+    // changes: [{ type, before, after, action? }] – before is null for a new record, after is null for a
+    // deleted one. Changes that leave the record as it was are skipped.
+    async recordAudit(changes) {
+        const timestamp = new Date().toISOString();
+        const clean = (record) => JSON.parse(JSON.stringify(record));
+        const entries = [];
+        for (const { type, before, after, action } of changes) {
+            let oldValues = before ? clean(before) : null;
+            let newValues = after ? clean(after) : null;
+            if (oldValues && newValues) {
+                const fields = this.getChangedFields(oldValues, newValues);
+                if (fields.length === 0) continue;
+                oldValues = Object.fromEntries(fields.map(field => [field, oldValues[field] ?? null]));
+                newValues = Object.fromEntries(fields.map(field => [field, newValues[field] ?? null]));
+            }
+            const record = after || before;
+            entries.push({
+                id: this.generateId(),
+                timestamp,
+                action: action || (!before ? 'create' : !after ? 'delete' : 'update'),
+                entityType: type,
+                entityId: record.id || null,
+                busId: record.busId || null,
+                label: this.describeAuditRecord(type, record),
+                before: oldValues,
+                after: newValues,
+                user: this.account ? this.account.email : null,
+                deviceId: this.deviceId,
+                deviceName: this.getDeviceName()
+            });
+        }
+        if (entries.length === 0) return [];
+        // A change that was saved shouldn't fail because its log entry couldn't be written
+        try {
+            await this.addAuditEntriesToIndexedDB(entries);
+            this.syncBatchToFirebase(entries.map(entry => ({ collection: 'auditLog', data: entry })));
+        } catch (error) {
+            console.error('Audit log error:', error);
+        }
+        return entries;
+    }
+
+    async addAuditEntriesToIndexedDB(entries) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['auditLog'], 'readwrite');
+            const store = transaction.objectStore('auditLog');
+            entries.forEach(entry => store.put(entry));
+            transaction.oncomplete = () => resolve(entries);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    getAuditSyncStart() {
+        const start = new Date();
+        start.setDate(start.getDate() - AUDIT_SYNC_DAYS);
+        return start.toISOString();
+    }
+
+    // Downloads the page of entries before the oldest one on this device and returns how many were found.
+    // Entries synced before their time was stored readable (access.timestamp) can't be paged through; they're
+    // fetched in one go, once, when the pages run out.
+    async loadOlderAuditEntries() {
+        const oldest = (await this.getAuditEntries()).pop();
+        let query = this.scopedCollection('auditLog');
+        if (oldest) query = query.where('access.timestamp', '<', oldest.timestamp);
+        const snapshot = await query.orderBy('access.timestamp', 'desc').limit(AUDIT_PAGE_SIZE).get();
+        let docs = snapshot.docs;
+        if (docs.length < AUDIT_PAGE_SIZE && !localStorage.getItem(this.AUDIT_UNDATED_LOADED_STORAGE_KEY)) {
+            const all = await this.scopedCollection('auditLog').get();
+            docs = docs.concat(all.docs.filter(doc => !(doc.data().access && doc.data().access.timestamp)));
+            localStorage.setItem(this.AUDIT_UNDATED_LOADED_STORAGE_KEY, '1');
+        }
+        const entries = [];
+        for (const doc of docs) {
+            const entry = await this.decryptFromSync(doc.id, doc.data());
+            if (entry) entries.push(entry);
+        }
+        if (entries.length) await this.addAuditEntriesToIndexedDB(entries);
+        return snapshot.docs.length;
+    }
+
+    // Newest first
+    async getAuditEntries() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['auditLog'], 'readonly');
+            const request = transaction.objectStore('auditLog').index('timestamp').getAll();
+            request.onsuccess = () => resolve((request.result || []).reverse());
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Saved with the entry, so it still reads sensibly after the record (or its bus or student) is deleted
+    describeAuditRecord(type, record) {
+        const bus = this.busses.find(b => b.id === record.busId);
+        const busLabel = [bus ? bus.name : '', record.route].filter(Boolean).join(' ');
+        const student = this.students.find(s => s.id === record.studentId);
+        const studentName = student ? this.getStudentDisplayName(student) : '';
+        switch (type) {
+            case 'student':
+                return this.getStudentDisplayName(record);
+            case 'seatAssignment':
+                return `${busLabel} – ${this.getSeatLabel(this.getBusLayout(bus), record.row, record.side, record.position)}${studentName ? `: ${studentName}` : ''}`;
+            case 'checkin':
+                return `${studentName || 'Unknown student'} – ${busLabel} ${record.date || ''}`.trim();
+            case 'routeRow':
+                return `${busLabel} stop ${(record.order || 0) + 1}${record.streetAddress || record.studentName ? `: ${record.streetAddress || record.studentName}` : ''}`;
+            case 'routeVersion':
+                return `${busLabel} – ${record.name || 'Route version'}`;
+            case 'backup':
+                return record.fileName || 'Backup file';
+            default:
+                return record.id || '';
+        }
+    }
+
+    // A short name for this device in the audit log, e.g. "iPad – Safari"
+    getDeviceName() {
+        const userAgent = navigator.userAgent || '';
+        const platforms = [['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Android', 'Android'], ['CrOS', 'Chromebook'], ['Windows', 'Windows'], ['Macintosh', 'Mac'], ['Linux', 'Linux']];
+        const browsers = [['Edg/', 'Edge'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+        const platform = platforms.find(([token]) => userAgent.includes(token));
+        const browser = browsers.find(([token]) => userAgent.includes(token));
+        return [platform ? platform[1] : 'Unknown device', browser ? browser[1] : ''].filter(Boolean).join(' – ');
+    }
+
+    async openAuditLogModal() {
+        if (!this.requirePermission('viewAuditLog')) return;
+        this.closeSettingsModal();
+        const typeSelect = document.getElementById('auditTypeSelect');
+        typeSelect.innerHTML = '<option value="">All records</option>' +
+            Object.entries(AUDIT_ENTITY_TYPES).map(([type, label]) => `<option value="${type}">${label}</option>`).join('');
+        ['auditActionSelect', 'auditUserSelect', 'auditStartDateInput', 'auditEndDateInput', 'auditSearchInput'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        this.auditLogLimit = AUDIT_PAGE_SIZE;
+        this.auditLogAllLoaded = !this.firebaseEnabled || !window.db;
+        document.getElementById('auditLogModal').style.display = 'block';
+        await this.renderAuditLog();
+    }
+
+    closeAuditLogModal() {
+        document.getElementById('auditLogModal').style.display = 'none';
+    }
+
+    async renderAuditLog() {
+        const entries = await this.getAuditEntries();
+        const userSelect = document.getElementById('auditUserSelect');
+        const selectedUser = userSelect.value;
+        const users = Array.from(new Set(entries.map(e => e.user || ''))).sort();
+        userSelect.innerHTML = '<option value="">Everyone</option>' +
+            users.map(user => `<option value="${this.escapeHtml(user || '-')}">${this.escapeHtml(user || 'Not signed in')}</option>`).join('');
+        userSelect.value = users.includes(selectedUser === '-' ? '' : selectedUser) ? selectedUser : '';
+
+        const type = document.getElementById('auditTypeSelect').value;
+        const action = document.getElementById('auditActionSelect').value;
+        const user = userSelect.value;
+        const startDate = document.getElementById('auditStartDateInput').value;
+        const endDate = document.getElementById('auditEndDateInput').value;
+        const search = document.getElementById('auditSearchInput').value.trim().toLowerCase();
+        const matches = entries.filter(e => {
+            const day = e.timestamp.split('T')[0];
+            return (!type || e.entityType === type)
+                && (!action || e.action === action)
+                && (!user || (e.user || '-') === user)
+                && (!startDate || day >= startDate)
+                && (!endDate || day <= endDate)
+                && (!search || `${e.label} ${JSON.stringify(e.before)} ${JSON.stringify(e.after)}`.toLowerCase().includes(search));
+        });
+
+        const container = document.getElementById('auditLogResults');
+        this.auditLogMatchCount = matches.length;
+        const limit = this.auditLogLimit;
+        // Older entries are shown from this device first, then fetched from the cloud a page at a time
+        const showOlder = matches.length > limit || !this.auditLogAllLoaded
+            ? '<button class="btn btn-secondary" onclick="app.showOlderAuditEntries()">Show Older Changes</button>'
+            : '';
+        if (matches.length === 0) {
+            container.innerHTML = `<p style="text-align: center; color: var(--text-secondary); padding: 40px;">${entries.length ? 'No changes match these filters.' : 'No changes have been recorded yet.'}</p>${showOlder}`;
+            return;
+        }
+        const actionLabels = { create: 'Added', update: 'Changed', delete: 'Removed', restore: 'Restored' };
+        container.innerHTML = `
+            <div class="report-table-wrapper audit-table-wrapper">
+                <table class="report-table audit-table">
+                    <thead><tr><th>When</th><th>Who</th><th>Device</th><th>Change</th><th>Record</th><th>Before → after</th></tr></thead>
+                    <tbody>
+                        ${matches.slice(0, limit).map(e => `
+                            <tr>
+                                <td>${new Date(e.timestamp).toLocaleString()}</td>
+                                <td>${this.escapeHtml(e.user || 'Not signed in')}</td>
+                                <td>${this.escapeHtml(e.deviceName || '')}${e.deviceId === this.deviceId ? ' (this device)' : ''}</td>
+                                <td>${actionLabels[e.action] || this.escapeHtml(e.action)} ${(AUDIT_ENTITY_TYPES[e.entityType] || this.escapeHtml(e.entityType)).toLowerCase()}</td>
+                                <td>${this.escapeHtml(e.label || '')}</td>
+                                <td class="audit-changes">${this.formatAuditChanges(e)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <p class="report-note">${matches.length > limit ? `Showing the newest ${limit} of ${matches.length} matching changes.` : `${matches.length} matching change${matches.length === 1 ? '' : 's'}${this.auditLogAllLoaded ? '' : ' on this device'}.`}</p>
+            ${showOlder}
+        `;
+    }
+
+    async showOlderAuditEntries() {
+        if (this.auditLogMatchCount > this.auditLogLimit) {
+            this.auditLogLimit += AUDIT_PAGE_SIZE;
+        } else {
+            try {
+                if (await this.loadOlderAuditEntries() < AUDIT_PAGE_SIZE) this.auditLogAllLoaded = true;
+            } catch (error) {
+                console.error('Error loading older audit entries:', error);
+                alert('Could not load older changes. Check the connection and try again.');
+                return;
+            }
+            this.auditLogLimit = this.auditLogMatchCount + AUDIT_PAGE_SIZE;
+        }
+        await this.renderAuditLog();
+    }
+
+    formatAuditChanges(entry) {
+        const value = (v) => {
+            if (v === null || v === undefined || v === '') return '<em>blank</em>';
+            return this.escapeHtml(typeof v === 'object' ? JSON.stringify(v) : String(v));
+        };
+        const fields = Object.keys(entry.after || entry.before || {}).filter(field => field !== 'id');
+        return fields.map(field => {
+            if (entry.before && entry.after) return `<div><strong>${this.escapeHtml(field)}</strong>: ${value(entry.before[field])} → ${value(entry.after[field])}</div>`;
+            return `<div><strong>${this.escapeHtml(field)}</strong>: ${value((entry.after || entry.before)[field])}</div>`;
+        }).join('');
+    }
+
     // IndexedDB CRUD Operations - Students
     async addStudentToIndexedDB(student) {
         return new Promise((resolve, reject) => {
@@ -635,16 +2411,21 @@ class BusStudentTracker {
         student.id = student.id || this.generateId();
         await this.addStudentToIndexedDB(student);
         this.syncToFirebase('students', student);
+        await this.recordAudit([{ type: 'student', before: null, after: student }]);
         return student;
     }
 
+    // Callers edit the student in place, so the stored copy is what it looked like before
     async updateStudent(student) {
+        const before = await this.getFromStore('students', student.id);
         await this.addStudentToIndexedDB(student);
         this.syncToFirebase('students', student);
+        await this.recordAudit([{ type: 'student', before, after: student }]);
         return student;
     }
 
     async deleteStudent(studentId) {
+        const before = this.students.find(s => s.id === studentId);
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction(['students', 'seatAssignments'], 'readwrite');
             const studentStore = transaction.objectStore('students');
@@ -656,16 +2437,21 @@ class BusStudentTracker {
                 const assignmentIndex = assignmentStore.index('studentId');
                 const range = IDBKeyRange.only(studentId);
                 const cursorRequest = assignmentIndex.openCursor(range);
+                const audit = before ? [{ type: 'student', before, after: null }] : [];
                 
                 cursorRequest.onsuccess = (e) => {
                     const cursor = e.target.result;
                     if (cursor) {
                         assignmentStore.delete(cursor.primaryKey);
+                        audit.push({ type: 'seatAssignment', before: cursor.value, after: null });
                         cursor.continue();
                     } else {
+                        // Logged first so the seat entries are labelled with the student's name
+                        const audited = this.recordAudit(audit);
                         this.students = this.students.filter(s => s.id !== studentId);
                         this.syncToFirebase('students', null, studentId);
-                        resolve();
+                        // Drop the student's household if nobody is left in it
+                        Promise.all([audited, this.saveHouseholdLinks(new Map(), [], before && before.householdId ? [before.householdId] : [])]).then(() => resolve(), reject);
                     }
                 };
             };
@@ -748,6 +2534,7 @@ class BusStudentTracker {
         
         await this.addSeatAssignmentToIndexedDB(assignment);
         this.syncToFirebase('seatAssignments', assignment);
+        await this.recordAudit([{ type: 'seatAssignment', before: null, after: assignment }]);
         return assignment;
     }
 
@@ -760,18 +2547,20 @@ class BusStudentTracker {
             const key = [busId, routeToUse];
             const range = IDBKeyRange.only(key);
             const request = index.openCursor(range);
+            const removed = [];
             
             request.onsuccess = (e) => {
                 const cursor = e.target.result;
                 if (cursor) {
                     const assignment = cursor.value;
-                    if (assignment.row === row && assignment.side === side && assignment.position === position) {
+                    if (this.isSameSeat(assignment, { row, side, position })) {
                         store.delete(cursor.primaryKey);
-                        this.syncToFirebase('seatAssignments', null, assignment.id);
+                        this.syncBatchToFirebase([{ collection: 'seatAssignments', deleteId: assignment.id, studentId: assignment.studentId }]);
+                        removed.push(assignment);
                     }
                     cursor.continue();
                 } else {
-                    resolve();
+                    this.recordAudit(removed.map(assignment => ({ type: 'seatAssignment', before: assignment, after: null }))).then(resolve, reject);
                 }
             };
             
@@ -781,12 +2570,58 @@ class BusStudentTracker {
         });
     }
 
+    // Move the student at one seat to another; if the target is occupied the two students swap.
+    // Both records change in a single transaction so a failure can't leave a student seated twice.
+    async moveOrSwapSeats(busId, route, from, to) {
+        const layout = this.getBusLayout(busId);
+        const parses = (seat) => seat && Number.isInteger(seat.row) && Number.isInteger(seat.position);
+        if (!parses(from) || !parses(to) || !this.isSeatUsable(layout, to.row, to.side, to.position)) {
+            throw new Error('Not a seat on this bus');
+        }
+        const routeToUse = route || 'AM';
+        const changed = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['seatAssignments'], 'readwrite');
+            const store = transaction.objectStore('seatAssignments');
+            const request = store.index('busRoute').getAll(IDBKeyRange.only([busId, routeToUse]));
+            const updates = [];
+            const previous = [];
+            
+            request.onsuccess = () => {
+                const assignments = request.result || [];
+                const source = assignments.find(a => this.isSameSeat(a, from));
+                if (!source) {
+                    transaction.abort();
+                    return;
+                }
+                const target = assignments.find(a => this.isSameSeat(a, to));
+                const assignedAt = new Date().toISOString();
+                updates.push({ ...source, row: to.row, side: to.side, position: to.position, assignedAt });
+                previous.push(source);
+                if (target) {
+                    updates.push({ ...target, row: from.row, side: from.side, position: from.position, assignedAt });
+                    previous.push(target);
+                }
+                updates.forEach(a => store.put(a));
+            };
+            
+            transaction.oncomplete = () => resolve(updates.map((a, i) => ({ type: 'seatAssignment', before: previous[i], after: a })));
+            transaction.onabort = () => {
+                if (transaction.error) reject(transaction.error);
+                else resolve([]);
+            };
+        });
+        
+        if (changed.length > 0) {
+            this.syncBatchToFirebase(changed.map(({ after }) => ({ collection: 'seatAssignments', data: after })));
+            await this.recordAudit(changed);
+        }
+        return changed.map(({ after }) => after);
+    }
+
     async getStudentAtSeat(busId, row, side, position, route) {
         const routeToUse = route || this.currentRoute || 'AM';
         const assignments = await this.getSeatAssignments(busId, routeToUse);
-        const assignment = assignments.find(a => 
-            a.row === row && a.side === side && a.position === position
-        );
+        const assignment = assignments.find(a => this.isSameSeat(a, { row, side, position }));
         
         if (assignment) {
             return this.students.find(s => s.id === assignment.studentId);
@@ -794,10 +2629,71 @@ class BusStudentTracker {
         return null;
     }
 
+    // --- Seat Layouts (per bus; falls back to busConfig) ---
+    getBusLayout(busOrId) {
+        const bus = typeof busOrId === 'string' ? this.busses.find(b => b.id === busOrId) : busOrId;
+        const layout = (bus && bus.layout) || {};
+        const toCount = (value, fallback) => Number.isInteger(value) && value >= 0 ? value : fallback;
+        return {
+            rows: toCount(layout.rows, this.busConfig.rows),
+            leftSeats: toCount(layout.leftSeats, this.busConfig.leftSeats),
+            rightSeats: toCount(layout.rightSeats, this.busConfig.rightSeats),
+            rearBenchSeats: toCount(layout.rearBenchSeats, this.busConfig.rearBenchSeats),
+            blockedSeats: Array.isArray(layout.blockedSeats) ? layout.blockedSeats.map(key => key.replace(/^\d+-rear-/, `${REAR_BENCH_ROW}-rear-`)) : []
+        };
+    }
+
+    // A rear bench seat has the same key whatever row it was saved with
+    getSeatKey(row, side, position) {
+        return `${side === 'rear' ? REAR_BENCH_ROW : row}-${side}-${position}`;
+    }
+
+    isSameSeat(a, b) {
+        return this.getSeatKey(a.row, a.side, a.position) === this.getSeatKey(b.row, b.side, b.position);
+    }
+
+    // Seat label as shown on the diagram: left seats are numbered first, then right; the rear bench is "Rear-n"
+    getSeatLabel(layout, row, side, position) {
+        if (side === 'rear') return `Rear-${position + 1}`;
+        const seatNumber = side === 'left' ? position + 1 : layout.leftSeats + position + 1;
+        return `Row ${row}-${seatNumber}`;
+    }
+
+    // All seats in the layout, front (row 1) to back, left to right; the rear bench sits behind the last row
+    getLayoutSeats(layout) {
+        const blocked = new Set(layout.blockedSeats);
+        const seats = [];
+        const addSeat = (row, side, position) => {
+            const key = this.getSeatKey(row, side, position);
+            seats.push({ row, side, position, key, label: this.getSeatLabel(layout, row, side, position), blocked: blocked.has(key) });
+        };
+        for (let row = 1; row <= layout.rows; row++) {
+            for (let pos = 0; pos < layout.leftSeats; pos++) addSeat(row, 'left', pos);
+            for (let pos = 0; pos < layout.rightSeats; pos++) addSeat(row, 'right', pos);
+        }
+        for (let pos = 0; pos < layout.rearBenchSeats; pos++) addSeat(REAR_BENCH_ROW, 'rear', pos);
+        return seats;
+    }
+
+    // True when the seat exists in the layout and is not blocked out
+    isSeatUsable(layout, row, side, position) {
+        if (layout.blockedSeats.includes(this.getSeatKey(row, side, position))) return false;
+        if (side === 'rear') return position < layout.rearBenchSeats;
+        if (row < 1 || row > layout.rows) return false;
+        if (side === 'left') return position < layout.leftSeats;
+        if (side === 'right') return position < layout.rightSeats;
+        return false;
+    }
+
+    // Assignments that no longer fit the bus layout (seat removed or blocked out)
+    getFlaggedAssignments(assignments, layout) {
+        return assignments.filter(a => !this.isSeatUsable(layout, a.row, a.side, a.position));
+    }
+
     // Load data from IndexedDB
     async loadData() {
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['busses', 'students', 'seatAssignments', 'checkins', 'routeRows'], 'readonly');
+            const transaction = this.db.transaction(['busses', 'students', 'households', 'seatAssignments', 'checkins', 'routeRows', 'routeVersions', 'runs', 'absences'], 'readonly');
             
             // Load busses
             const busStore = transaction.objectStore('busses');
@@ -812,6 +2708,10 @@ class BusStudentTracker {
                 
                 studentRequest.onsuccess = () => {
                     this.students = studentRequest.result || [];
+                    const householdRequest = transaction.objectStore('households').getAll();
+                    householdRequest.onsuccess = () => {
+                        this.households = householdRequest.result || [];
+                    };
                     
                     // Load checkins
                     const checkinStore = transaction.objectStore('checkins');
@@ -825,7 +2725,25 @@ class BusStudentTracker {
                         const routeRowRequest = routeRowStore.getAll();
                         routeRowRequest.onsuccess = () => {
                             this.routeRows = routeRowRequest.result || [];
-                            resolve();
+                            
+                            const routeVersionRequest = transaction.objectStore('routeVersions').getAll();
+                            routeVersionRequest.onsuccess = () => {
+                                this.routeVersions = routeVersionRequest.result || [];
+                                
+                                // Load finalized runs and their absences
+                                const runRequest = transaction.objectStore('runs').getAll();
+                                runRequest.onsuccess = () => {
+                                    this.runs = runRequest.result || [];
+                                    const absenceRequest = transaction.objectStore('absences').getAll();
+                                    absenceRequest.onsuccess = () => {
+                                        this.absences = absenceRequest.result || [];
+                                        resolve();
+                                    };
+                                    absenceRequest.onerror = () => reject(absenceRequest.error);
+                                };
+                                runRequest.onerror = () => reject(runRequest.error);
+                            };
+                            routeVersionRequest.onerror = () => reject(routeVersionRequest.error);
                         };
                         routeRowRequest.onerror = () => {
                             reject(routeRowRequest.error);
@@ -851,16 +2769,24 @@ class BusStudentTracker {
     // Initialize App UI
     initializeApp() {
         this.setupEventListeners();
+        this.applyAccountPermissions();
         this.renderBusses();
         const versionEl = document.getElementById('versionText');
         if (versionEl) versionEl.textContent = 'App Version: ' + APP_VERSION;
         this.checkForUpdates();
         this.checkFirebaseVersion();
         this.updateSyncStatus();
+        this.updateConflictBadge();
+        // Send anything left in the outbox from an earlier session, and again whenever the connection comes back
+        this.flushOutbox(true);
+        window.addEventListener('online', () => this.flushOutbox(true));
+        window.addEventListener('offline', () => this.updateSyncStatus());
     }
 
     // Setup Event Listeners
     setupEventListeners() {
+        this.setupSeatDragAndDrop();
+        
         // Bus list screen
         document.getElementById('createBusBtn').addEventListener('click', () => this.openBusModal());
         document.getElementById('studentsBtn').addEventListener('click', () => this.openStudentManagementModal());
@@ -872,12 +2798,34 @@ class BusStudentTracker {
             this.saveBus();
         });
         document.getElementById('deleteBusBtn').addEventListener('click', () => this.deleteCurrentBus());
+        document.getElementById('busLayoutPresetSelect').addEventListener('change', (e) => this.applyBusLayoutPreset(e.target.value));
+        document.querySelectorAll('.bus-layout-input').forEach(input => {
+            input.addEventListener('input', () => {
+                document.getElementById('busLayoutPresetSelect').value = '';
+                this.renderBusLayoutPreview();
+            });
+        });
+        document.getElementById('busLayoutPreview').addEventListener('click', (e) => {
+            const seatEl = e.target.closest('[data-seat-key]');
+            if (seatEl) this.toggleBlockedSeat(seatEl.dataset.seatKey);
+        });
         
         // Bus view screen
         document.getElementById('backToMainBtn').addEventListener('click', () => this.showMainScreen());
         document.getElementById('busSettingsBtn').addEventListener('click', () => this.openSettingsModal());
         document.getElementById('checkinBtn').addEventListener('click', () => this.openCheckinModal());
         document.getElementById('routeBtn').addEventListener('click', () => this.openRouteModal());
+        document.getElementById('autoSeatBtn').addEventListener('click', () => this.openAutoSeatModal());
+        document.getElementById('copySeatingBtn').addEventListener('click', () => this.openCopySeatingModal());
+        document.getElementById('printSeatingBtn').addEventListener('click', () => this.printSeatingChart(this.currentBusId, this.currentRoute || 'AM'));
+        
+        // Auto-assign modal
+        document.getElementById('closeAutoSeatModal').addEventListener('click', () => this.closeAutoSeatModal());
+        document.getElementById('autoSeatPreviewBtn').addEventListener('click', () => this.previewAutoSeating());
+        
+        // Copy seating modal
+        document.getElementById('closeCopySeatingModal').addEventListener('click', () => this.closeCopySeatingModal());
+        document.getElementById('copySeatingRunBtn').addEventListener('click', () => this.runCopySeating());
         
         // Main screen settings button
         document.getElementById('mainSettingsBtn').addEventListener('click', () => this.openSettingsModal());
@@ -885,9 +2833,44 @@ class BusStudentTracker {
         // Check-in modal
         document.getElementById('closeCheckinModal').addEventListener('click', () => this.closeCheckinModal());
         document.getElementById('closeRouteModal').addEventListener('click', () => this.closeRouteModal());
-        document.getElementById('routeEditBtn').addEventListener('click', () => { this.routeModalEditMode = true; this.updateRouteModalViewEditButtons(); this.renderRouteTable(); });
-        document.getElementById('routeViewBtn').addEventListener('click', () => { this.routeModalEditMode = false; this.updateRouteModalViewEditButtons(); this.renderRouteTable(); });
+        document.getElementById('routePrintBtn').addEventListener('click', () => this.printRouteSheet(this.currentBusId, this.currentRoute || 'AM', { versionId: this.routeModalVersionId }));
+        document.getElementById('routeRunBtn').addEventListener('click', () => this.startRunMode());
+        document.getElementById('routeTableTabBtn').addEventListener('click', () => this.showRouteModalTab('table'));
+        document.getElementById('routeMapTabBtn').addEventListener('click', () => this.showRouteModalTab('map'));
+        document.getElementById('routeMapStopSelect').addEventListener('change', (e) => {
+            this.routeMapSelectedRowId = e.target.value || null;
+            this.renderRouteMap();
+        });
+        document.getElementById('routeMapUseLocationBtn').addEventListener('click', () => this.useCurrentLocationForStop());
+        document.getElementById('routeMapClearBtn').addEventListener('click', () => {
+            if (this.routeMapSelectedRowId) this.clearRouteRowLocation(this.routeMapSelectedRowId);
+        });
+        document.getElementById('routeMapLocateAllBtn').addEventListener('click', () => this.locateAllRouteStops());
+        document.getElementById('routeMapZoomInBtn').addEventListener('click', () => this.zoomRouteMap(1));
+        document.getElementById('routeMapZoomOutBtn').addEventListener('click', () => this.zoomRouteMap(-1));
+        document.getElementById('routeMapFitBtn').addEventListener('click', () => { this.routeMapView = null; this.renderRouteMap(); });
+        this.setupRouteMapListeners();
+        document.getElementById('runModeExitBtn').addEventListener('click', () => this.exitRunMode());
+        document.getElementById('runModePrevBtn').addEventListener('click', () => this.runModePrevStop());
+        document.getElementById('runModeNextBtn').addEventListener('click', () => this.runModeNextStop());
+        document.getElementById('routeEditBtn').addEventListener('click', () => this.enterRouteEditMode());
+        document.getElementById('routeViewBtn').addEventListener('click', () => { this.routeModalEditMode = false; this.routeSelectedRowIds.clear(); this.updateRouteModalViewEditButtons(); this.renderRouteVersionBar(); this.renderRouteTable(); });
+        document.getElementById('routeVersionSelect').addEventListener('change', (e) => this.selectRouteModalVersion(e.target.value));
+        document.getElementById('routeNewDraftBtn').addEventListener('click', () => this.startRouteDraft());
+        document.getElementById('routeVersionNameInput').addEventListener('change', (e) => this.saveRouteDraftName(e.target.value));
+        document.getElementById('routePublishBtn').addEventListener('click', () => this.publishRouteDraft());
+        document.getElementById('routeDeleteDraftBtn').addEventListener('click', () => this.discardRouteDraft());
+        document.getElementById('routeMoveUpBtn').addEventListener('click', () => this.moveSelectedRouteRows(-1));
+        document.getElementById('routeMoveDownBtn').addEventListener('click', () => this.moveSelectedRouteRows(1));
         document.getElementById('routeAddRowBtn').addEventListener('click', () => this.addRouteModalRow());
+        document.getElementById('routeImportBtn').addEventListener('click', () => this.openRouteImport());
+        document.getElementById('routeImportCancelBtn').addEventListener('click', () => this.closeRouteImport());
+        document.getElementById('routeImportCommitBtn').addEventListener('click', () => this.commitRouteImport());
+        document.getElementById('routeImportPasteInput').addEventListener('input', (e) => this.loadRouteImportPaste(e.target.value));
+        document.getElementById('routeImportFileInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.loadRouteImportFile(file);
+        });
         this.setupRouteTableListenersOnce();
         document.getElementById('viewCheckinHistoryBtn').addEventListener('click', () => this.openCheckinHistoryModal());
         document.getElementById('checkinStudentSearchInput').addEventListener('input', (e) => this.filterCheckinStudents(e.target.value));
@@ -896,6 +2879,29 @@ class BusStudentTracker {
         // Check-in history modal
         document.getElementById('closeCheckinHistoryModal').addEventListener('click', () => this.closeCheckinHistoryModal());
         document.getElementById('loadCheckinHistoryBtn').addEventListener('click', () => this.loadCheckinHistory());
+        document.getElementById('closeCheckoutModal').addEventListener('click', () => this.closeCheckoutModal());
+        document.getElementById('leftOnBusBackBtn').addEventListener('click', () => this.closeLeftOnBusWarning());
+        document.getElementById('leftOnBusOverrideBtn').addEventListener('click', () => this.overrideLeftOnBus());
+        document.getElementById('openReportsFromHistoryBtn').addEventListener('click', () => this.openReportsModal());
+        document.getElementById('openGpsReplayFromHistoryBtn').addEventListener('click', () => this.openGpsReplayModal(
+            document.getElementById('checkinHistoryBusSelect').value,
+            null,
+            document.getElementById('checkinHistoryDateInput').value
+        ));
+        document.getElementById('closeGpsReplayModal').addEventListener('click', () => this.closeGpsReplayModal());
+        document.getElementById('gpsReplayLoadBtn').addEventListener('click', () => this.loadGpsReplay());
+        document.getElementById('gpsReplaySlider').addEventListener('input', (e) => this.updateGpsReplayPosition(parseInt(e.target.value, 10)));
+        
+        // Reports modal
+        document.getElementById('closeReportsModal').addEventListener('click', () => this.closeReportsModal());
+        document.getElementById('runReportBtn').addEventListener('click', () => this.loadReport());
+        document.getElementById('reportTypeSelect').addEventListener('change', () => {
+            document.getElementById('reportResults').innerHTML = '';
+            document.getElementById('reportExportButtons').style.display = 'none';
+            this.currentReportData = null;
+        });
+        document.getElementById('exportReportPDFBtn').addEventListener('click', () => this.exportReportToPDF());
+        document.getElementById('exportReportExcelBtn').addEventListener('click', () => this.exportReportToExcel());
         document.getElementById('exportCheckinPDFBtn').addEventListener('click', () => this.exportCheckinToPDF());
         document.getElementById('exportCheckinExcelBtn').addEventListener('click', () => this.exportCheckinToExcel());
         
@@ -930,6 +2936,43 @@ class BusStudentTracker {
             const file = e.target.files[0];
             if (file) this.importFromBackup(file);
         });
+        document.getElementById('printAllSeatingBtn').addEventListener('click', () => this.printAllSeatingCharts(document.getElementById('printAllSeatingRouteSelect').value));
+        document.getElementById('exportRosterBtn').addEventListener('click', () => this.exportRosterToExcel());
+        document.getElementById('exportAllSeatingBtn').addEventListener('click', () => this.exportSeatingToExcel(document.getElementById('printAllSeatingRouteSelect').value));
+        document.getElementById('openReportsBtn').addEventListener('click', () => this.openReportsModal());
+        document.getElementById('openAuditLogBtn').addEventListener('click', () => this.openAuditLogModal());
+        document.getElementById('conflictBadgeBtn').addEventListener('click', () => this.openConflictsModal());
+        document.getElementById('closeConflictsModal').addEventListener('click', () => this.closeConflictsModal());
+        document.getElementById('closeAuditLogModal').addEventListener('click', () => this.closeAuditLogModal());
+        ['auditTypeSelect', 'auditActionSelect', 'auditUserSelect', 'auditStartDateInput', 'auditEndDateInput'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.renderAuditLog());
+        });
+        document.getElementById('auditSearchInput').addEventListener('input', () => this.renderAuditLog());
+        document.getElementById('absenceThresholdInput').addEventListener('change', (e) => {
+            const value = parseInt(e.target.value, 10);
+            if (value > 0) localStorage.setItem(this.ABSENCE_THRESHOLD_STORAGE_KEY, String(value));
+            e.target.value = this.getAbsenceThreshold();
+            if (this.currentBusId) this.renderBusDiagram();
+        });
+        document.getElementById('printRoutePacketBtn').addEventListener('click', () => this.printRouteSheetPacket());
+        const saveGeocoderSettings = () => {
+            const provider = document.getElementById('geocoderProviderSelect').value;
+            localStorage.setItem(this.GEOCODER_STORAGE_KEY, JSON.stringify({ provider, urlTemplate: document.getElementById('geocoderUrlInput').value.trim() }));
+            document.getElementById('geocoderUrlGroup').style.display = provider === 'custom' ? 'block' : 'none';
+        };
+        document.getElementById('geocoderProviderSelect').addEventListener('change', saveGeocoderSettings);
+        document.getElementById('geocoderUrlInput').addEventListener('change', saveGeocoderSettings);
+        document.getElementById('openRosterImportBtn').addEventListener('click', () => this.openRosterImportModal());
+        document.getElementById('linkHouseholdsBtn').addEventListener('click', () => this.runLinkHouseholds());
+        
+        // Roster import modal
+        document.getElementById('closeRosterImportModal').addEventListener('click', () => this.closeRosterImportModal());
+        document.getElementById('rosterImportFileInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.loadRosterImportFile(file);
+        });
+        document.getElementById('rosterImportCommitBtn').addEventListener('click', () => this.commitRosterImport());
+        document.getElementById('rosterImportModeSelect').addEventListener('change', () => this.renderRosterImport());
         document.getElementById('encryptionPasswordSubmitBtn').addEventListener('click', () => {
             this.handleEncryptionUnlock(document.getElementById('encryptionPasswordInput').value);
         });
@@ -937,6 +2980,10 @@ class BusStudentTracker {
             if (e.key === 'Enter') this.handleEncryptionUnlock(e.target.value);
         });
         document.getElementById('encryptionEnabledCheckbox').addEventListener('change', async (e) => {
+            if (!this.requirePermission('manageEncryption')) {
+                e.target.checked = !e.target.checked;
+                return;
+            }
             if (!e.target.checked) {
                 this.setEncryptionEnabled(false);
                 localStorage.removeItem(this.ENCRYPTION_KEY_STORAGE_KEY);
@@ -948,6 +2995,13 @@ class BusStudentTracker {
         document.getElementById('encryptionSetPasswordBtn').addEventListener('click', () => this.enableEncryptionWithPassword());
         document.getElementById('encryptionChangePasswordBtn').addEventListener('click', () => this.changeEncryptionPasswordSubmit());
         document.getElementById('checkUpdateBtn').addEventListener('click', () => this.checkForUpdates(true));
+        document.getElementById('signOutBtn').addEventListener('click', () => this.signOut());
+        document.getElementById('openOrgModalBtn').addEventListener('click', () => this.openOrgModal());
+        document.getElementById('accountRoleSelect').innerHTML = Object.entries(ACCOUNT_ROLES)
+            .map(([key, role]) => `<option value="${key}">${role.label}</option>`).join('');
+        document.getElementById('accountRoleSelect').addEventListener('change', () => this.updateAccountFormFields());
+        document.getElementById('accountSaveBtn').addEventListener('click', () => this.saveAccount());
+        document.getElementById('accountNewBtn').addEventListener('click', () => this.editAccount());
         
         // Update banner
         document.getElementById('updateNowBtn').addEventListener('click', () => this.updateApp());
@@ -957,7 +3011,7 @@ class BusStudentTracker {
         
         // Click outside modals to close
         window.addEventListener('click', (e) => {
-            const modals = ['busModal', 'studentSearchModal', 'studentInfoModal', 'studentModal', 'settingsModal', 'checkinModal', 'checkinHistoryModal', 'routeModal'];
+            const modals = ['busModal', 'studentSearchModal', 'studentInfoModal', 'studentModal', 'settingsModal', 'checkinModal', 'checkinHistoryModal', 'routeModal', 'rosterImportModal', 'autoSeatModal', 'copySeatingModal', 'reportsModal', 'checkoutModal', 'gpsReplayModal', 'orgModal', 'auditLogModal', 'conflictsModal'];
             modals.forEach(modalId => {
                 const modal = document.getElementById(modalId);
                 if (e.target === modal) {
@@ -972,6 +3026,7 @@ class BusStudentTracker {
         document.getElementById('mainScreen').classList.add('active');
         document.getElementById('busScreen').classList.remove('active');
         this.currentBusId = null;
+        this.autoSeatPreview = null;
         this.renderBusses();
     }
 
@@ -1003,138 +3058,679 @@ class BusStudentTracker {
         });
     }
 
-    // Render Functions
-    renderBusses() {
-        const container = document.getElementById('bussesList');
-        const emptyState = document.getElementById('emptyBussesState');
-        
-        if (this.busses.length === 0) {
-            container.style.display = 'none';
-            emptyState.style.display = 'block';
+    // Render Functions
+    renderBusses() {
+        const container = document.getElementById('bussesList');
+        const emptyState = document.getElementById('emptyBussesState');
+        
+        const busses = this.getVisibleBusses();
+        
+        if (busses.length === 0) {
+            container.style.display = 'none';
+            emptyState.style.display = 'block';
+            return;
+        }
+        
+        container.style.display = 'block';
+        emptyState.style.display = 'none';
+        
+        // Sort busses by number (extract number from "Bus X" format)
+        const sortedBusses = [...busses].sort((a, b) => {
+            const numA = parseInt(a.name.replace(/^Bus\s+/i, '')) || 0;
+            const numB = parseInt(b.name.replace(/^Bus\s+/i, '')) || 0;
+            return numA - numB;
+        });
+        
+        container.innerHTML = sortedBusses.map(bus => {
+            return `
+                <div class="bus-card">
+                    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
+                        <div class="bus-name">${this.escapeHtml(bus.name)}</div>
+                        ${this.can('editBusses') ? `<div style="display: flex; gap: 6px; align-items: center;">
+                            <button class="edit-bus-btn" onclick="event.stopPropagation(); app.openBusModal('${bus.id}')" title="Edit Bus &amp; Seat Layout">✎</button>
+                            <button class="delete-bus-btn" onclick="event.stopPropagation(); app.deleteBusConfirm('${bus.id}')" title="Delete Bus">×</button>
+                        </div>` : ''}
+                    </div>
+                    <div class="bus-meta">${this.escapeHtml(this.describeBusLayout(this.getBusLayout(bus)))}</div>
+                    <div class="bus-routes">
+                        <button class="btn btn-primary" onclick="app.showBusScreen('${bus.id}', 'AM')">AM Route</button>
+                        <button class="btn btn-primary" onclick="app.showBusScreen('${bus.id}', 'PM')">PM Route</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    describeBusLayout(layout) {
+        const seatCount = this.getLayoutSeats(layout).filter(seat => !seat.blocked).length;
+        return `${layout.rows} rows, ${layout.leftSeats} + ${layout.rightSeats}${layout.rearBenchSeats ? `, rear bench ${layout.rearBenchSeats}` : ''} (${seatCount} seats)`;
+    }
+
+    async renderBusDiagram() {
+        const container = document.getElementById('busDiagram');
+        const busId = this.currentBusId;
+        const route = this.currentRoute || 'AM';
+        
+        if (!busId) return Promise.resolve();
+        
+        const layout = this.getBusLayout(busId);
+        const blocked = new Set(layout.blockedSeats);
+        const assignments = await this.getSeatAssignments(busId, route);
+        const assignmentMap = {};
+        if (assignments) {
+            assignments.forEach(a => {
+                const key = this.getSeatKey(a.row, a.side, a.position);
+                assignmentMap[key] = a.studentId;
+            });
+        }
+        // Students absent from this bus several school days running
+        const absenceThreshold = this.getAbsenceThreshold();
+        const absenceStreaks = {};
+        (assignments || []).forEach(a => {
+            const streak = this.getAbsenceStreak(a.studentId, busId);
+            if (streak >= absenceThreshold) absenceStreaks[a.studentId] = streak;
+        });
+        const preview = this.autoSeatPreview && this.autoSeatPreview.busId === busId && this.autoSeatPreview.route === route ? this.autoSeatPreview : null;
+        const plannedMap = {};
+        if (preview) {
+            preview.plan.forEach(p => { plannedMap[this.getSeatKey(p.row, p.side, p.position)] = p.studentId; });
+        }
+        
+        const renderSeat = (row, side, pos) => {
+            const key = this.getSeatKey(row, side, pos);
+            if (!assignmentMap[key] && plannedMap[key]) {
+                const planned = this.students.find(s => s.id === plannedMap[key]);
+                return `
+                    <div class="seat planned" data-row="${row}" data-side="${side}" data-position="${pos}" title="${this.escapeHtml(this.getStudentDisplayName(planned))}">
+                        <div class="seat-name">${this.escapeHtml(((planned && (planned.firstName || planned.name)) || '').split(' ')[0])}</div>
+                        <div class="seat-label">${this.getSeatLabel(layout, row, side, pos)}</div>
+                    </div>
+                `;
+            }
+            const studentId = assignmentMap[key];
+            const student = studentId ? this.students.find(s => s.id === studentId) : null;
+            const isBlocked = blocked.has(key);
+            const seatLabel = this.getSeatLabel(layout, row, side, pos);
+            if (isBlocked && !student) {
+                return `
+                    <div class="seat blocked" data-row="${row}" data-side="${side}" data-position="${pos}" title="Blocked seat">
+                        <div class="seat-name">—</div>
+                        <div class="seat-label">${seatLabel}</div>
+                    </div>
+                `;
+            }
+            // A student sitting in a blocked seat is flagged so it can be moved or unassigned
+            let seatClass = student ? (isBlocked ? 'occupied flagged' : 'occupied') : '';
+            if (student && absenceStreaks[student.id]) seatClass += ' absent-streak';
+            const studentName = student ? (student.firstName || student.name || '').split(' ')[0] : '';
+            const nameLabel = studentName ? this.escapeHtml(studentName) : '';
+            
+            return `
+                <div class="seat ${seatClass}" 
+                     data-row="${row}" 
+                     data-side="${side}" 
+                     data-position="${pos}"
+                     ${student ? `data-student-id="${student.id}"` : ''}
+                     ${student && absenceStreaks[student.id] ? `title="Absent ${absenceStreaks[student.id]} days in a row"` : ''}
+                     onclick="app.handleSeatClick(${row}, '${side}', ${pos})">
+                    <div class="seat-name">${nameLabel}</div>
+                    <div class="seat-label">${seatLabel}</div>
+                </div>
+            `;
+        };
+        
+        let html = '';
+        
+        if (preview) {
+            html += `
+                <div class="auto-seat-preview-bar">
+                    <div>
+                        <strong>Auto-assign preview:</strong> ${preview.plan.length} student(s) shown with dashed seats.
+                        ${preview.unplaced.length ? `<div class="auto-seat-unplaced">No empty seat for: ${preview.unplaced.map(s => this.escapeHtml(this.getStudentDisplayName(s))).join(', ')}</div>` : ''}
+                    </div>
+                    <div style="display: flex; gap: 8px;">
+                        <button class="btn btn-primary" onclick="app.applyAutoSeatPreview()" style="padding: 6px 14px; font-size: 14px;">Apply</button>
+                        <button class="btn btn-secondary" onclick="app.cancelAutoSeatPreview()" style="padding: 6px 14px; font-size: 14px;">Cancel</button>
+                    </div>
+                </div>
+            `;
+        }
+        
+        // Students whose seat no longer exists in this bus's layout (blocked seats are still drawn and flagged in place)
+        const layoutSeatKeys = new Set(this.getLayoutSeats(layout).map(seat => seat.key));
+        const flagged = (assignments || []).filter(a => !layoutSeatKeys.has(this.getSeatKey(a.row, a.side, a.position)));
+        if (flagged.length > 0) {
+            html += `
+                <div class="layout-flag-banner">
+                    <div class="layout-flag-title">⚠️ ${flagged.length} student(s) assigned to seats outside this bus's layout</div>
+                    ${flagged.map(a => {
+                        const student = this.students.find(s => s.id === a.studentId);
+                        return `
+                            <div class="layout-flag-item">
+                                <span>${this.escapeHtml(this.getStudentDisplayName(student) || 'Unknown')} – ${a.side === 'rear' ? 'rear bench' : `row ${a.row}, ${a.side} side`} seat ${a.position + 1}</span>
+                                <button class="btn btn-danger" onclick="app.unassignFlaggedAssignment('${a.id}')" style="padding: 4px 10px; font-size: 12px;">Unassign</button>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            `;
+        }
+        
+        const flaggedAbsent = Object.keys(absenceStreaks);
+        if (flaggedAbsent.length > 0) {
+            html += `
+                <div class="absence-flag-banner">
+                    <div class="layout-flag-title">📞 Absent ${absenceThreshold}+ school days in a row – call home</div>
+                    ${flaggedAbsent.map(studentId => {
+                        const student = this.students.find(s => s.id === studentId);
+                        const phone = student ? student.cellPhone || student.homePhone || student.workPhone || '' : '';
+                        return `
+                            <div class="layout-flag-item">
+                                <span>${this.escapeHtml(this.getStudentDisplayName(student) || 'Unknown')} – ${absenceStreaks[studentId]} days${phone ? ` • ${this.escapeHtml(phone)}` : ''}</span>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            `;
+        }
+        
+        // Rear bench sits behind the last row
+        if (layout.rearBenchSeats > 0) {
+            html += `<div class="bus-row rear-row" data-row-number="${REAR_BENCH_ROW}"><div class="seat-group rear">`;
+            for (let pos = 0; pos < layout.rearBenchSeats; pos++) {
+                html += renderSeat(REAR_BENCH_ROW, 'rear', pos);
+            }
+            html += '</div></div>';
+        }
+        
+        // Generate bus rows of seats (row 1 is closest to driver at bottom, last row is at back)
+        for (let row = layout.rows; row >= 1; row--) {
+            html += `<div class="bus-row" data-row-number="${row}">`;
+            
+            // Left side seats are numbered first (Row n-1 .. n-leftSeats)
+            html += '<div class="seat-group left">';
+            for (let pos = 0; pos < layout.leftSeats; pos++) {
+                html += renderSeat(row, 'left', pos);
+            }
+            html += '</div>';
+            
+            // Right side seats continue the numbering
+            html += '<div class="seat-group right">';
+            for (let pos = 0; pos < layout.rightSeats; pos++) {
+                html += renderSeat(row, 'right', pos);
+            }
+            html += '</div>';
+            
+            html += '</div>';
+        }
+        
+        // Add driver seat directly under the rightmost seat of row 1
+        // Pad with hidden seats so the driver lines up with that seat
+        const spacers = '<div class="seat" style="visibility: hidden; pointer-events: none;"></div>'.repeat(Math.max(layout.rightSeats - 1, 0));
+        html += `
+            <div class="bus-row driver-row">
+                <div class="seat-group left"></div>
+                <div class="seat-group right driver-seat-group">
+                    ${spacers}
+                    <div class="seat driver">
+                        <div class="seat-name">DRIVER</div>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        container.innerHTML = html;
+    }
+
+    async unassignFlaggedAssignment(assignmentId) {
+        const assignments = await this.getSeatAssignments(this.currentBusId, this.currentRoute || 'AM');
+        const assignment = assignments.find(a => a.id === assignmentId);
+        if (!assignment) return;
+        await this.unassignSeat(assignment.busId, assignment.row, assignment.side, assignment.position, assignment.route);
+        this.renderBusDiagram();
+    }
+
+    // --- Auto-assign seats from students' busAM / busPM fields ---
+    // "Bus 12", "bus #12" and "12" all refer to the same bus
+    normalizeBusNumber(value) {
+        return String(value || '').trim().toLowerCase().replace(/^bus\s*/, '').replace(/^#\s*/, '').replace(/\s+/g, ' ');
+    }
+
+    studentRidesBus(student, bus, route) {
+        const field = route === 'PM' ? student.busPM : student.busAM;
+        const busNumber = this.normalizeBusNumber(bus && bus.name);
+        return !!busNumber && this.normalizeBusNumber(field) === busNumber;
+    }
+
+    // Numeric sort key for grade text: Pre-K < K < 1 ... 12; unknown grades sort last
+    gradeSortValue(grade) {
+        const value = String(grade || '').trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+        if (value === 'pk' || value === 'prek' || value === 'ee') return -1;
+        if (value === 'k' || value === 'kg' || value === 'kindergarten') return 0;
+        const number = parseInt(value, 10);
+        return isNaN(number) ? 99 : number;
+    }
+
+    compareStudentsByName(a, b) {
+        const lastA = (a.lastName || '').toLowerCase();
+        const lastB = (b.lastName || '').toLowerCase();
+        return lastA.localeCompare(lastB) || this.getStudentDisplayName(a).toLowerCase().localeCompare(this.getStudentDisplayName(b).toLowerCase());
+    }
+
+    openAutoSeatModal() {
+        if (!this.requirePermission('editSeating')) return;
+        if (!this.currentBusId) return;
+        const bus = this.busses.find(b => b.id === this.currentBusId);
+        const route = this.currentRoute || 'AM';
+        const riders = this.students.filter(s => this.studentRidesBus(s, bus, route));
+        document.getElementById('autoSeatBusRoute').textContent = `${bus ? bus.name : ''} – ${route} Route`;
+        document.getElementById('autoSeatRiderCount').textContent = riders.length === 0
+            ? `No students list ${bus ? bus.name : 'this bus'} as their ${route} bus.`
+            : `${riders.length} student(s) list ${bus ? bus.name : 'this bus'} as their ${route} bus. Students who already have a seat keep it.`;
+        document.getElementById('autoSeatModal').style.display = 'block';
+    }
+
+    closeAutoSeatModal() {
+        document.getElementById('autoSeatModal').style.display = 'none';
+    }
+
+    // Plan seats for unseated riders. Students are grouped (siblings share a group) and each group goes into the
+    // first side-of-a-row with room for all of them, front to back; groups that don't fit anywhere are split.
+    async planAutoSeating(busId, route, strategy) {
+        const bus = this.busses.find(b => b.id === busId);
+        const layout = this.getBusLayout(bus);
+        const assignments = await this.getSeatAssignments(busId, route);
+        const seatedIds = new Set(assignments.map(a => a.studentId));
+        const occupied = new Set(assignments.map(a => this.getSeatKey(a.row, a.side, a.position)));
+        const riders = this.students.filter(s => this.studentRidesBus(s, bus, route) && !seatedIds.has(s.id));
+
+        const byGrade = (a, b) => this.gradeSortValue(a.grade) - this.gradeSortValue(b.grade) || this.compareStudentsByName(a, b);
+        let groups;
+        if (strategy === 'siblings') {
+            const grouped = new Set();
+            groups = [];
+            riders.slice().sort(byGrade).forEach(student => {
+                if (grouped.has(student.id)) return;
+                const household = this.getHouseholdMembers(student)
+                    .filter(s => riders.includes(s) && !grouped.has(s.id));
+                const group = household.length > 0 ? household.sort(byGrade) : [student];
+                if (!group.includes(student)) group.unshift(student);
+                group.forEach(s => grouped.add(s.id));
+                groups.push(group);
+            });
+        } else {
+            const sorted = riders.slice().sort(strategy === 'alphabetical' ? (a, b) => this.compareStudentsByName(a, b) : byGrade);
+            groups = sorted.map(s => [s]);
+        }
+
+        // Free seats split into segments (one side of one row), front to back
+        const segments = [];
+        this.getLayoutSeats(layout).forEach(seat => {
+            if (seat.blocked || occupied.has(seat.key)) return;
+            const last = segments[segments.length - 1];
+            if (last && last.row === seat.row && last.side === seat.side) last.seats.push(seat);
+            else segments.push({ row: seat.row, side: seat.side, seats: [seat] });
+        });
+
+        const plan = [];
+        const unplaced = [];
+        const place = (student, seat) => plan.push({ studentId: student.id, row: seat.row, side: seat.side, position: seat.position });
+        groups.forEach(group => {
+            const segment = segments.find(seg => seg.seats.length >= group.length);
+            if (segment) {
+                group.forEach(student => place(student, segment.seats.shift()));
+                return;
+            }
+            group.forEach(student => {
+                const next = segments.find(seg => seg.seats.length > 0);
+                if (next) place(student, next.seats.shift());
+                else unplaced.push(student);
+            });
+        });
+        return { plan, unplaced };
+    }
+
+    async previewAutoSeating() {
+        const busId = this.currentBusId;
+        const route = this.currentRoute || 'AM';
+        const strategy = document.getElementById('autoSeatStrategySelect').value;
+        const { plan, unplaced } = await this.planAutoSeating(busId, route, strategy);
+        if (plan.length === 0 && unplaced.length === 0) {
+            alert('There are no unseated students for this bus and route.');
+            return;
+        }
+        this.autoSeatPreview = { busId, route, plan, unplaced };
+        this.closeAutoSeatModal();
+        await this.renderBusDiagram();
+    }
+
+    cancelAutoSeatPreview() {
+        this.autoSeatPreview = null;
+        this.renderBusDiagram();
+    }
+
+    // Saves the previewed plan in one transaction. The chart may have changed since the preview was shown:
+    // a seat that has been filled or blocked meanwhile, or a student who has been seated, is skipped, so
+    // nobody already in a seat is moved.
+    async applyAutoSeatPreview() {
+        if (!this.requirePermission('editSeating')) return;
+        const preview = this.autoSeatPreview;
+        if (!preview) return;
+        this.autoSeatPreview = null;
+        const layout = this.getBusLayout(preview.busId);
+        const skipped = [];
+        const ops = [];
+        const audit = [];
+        try {
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction(['seatAssignments'], 'readwrite');
+                const store = transaction.objectStore('seatAssignments');
+                const request = store.index('busRoute').getAll(IDBKeyRange.only([preview.busId, preview.route]));
+                request.onsuccess = () => {
+                    const current = request.result || [];
+                    preview.plan.forEach(p => {
+                        const student = this.students.find(s => s.id === p.studentId);
+                        if (!student) return;
+                        const name = this.getStudentDisplayName(student);
+                        if (current.some(a => a.studentId === p.studentId)) {
+                            skipped.push(`${name} – already has a seat`);
+                            return;
+                        }
+                        if (!this.isSeatUsable(layout, p.row, p.side, p.position) || current.some(a => this.isSameSeat(a, p))) {
+                            skipped.push(`${name} – seat is no longer free`);
+                            return;
+                        }
+                        const assignment = {
+                            id: this.generateId(),
+                            busId: preview.busId,
+                            route: preview.route,
+                            studentId: p.studentId,
+                            row: p.row,
+                            side: p.side,
+                            position: p.position,
+                            assignedAt: new Date().toISOString()
+                        };
+                        store.put(assignment);
+                        ops.push({ collection: 'seatAssignments', data: assignment });
+                        audit.push({ type: 'seatAssignment', before: null, after: assignment });
+                        current.push(assignment);
+                    });
+                };
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+            this.syncBatchToFirebase(ops);
+            await this.recordAudit(audit);
+            if (skipped.length > 0) {
+                alert(`Seated ${ops.length} student(s). The seating chart changed after the preview, so ${skipped.length} were skipped:\n${skipped.join('\n')}`);
+            }
+        } catch (error) {
+            console.error('Error applying auto-assigned seats:', error);
+            alert('Error saving the seat assignments. Please try again.');
+            this.autoSeatPreview = preview;
+        }
+        await this.renderBusDiagram();
+    }
+
+    // --- Copy a seating chart to the other route or another bus ---
+    openCopySeatingModal() {
+        if (!this.requirePermission('editSeating')) return;
+        if (!this.currentBusId) return;
+        const bus = this.busses.find(b => b.id === this.currentBusId);
+        const route = this.currentRoute || 'AM';
+        document.getElementById('copySeatingSource').textContent = `From: ${bus ? bus.name : ''} – ${route} Route`;
+        const busSelect = document.getElementById('copySeatingBusSelect');
+        busSelect.innerHTML = this.busses.map(b => `<option value="${b.id}">${this.escapeHtml(b.name)}</option>`).join('');
+        busSelect.value = this.currentBusId;
+        document.getElementById('copySeatingRouteSelect').value = route === 'AM' ? 'PM' : 'AM';
+        document.getElementById('copySeatingModeSelect').value = 'fillEmpty';
+        document.getElementById('copySeatingResult').innerHTML = '';
+        document.getElementById('copySeatingModal').style.display = 'block';
+    }
+
+    closeCopySeatingModal() {
+        document.getElementById('copySeatingModal').style.display = 'none';
+    }
+
+    // mode 'overwrite' replaces the target chart; 'fillEmpty' only fills seats that are empty there.
+    // Students whose bus field for the target route names a different bus are skipped, as are students already seated
+    // on another bus for that route and seats the target layout lacks.
+    async copySeatingChart(fromBusId, fromRoute, toBusId, toRoute, mode) {
+        const toBus = this.busses.find(b => b.id === toBusId);
+        const layout = this.getBusLayout(toBus);
+        const targetBusNumber = this.normalizeBusNumber(toBus && toBus.name);
+        const skipped = [];
+        const ops = [];
+        const audit = [];
+        let copied = 0;
+        
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['seatAssignments'], 'readwrite');
+            const store = transaction.objectStore('seatAssignments');
+            const index = store.index('busRoute');
+            const sourceRequest = index.getAll(IDBKeyRange.only([fromBusId, fromRoute]));
+            
+            sourceRequest.onsuccess = () => {
+                const source = sourceRequest.result || [];
+                const allRequest = store.getAll();
+                const targetRequest = index.getAll(IDBKeyRange.only([toBusId, toRoute]));
+                targetRequest.onsuccess = () => {
+                    let target = targetRequest.result || [];
+                    // allRequest was made first, so it has finished too
+                    const seatedElsewhere = new Map((allRequest.result || [])
+                        .filter(a => a.route === toRoute && a.busId !== toBusId)
+                        .map(a => [a.studentId, a.busId]));
+                    const remove = (a) => {
+                        store.delete(a.id);
+                        ops.push({ collection: 'seatAssignments', deleteId: a.id, studentId: a.studentId });
+                        audit.push({ type: 'seatAssignment', before: a, after: null });
+                        target = target.filter(t => t.id !== a.id);
+                    };
+                    if (mode === 'overwrite') target.slice().forEach(remove);
+                    
+                    source.forEach(a => {
+                        const student = this.students.find(s => s.id === a.studentId);
+                        if (!student) return;
+                        const name = this.getStudentDisplayName(student);
+                        const busField = toRoute === 'PM' ? student.busPM : student.busAM;
+                        if (busField && this.normalizeBusNumber(busField) !== targetBusNumber) {
+                            const busLabel = /^bus\b/i.test(busField.trim()) ? busField.trim() : `Bus ${busField.trim()}`;
+                            skipped.push({ name, reason: `rides ${busLabel} on the ${toRoute} route` });
+                            return;
+                        }
+                        if (seatedElsewhere.has(a.studentId)) {
+                            const otherBus = this.busses.find(b => b.id === seatedElsewhere.get(a.studentId));
+                            skipped.push({ name, reason: `already has a seat on ${otherBus ? otherBus.name : 'another bus'} for the ${toRoute} route` });
+                            return;
+                        }
+                        if (!this.isSeatUsable(layout, a.row, a.side, a.position)) {
+                            skipped.push({ name, reason: `seat doesn't exist or is blocked on ${toBus ? toBus.name : 'the target bus'}` });
+                            return;
+                        }
+                        if (target.some(t => t.studentId === a.studentId)) {
+                            skipped.push({ name, reason: 'already has a seat there' });
+                            return;
+                        }
+                        if (target.some(t => this.isSameSeat(t, a))) {
+                            skipped.push({ name, reason: 'seat is already taken' });
+                            return;
+                        }
+                        const assignment = {
+                            id: this.generateId(),
+                            busId: toBusId,
+                            route: toRoute,
+                            studentId: a.studentId,
+                            row: a.row,
+                            side: a.side,
+                            position: a.position,
+                            assignedAt: new Date().toISOString()
+                        };
+                        store.put(assignment);
+                        ops.push({ collection: 'seatAssignments', data: assignment });
+                        audit.push({ type: 'seatAssignment', before: null, after: assignment });
+                        target.push(assignment);
+                        copied++;
+                    });
+                };
+            };
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+        
+        this.syncBatchToFirebase(ops);
+        await this.recordAudit(audit);
+        return { copied, skipped };
+    }
+
+    async runCopySeating() {
+        const fromBusId = this.currentBusId;
+        const fromRoute = this.currentRoute || 'AM';
+        const toBusId = document.getElementById('copySeatingBusSelect').value;
+        const toRoute = document.getElementById('copySeatingRouteSelect').value;
+        const mode = document.getElementById('copySeatingModeSelect').value;
+        const resultEl = document.getElementById('copySeatingResult');
+        if (toBusId === fromBusId && toRoute === fromRoute) {
+            resultEl.innerHTML = '<p style="color: var(--danger-color);">Choose a different bus or route to copy to.</p>';
             return;
         }
+        const toBus = this.busses.find(b => b.id === toBusId);
+        if (mode === 'overwrite' && !confirm(`Replace the whole ${toRoute} seating chart on ${toBus ? toBus.name : 'that bus'}?`)) return;
         
-        container.style.display = 'block';
-        emptyState.style.display = 'none';
-        
-        // Sort busses by number (extract number from "Bus X" format)
-        const sortedBusses = [...this.busses].sort((a, b) => {
-            const numA = parseInt(a.name.replace(/^Bus\s+/i, '')) || 0;
-            const numB = parseInt(b.name.replace(/^Bus\s+/i, '')) || 0;
-            return numA - numB;
-        });
-        
-        container.innerHTML = sortedBusses.map(bus => {
-            return `
-                <div class="bus-card">
-                    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
-                        <div class="bus-name">${this.escapeHtml(bus.name)}</div>
-                        <button class="delete-bus-btn" onclick="event.stopPropagation(); app.deleteBusConfirm('${bus.id}')" title="Delete Bus">×</button>
-                    </div>
-                    <div class="bus-routes">
-                        <button class="btn btn-primary" onclick="app.showBusScreen('${bus.id}', 'AM')">AM Route</button>
-                        <button class="btn btn-primary" onclick="app.showBusScreen('${bus.id}', 'PM')">PM Route</button>
-                    </div>
-                </div>
+        try {
+            const { copied, skipped } = await this.copySeatingChart(fromBusId, fromRoute, toBusId, toRoute, mode);
+            resultEl.innerHTML = `
+                <p style="color: var(--success-color); font-weight: 600;">Copied ${copied} seat(s) to ${this.escapeHtml(toBus ? toBus.name : '')} – ${toRoute}.</p>
+                ${skipped.length ? `
+                    <p style="font-size: 13px; margin: 8px 0 4px 0;">Skipped ${skipped.length} student(s):</p>
+                    <ul class="copy-seating-skipped">
+                        ${skipped.map(s => `<li>${this.escapeHtml(s.name)} – ${this.escapeHtml(s.reason)}</li>`).join('')}
+                    </ul>
+                ` : ''}
             `;
-        }).join('');
+            if (toBusId === this.currentBusId && toRoute === this.currentRoute) await this.renderBusDiagram();
+        } catch (error) {
+            console.error('Error copying seating chart:', error);
+            resultEl.innerHTML = '<p style="color: var(--danger-color);">Error copying seating chart. Please try again.</p>';
+        }
     }
 
-    async renderBusDiagram() {
-        const container = document.getElementById('busDiagram');
-        const busId = this.currentBusId;
-        const route = this.currentRoute || 'AM';
-        
-        if (!busId) return Promise.resolve();
+    // --- Seat drag and drop (mouse drags straight away; touch needs a long press so the diagram still scrolls) ---
+    setupSeatDragAndDrop() {
+        const diagram = document.getElementById('busDiagram');
+        const LONG_PRESS_MS = 350;
+        const MOVE_THRESHOLD = 8;
         
-        const assignments = await this.getSeatAssignments(busId, route);
-        const assignmentMap = {};
-        if (assignments) {
-            assignments.forEach(a => {
-                const key = `${a.row}-${a.side}-${a.position}`;
-                assignmentMap[key] = a.studentId;
-            });
-        }
+        const seatFromPoint = (x, y) => {
+            const el = document.elementFromPoint(x, y);
+            // Only real seats carry their position; the driver's seat doesn't
+            return el ? el.closest('#busDiagram .seat[data-row]') : null;
+        };
+        const readSeat = (el) => ({
+            row: parseInt(el.dataset.row, 10),
+            side: el.dataset.side,
+            position: parseInt(el.dataset.position, 10)
+        });
+        const clearTarget = () => {
+            diagram.querySelectorAll('.seat.drop-target').forEach(el => el.classList.remove('drop-target'));
+        };
+        const startDrag = (drag) => {
+            drag.active = true;
+            drag.sourceEl.classList.add('dragging');
+            const ghost = drag.sourceEl.cloneNode(true);
+            ghost.classList.add('seat-drag-ghost');
+            ghost.removeAttribute('onclick');
+            document.body.appendChild(ghost);
+            drag.ghost = ghost;
+            if (navigator.vibrate && drag.pointerType === 'touch') navigator.vibrate(30);
+        };
+        const moveGhost = (drag, x, y) => {
+            drag.ghost.style.left = `${x - drag.ghost.offsetWidth / 2}px`;
+            drag.ghost.style.top = `${y - drag.ghost.offsetHeight / 2}px`;
+            clearTarget();
+            const target = seatFromPoint(x, y);
+            drag.targetEl = target && target !== drag.sourceEl && !target.classList.contains('blocked') ? target : null;
+            if (drag.targetEl) drag.targetEl.classList.add('drop-target');
+        };
+        const endDrag = () => {
+            const drag = this.seatDrag;
+            if (!drag) return;
+            clearTimeout(drag.timer);
+            if (drag.ghost) drag.ghost.remove();
+            drag.sourceEl.classList.remove('dragging');
+            clearTarget();
+            this.seatDrag = null;
+        };
         
-        let html = '';
+        diagram.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0 || this.autoSeatPreview || !this.can('editSeating')) return;
+            const sourceEl = e.target.closest('.seat.occupied');
+            if (!sourceEl || !sourceEl.dataset.studentId) return;
+            const drag = { sourceEl, pointerId: e.pointerId, pointerType: e.pointerType, startX: e.clientX, startY: e.clientY, active: false };
+            this.seatDrag = drag;
+            if (e.pointerType !== 'mouse') {
+                drag.timer = setTimeout(() => {
+                    if (this.seatDrag === drag) {
+                        startDrag(drag);
+                        moveGhost(drag, drag.startX, drag.startY);
+                    }
+                }, LONG_PRESS_MS);
+            }
+        });
         
-        // Generate bus rows of seats (row 1 is closest to driver at bottom, last row is at back)
-        for (let displayRow = this.busConfig.rows; displayRow >= 1; displayRow--) {
-            const row = displayRow; // Row number (1 to busConfig.rows, where 1 is closest to driver)
-            html += `<div class="bus-row" data-row-number="${row}">`;
-            
-            // Left side seats (3 seats) - these are seats 1, 2, and 3
-            html += '<div class="seat-group left">';
-            for (let pos = 0; pos < this.busConfig.seatsPerSide; pos++) {
-                const seatNumber = pos + 1; // Seat 1, 2, or 3
-                const key = `${row}-left-${pos}`;
-                const studentId = assignmentMap[key];
-                const student = studentId ? this.students.find(s => s.id === studentId) : null;
-                const seatClass = student ? 'occupied' : '';
-                const studentName = student ? (student.firstName || student.name || '').split(' ')[0] : '';
-                const seatLabel = studentName ? this.escapeHtml(studentName) : '';
-                
-                html += `
-                    <div class="seat ${seatClass}" 
-                         data-row="${row}" 
-                         data-side="left" 
-                         data-position="${pos}"
-                         onclick="app.handleSeatClick(${row}, 'left', ${pos})">
-                        <div class="seat-name">${seatLabel}</div>
-                        <div class="seat-label">Row ${row}-${seatNumber}</div>
-                    </div>
-                `;
+        document.addEventListener('pointermove', (e) => {
+            const drag = this.seatDrag;
+            if (!drag || e.pointerId !== drag.pointerId) return;
+            const distance = Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY);
+            if (!drag.active) {
+                if (distance < MOVE_THRESHOLD) return;
+                // A finger that moves before the long press fires is scrolling, not dragging
+                if (drag.pointerType !== 'mouse') {
+                    endDrag();
+                    return;
+                }
+                startDrag(drag);
             }
-            html += '</div>';
-            
-            // Right side seats (3 seats) - these are seats 4, 5, and 6
-            html += '<div class="seat-group right">';
-            for (let pos = 0; pos < this.busConfig.seatsPerSide; pos++) {
-                const seatNumber = pos + 4; // Seat 4, 5, or 6
-                const key = `${row}-right-${pos}`;
-                const studentId = assignmentMap[key];
-                const student = studentId ? this.students.find(s => s.id === studentId) : null;
-                const seatClass = student ? 'occupied' : '';
-                const studentName = student ? (student.firstName || student.name || '').split(' ')[0] : '';
-                const seatLabel = studentName ? this.escapeHtml(studentName) : '';
-                
-                html += `
-                    <div class="seat ${seatClass}" 
-                         data-row="${row}" 
-                         data-side="right" 
-                         data-position="${pos}"
-                         onclick="app.handleSeatClick(${row}, 'right', ${pos})">
-                        <div class="seat-name">${seatLabel}</div>
-                        <div class="seat-label">Row ${row}-${seatNumber}</div>
-                    </div>
-                `;
+            e.preventDefault();
+            moveGhost(drag, e.clientX, e.clientY);
+        });
+        
+        document.addEventListener('pointerup', async (e) => {
+            const drag = this.seatDrag;
+            if (!drag || e.pointerId !== drag.pointerId) return;
+            const wasActive = drag.active;
+            const targetEl = drag.targetEl;
+            endDrag();
+            if (!wasActive) return;
+            // The click that follows a drop shouldn't open the seat's modal
+            this.suppressSeatClick = true;
+            setTimeout(() => { this.suppressSeatClick = false; }, 0);
+            if (!targetEl) return;
+            try {
+                await this.moveOrSwapSeats(this.currentBusId, this.currentRoute || 'AM', readSeat(drag.sourceEl), readSeat(targetEl));
+            } catch (error) {
+                console.error('Error moving seat:', error);
+                alert('Error moving student. Please try again.');
             }
-            html += '</div>';
-            
-            html += '</div>';
-        }
+            await this.renderBusDiagram();
+        });
         
-        // Add driver seat directly under row 1-6 (rightmost seat of row 1)
-        // Right side has 3 seats: seat 1-4 (pos 0), seat 1-5 (pos 1), seat 1-6 (pos 2)
-        // To align driver with seat 1-6, we need to match the structure: 2 empty seats + gaps, then driver
-        html += `
-            <div class="bus-row driver-row">
-                <div class="seat-group left"></div>
-                <div class="seat-group right driver-seat-group">
-                    <div class="seat" style="visibility: hidden; pointer-events: none;"></div>
-                    <div class="seat" style="visibility: hidden; pointer-events: none;"></div>
-                    <div class="seat driver">
-                        <div class="seat-name">DRIVER</div>
-                    </div>
-                </div>
-            </div>
-        `;
+        document.addEventListener('pointercancel', (e) => {
+            if (this.seatDrag && e.pointerId === this.seatDrag.pointerId) endDrag();
+        });
         
-        container.innerHTML = html;
+        // Touch scrolling has to be stopped in a non-passive touchmove listener once a drag is under way
+        diagram.addEventListener('touchmove', (e) => {
+            if (this.seatDrag && this.seatDrag.active) e.preventDefault();
+        }, { passive: false });
+        diagram.addEventListener('contextmenu', (e) => {
+            if (this.seatDrag) e.preventDefault();
+        });
     }
 
     // Seat Click Handler
     async handleSeatClick(row, side, position) {
+        if (this.suppressSeatClick) return;
         this.selectedSeat = { row, side, position };
         const busId = this.currentBusId;
         const route = this.currentRoute || 'AM';
@@ -1144,7 +3740,7 @@ class BusStudentTracker {
         if (student) {
             // Show student info modal
             this.showStudentInfoModal(student);
-        } else {
+        } else if (this.can('editSeating')) {
             // Show student search modal
             this.showStudentSearchModal();
         }
@@ -1163,6 +3759,7 @@ class BusStudentTracker {
     }
 
     openStudentManagementModal() {
+        if (!this.requirePermission('viewAllBusses')) return;
         document.getElementById('studentSearchModalTitle').textContent = 'Manage Students';
         document.getElementById('studentSearchModal').style.display = 'block';
         document.getElementById('studentSearchInput').value = '';
@@ -1249,10 +3846,15 @@ class BusStudentTracker {
             : student.name || 'Unknown';
         document.getElementById('studentInfoName').textContent = displayName;
         document.getElementById('studentInfoGrade').textContent = student.grade || 'N/A';
+        document.getElementById('studentInfoStudentNumber').textContent = student.studentNumber || 'N/A';
         document.getElementById('studentInfoBusAM').textContent = student.busAM || 'N/A';
         document.getElementById('studentInfoBusPM').textContent = student.busPM || 'N/A';
         document.getElementById('studentInfoAddress').textContent = student.address || 'N/A';
         document.getElementById('studentInfoDropoffAddress').textContent = student.dropoffAddress || 'N/A';
+        const siblings = this.getHouseholdMembers(student).filter(s => s.id !== student.id);
+        document.getElementById('studentInfoHousehold').textContent = siblings.length
+            ? siblings.map(s => `${this.getStudentDisplayName(s)}${s.grade ? ` (${s.grade})` : ''}`).join(', ') + (student.householdId ? '' : ' – matched by address')
+            : 'None';
         document.getElementById('studentInfoParentName').textContent = student.parentName || 'N/A';
         document.getElementById('studentInfoHomePhone').textContent = student.homePhone || 'N/A';
         document.getElementById('studentInfoCellPhone').textContent = student.cellPhone || 'N/A';
@@ -1275,6 +3877,7 @@ class BusStudentTracker {
     }
 
     async unassignCurrentStudent() {
+        if (!this.requirePermission('editSeating')) return;
         if (!this.selectedSeat || !this.currentBusId) return;
         
         const { row, side, position } = this.selectedSeat;
@@ -1288,11 +3891,13 @@ class BusStudentTracker {
 
     // Bus Modal
     openBusModal(busId = null) {
+        if (!this.requirePermission('editBusses')) return;
         this.editingBusId = busId;
         const modal = document.getElementById('busModal');
         const title = document.getElementById('busModalTitle');
         const nameInput = document.getElementById('busNameInput');
         const deleteBtn = document.getElementById('deleteBusBtn');
+        let layout = this.getBusLayout(null);
         
         if (busId) {
             const bus = this.busses.find(b => b.id === busId);
@@ -1302,6 +3907,7 @@ class BusStudentTracker {
                 const busNumber = bus.name.replace(/^Bus\s+/i, '').trim();
                 nameInput.value = busNumber;
                 deleteBtn.style.display = 'block';
+                layout = this.getBusLayout(bus);
             }
         } else {
             title.textContent = 'Create Bus';
@@ -1309,6 +3915,13 @@ class BusStudentTracker {
             deleteBtn.style.display = 'none';
         }
         
+        const presetSelect = document.getElementById('busLayoutPresetSelect');
+        presetSelect.innerHTML = '<option value="">Custom</option>' +
+            Object.entries(BUS_LAYOUT_PRESETS).map(([key, preset]) => `<option value="${key}">${this.escapeHtml(preset.label)}</option>`).join('');
+        this.setBusLayoutInputs(layout);
+        this.editingBlockedSeats = new Set(layout.blockedSeats);
+        this.renderBusLayoutPreview();
+        
         modal.style.display = 'block';
         nameInput.focus();
     }
@@ -1318,7 +3931,86 @@ class BusStudentTracker {
         this.editingBusId = null;
     }
 
+    setBusLayoutInputs(layout) {
+        document.getElementById('busLayoutRowsInput').value = layout.rows;
+        document.getElementById('busLayoutLeftSeatsInput').value = layout.leftSeats;
+        document.getElementById('busLayoutRightSeatsInput').value = layout.rightSeats;
+        document.getElementById('busLayoutRearBenchInput').value = layout.rearBenchSeats;
+        const presetKey = Object.keys(BUS_LAYOUT_PRESETS).find(key => {
+            const preset = BUS_LAYOUT_PRESETS[key];
+            return preset.rows === layout.rows && preset.leftSeats === layout.leftSeats &&
+                preset.rightSeats === layout.rightSeats && preset.rearBenchSeats === layout.rearBenchSeats;
+        });
+        document.getElementById('busLayoutPresetSelect').value = presetKey || '';
+    }
+
+    applyBusLayoutPreset(presetKey) {
+        const preset = BUS_LAYOUT_PRESETS[presetKey];
+        if (!preset) return;
+        this.setBusLayoutInputs({ ...preset, blockedSeats: [] });
+        this.renderBusLayoutPreview();
+    }
+
+    // Layout currently entered in the bus modal (blocked seats outside the grid are dropped)
+    readBusLayoutInputs() {
+        const readCount = (id) => parseInt(document.getElementById(id).value, 10);
+        const layout = {
+            rows: readCount('busLayoutRowsInput'),
+            leftSeats: readCount('busLayoutLeftSeatsInput'),
+            rightSeats: readCount('busLayoutRightSeatsInput'),
+            rearBenchSeats: readCount('busLayoutRearBenchInput') || 0,
+            blockedSeats: []
+        };
+        if (!(layout.rows >= 1 && layout.rows <= 30)) return { error: 'Rows must be between 1 and 30.' };
+        if (!(layout.leftSeats >= 0 && layout.leftSeats <= 4) || !(layout.rightSeats >= 0 && layout.rightSeats <= 4)) {
+            return { error: 'Seats per side must be between 0 and 4.' };
+        }
+        if (layout.leftSeats + layout.rightSeats === 0) return { error: 'Each row needs at least one seat.' };
+        if (!(layout.rearBenchSeats >= 0 && layout.rearBenchSeats <= 8)) return { error: 'Rear bench must have 0 to 8 seats.' };
+        const seatKeys = new Set(this.getLayoutSeats(layout).map(seat => seat.key));
+        layout.blockedSeats = [...this.editingBlockedSeats].filter(key => seatKeys.has(key));
+        return { layout };
+    }
+
+    renderBusLayoutPreview() {
+        const preview = document.getElementById('busLayoutPreview');
+        const warningEl = document.getElementById('busLayoutWarning');
+        const { layout, error } = this.readBusLayoutInputs();
+        if (error) {
+            preview.innerHTML = '';
+            warningEl.textContent = error;
+            warningEl.style.display = 'block';
+            return;
+        }
+        warningEl.style.display = 'none';
+        const seats = this.getLayoutSeats(layout);
+        const renderSeat = (seat) => `<div class="layout-preview-seat ${seat.blocked ? 'blocked' : ''}" data-seat-key="${seat.key}" title="${this.escapeHtml(seat.label)}"></div>`;
+        let html = '';
+        const rearSeats = seats.filter(seat => seat.side === 'rear');
+        if (rearSeats.length > 0) {
+            html += `<div class="layout-preview-row rear">${rearSeats.map(renderSeat).join('')}</div>`;
+        }
+        for (let row = layout.rows; row >= 1; row--) {
+            const rowSeats = seats.filter(seat => seat.row === row && seat.side !== 'rear');
+            html += `
+                <div class="layout-preview-row">
+                    <div class="layout-preview-side left">${rowSeats.filter(seat => seat.side === 'left').map(renderSeat).join('')}</div>
+                    <div class="layout-preview-side right">${rowSeats.filter(seat => seat.side === 'right').map(renderSeat).join('')}</div>
+                </div>
+            `;
+        }
+        preview.innerHTML = html;
+    }
+
+    toggleBlockedSeat(seatKey) {
+        if (this.editingBlockedSeats.has(seatKey)) this.editingBlockedSeats.delete(seatKey);
+        else this.editingBlockedSeats.add(seatKey);
+        document.getElementById('busLayoutPresetSelect').value = '';
+        this.renderBusLayoutPreview();
+    }
+
     async saveBus() {
+        if (!this.requirePermission('editBusses')) return;
         const nameInput = document.getElementById('busNameInput');
         const busNumber = nameInput.value.trim();
         
@@ -1327,24 +4019,45 @@ class BusStudentTracker {
             return;
         }
         
+        const { layout, error } = this.readBusLayoutInputs();
+        if (error) {
+            alert(error);
+            return;
+        }
+        
         // Always prefix with "Bus "
         const name = `Bus ${busNumber}`;
         
         if (this.editingBusId) {
             const bus = this.busses.find(b => b.id === this.editingBusId);
             if (bus) {
+                // Assignments are kept when the layout shrinks; they get flagged on the bus screen instead
+                const assignments = await this.getSeatAssignments(bus.id);
+                const flagged = this.getFlaggedAssignments(assignments, layout);
+                const previouslyFlagged = this.getFlaggedAssignments(assignments, this.getBusLayout(bus));
+                if (flagged.length > previouslyFlagged.length &&
+                    !confirm(`${flagged.length} seat assignment(s) fall outside the new layout. They will be flagged on the bus screen until the students are moved or unassigned.\n\nSave the new layout?`)) {
+                    return;
+                }
                 bus.name = name;
+                bus.layout = layout;
                 await this.updateBus(bus);
             }
         } else {
-            await this.addBus({ name });
+            await this.addBus({ name, layout });
         }
         
         this.closeBusModal();
         this.renderBusses();
+        if (this.currentBusId) {
+            const bus = this.busses.find(b => b.id === this.currentBusId);
+            if (bus) document.getElementById('busNameHeader').textContent = bus.name;
+            this.renderBusDiagram();
+        }
     }
 
     async deleteCurrentBus() {
+        if (!this.requirePermission('editBusses')) return;
         if (!this.editingBusId) return;
         
         if (confirm('Are you sure you want to delete this bus? This will also delete all seat assignments.')) {
@@ -1359,6 +4072,7 @@ class BusStudentTracker {
     }
 
     async deleteBusConfirm(busId) {
+        if (!this.requirePermission('editBusses')) return;
         const bus = this.busses.find(b => b.id === busId);
         const busName = bus ? bus.name : 'this bus';
         
@@ -1386,10 +4100,25 @@ class BusStudentTracker {
     openSettingsModal() {
         document.getElementById('settingsModal').style.display = 'block';
         document.getElementById('firebaseSyncId').textContent = this.syncId;
-        document.getElementById('syncIdInput').value = '';
+        document.getElementById('orgNameText').textContent = this.org ? this.org.name : this.syncId;
+        document.getElementById('openOrgModalBtn').style.display = this.account ? 'block' : 'none';
         document.getElementById('versionText').textContent = 'App Version: ' + APP_VERSION;
+        document.getElementById('absenceThresholdInput').value = this.getAbsenceThreshold();
+        const geocoder = this.getGeocoderSettings();
+        const geocoderSelect = document.getElementById('geocoderProviderSelect');
+        geocoderSelect.innerHTML = Object.entries(GEOCODER_PROVIDERS).map(([key, provider]) => `<option value="${key}">${this.escapeHtml(provider.label)}</option>`).join('');
+        geocoderSelect.value = geocoder.provider;
+        document.getElementById('geocoderUrlInput').value = geocoder.urlTemplate;
+        document.getElementById('geocoderUrlGroup').style.display = geocoder.provider === 'custom' ? 'block' : 'none';
         this.updateSyncStatus();
-        this.updateEncryptionSettingsUI();
+        this.updateAccountStatus();
+        if (this.can('manageEncryption')) this.updateEncryptionSettingsUI();
+        const accountsSection = document.getElementById('accountsSection');
+        accountsSection.style.display = this.account ? 'block' : 'none';
+        if (this.account && this.can('manageAccounts')) {
+            this.editAccount();
+            this.loadAccounts();
+        }
     }
 
     async updateEncryptionSettingsUI() {
@@ -1417,6 +4146,7 @@ class BusStudentTracker {
     }
 
     async enableEncryptionWithPassword() {
+        if (!this.requirePermission('manageEncryption')) return;
         const pwd = document.getElementById('encryptionSetPasswordInput').value;
         const confirmPwd = document.getElementById('encryptionConfirmPasswordInput').value;
         const errEl = document.getElementById('encryptionSetPasswordError');
@@ -1439,6 +4169,7 @@ class BusStudentTracker {
     }
 
     async changeEncryptionPasswordSubmit() {
+        if (!this.requirePermission('manageEncryption')) return;
         const current = document.getElementById('encryptionCurrentPasswordInput').value;
         const newPwd = document.getElementById('encryptionNewPasswordInput').value;
         const confirmPwd = document.getElementById('encryptionNewPasswordConfirmInput').value;
@@ -1496,50 +4227,45 @@ class BusStudentTracker {
         }
     }
 
-    updateSyncStatus() {
+    // Also shows how many changes are waiting in the outbox, in Settings and under the title
+    async updateSyncStatus() {
         const statusEl = document.getElementById('firebaseSyncStatus');
-        if (this.firebaseEnabled) {
-            statusEl.textContent = 'Connected';
-            statusEl.style.color = 'var(--success-color)';
-        } else {
+        const headerEl = document.getElementById('syncStatus');
+        const pending = this.firebaseEnabled && this.db ? await this.countPendingChanges() : 0;
+        const waiting = pending ? `${pending} change${pending === 1 ? '' : 's'} waiting to sync` : '';
+        if (!this.firebaseEnabled) {
             statusEl.textContent = 'Not Connected';
             statusEl.style.color = 'var(--text-secondary)';
+        } else if (!navigator.onLine) {
+            statusEl.textContent = `Offline${waiting ? ` – ${waiting}` : ''}`;
+            statusEl.style.color = 'var(--warning-color)';
+        } else {
+            statusEl.textContent = waiting ? `Connected – ${waiting}` : 'Connected';
+            statusEl.style.color = waiting ? 'var(--warning-color)' : 'var(--success-color)';
         }
+        headerEl.textContent = waiting ? `⏳ ${waiting}${navigator.onLine ? '' : ' (offline)'}` : '';
     }
 
+    // Sends the outbox straight away, plus any record this device changed that never reached it (e.g. changed
+    // before the outbox existed). Records that match the cloud copy aren't sent again.
     async manualSync() {
         const messageEl = document.getElementById('firebaseSyncMessage');
         messageEl.textContent = 'Syncing...';
         
         try {
-            // Sync all busses
-            for (const bus of this.busses) {
-                await this.syncToFirebase('busses', bus);
-            }
-            
-            // Sync all students
-            for (const student of this.students) {
-                await this.syncToFirebase('students', student);
-            }
-            
-            // Sync all seat assignments
-            for (const bus of this.busses) {
-                const assignments = await this.getSeatAssignments(bus.id);
-                for (const assignment of assignments) {
-                    await this.syncToFirebase('seatAssignments', assignment);
-                }
-            }
-            
-            // Sync all check-ins
-            for (const checkin of this.checkins) {
-                await this.syncToFirebase('checkins', checkin);
-            }
+            await this.flushOutbox(true);
+            const ops = await this.getUnsyncedChanges();
+            if (ops.length > 0) await this.syncBatchToFirebase(ops);
+            // Audit entries and GPS points are sent once, when recorded, and only ever added to
             
-            // Sync all route rows
-            for (const row of this.routeRows) {
-                await this.syncToFirebase('routeRows', row);
+            const pending = await this.countPendingChanges();
+            if (pending) {
+                messageEl.textContent = navigator.onLine
+                    ? 'Some changes could not be sent yet. They will be retried automatically.'
+                    : 'Offline. Changes are saved on this device and will be sent when the connection returns.';
+                messageEl.style.color = 'var(--warning-color)';
+                return;
             }
-            
             messageEl.textContent = 'Sync complete!';
             messageEl.style.color = 'var(--success-color)';
             setTimeout(() => {
@@ -1551,8 +4277,46 @@ class BusStudentTracker {
         }
     }
 
+    // Records this account may write that differ from the last cloud version this device saw (see syncBase),
+    // or that the cloud has never had, and aren't already waiting in the outbox
+    async getUnsyncedChanges() {
+        const getAll = (storeName) => new Promise((resolve, reject) => {
+            const request = this.db.transaction([storeName], 'readonly').objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+        const [bases, seatAssignments, pending] = await Promise.all([getAll('syncBase'), getAll('seatAssignments'), this.getOutboxEntries()]);
+        const baseByKey = new Map(bases.map(base => [base.key, base.data]));
+        const queued = new Set(pending.flatMap(entry => entry.ops.filter(op => op.data).map(op => `${op.collection}/${op.data.id}`)));
+        const collections = [
+            ['busses', this.busses, 'editBusses'],
+            ['students', this.students, 'manageRoster'],
+            ['households', this.households, 'manageRoster'],
+            ['seatAssignments', seatAssignments, 'editSeating'],
+            ['checkins', this.checkins, 'checkIn'],
+            ['routeRows', this.routeRows, 'editRoutes'],
+            ['routeVersions', this.routeVersions, 'editRoutes'],
+            ['runs', this.runs, 'checkIn'],
+            ['absences', this.absences, 'checkIn']
+        ];
+        const visibleBusIds = new Set(this.getVisibleBusses().map(bus => bus.id));
+        const ops = [];
+        collections.forEach(([collection, records, permission]) => {
+            if (!this.can(permission)) return;
+            records.forEach(record => {
+                const key = `${collection}/${record.id}`;
+                if (queued.has(key)) return;
+                if (!this.can('viewAllBusses') && !visibleBusIds.has(record.busId)) return;
+                const base = baseByKey.get(key);
+                if (!base || this.getChangedFields(base, record, SYNC_META_FIELDS).length > 0) ops.push({ collection, data: record });
+            });
+        });
+        return ops;
+    }
+
     // Export all data from IndexedDB to a JSON file (works even when running from file://)
     async exportAllData() {
+        if (!this.requirePermission('backup')) return;
         const backup = await this.getAllDataForExport();
         const json = JSON.stringify(backup, null, 2);
         const blob = new Blob([json], { type: 'application/json' });
@@ -1566,13 +4330,19 @@ class BusStudentTracker {
 
     getAllDataForExport() {
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['busses', 'students', 'seatAssignments', 'checkins', 'routeRows'], 'readonly');
+            const transaction = this.db.transaction(['busses', 'students', 'households', 'seatAssignments', 'checkins', 'routeRows', 'routeVersions', 'runs', 'absences', 'gpsPoints', 'auditLog'], 'readonly');
             const busStore = transaction.objectStore('busses');
             const studentStore = transaction.objectStore('students');
             const assignmentStore = transaction.objectStore('seatAssignments');
             const checkinStore = transaction.objectStore('checkins');
             const routeRowStore = transaction.objectStore('routeRows');
-            const result = { busses: [], students: [], seatAssignments: [], checkins: [], routeRows: [] };
+            const routeVersionStore = transaction.objectStore('routeVersions');
+            const runStore = transaction.objectStore('runs');
+            const absenceStore = transaction.objectStore('absences');
+            const gpsPointStore = transaction.objectStore('gpsPoints');
+            const householdStore = transaction.objectStore('households');
+            const auditLogStore = transaction.objectStore('auditLog');
+            const result = { busses: [], students: [], households: [], seatAssignments: [], checkins: [], routeRows: [], routeVersions: [], runs: [], absences: [], gpsPoints: [], auditLog: [] };
             busStore.getAll().onsuccess = (e) => {
                 result.busses = e.target.result || [];
                 studentStore.getAll().onsuccess = (e2) => {
@@ -1583,7 +4353,25 @@ class BusStudentTracker {
                             result.checkins = e4.target.result || [];
                             routeRowStore.getAll().onsuccess = (e5) => {
                                 result.routeRows = e5.target.result || [];
-                                resolve(result);
+                                runStore.getAll().onsuccess = (e6) => {
+                                    result.runs = e6.target.result || [];
+                                    absenceStore.getAll().onsuccess = (e7) => {
+                                        result.absences = e7.target.result || [];
+                                        gpsPointStore.getAll().onsuccess = (e8) => {
+                                            result.gpsPoints = e8.target.result || [];
+                                            routeVersionStore.getAll().onsuccess = (e9) => {
+                                                result.routeVersions = e9.target.result || [];
+                                                householdStore.getAll().onsuccess = (e10) => {
+                                                    result.households = e10.target.result || [];
+                                                    auditLogStore.getAll().onsuccess = (e11) => {
+                                                        result.auditLog = e11.target.result || [];
+                                                        resolve(result);
+                                                    };
+                                                };
+                                            };
+                                        };
+                                    };
+                                };
                             };
                         };
                     };
@@ -1595,6 +4383,7 @@ class BusStudentTracker {
 
     // Import from backup JSON and optionally push to Firebase
     async importFromBackup(file) {
+        if (!this.requirePermission('backup')) return;
         if (!file || !file.name.endsWith('.json')) {
             alert('Please select a valid backup JSON file.');
             return;
@@ -1614,30 +4403,60 @@ class BusStudentTracker {
             const seatAssignments = backup.seatAssignments || [];
             const checkins = backup.checkins || [];
             const routeRows = backup.routeRows || [];
-
-            const transaction = this.db.transaction(['busses', 'students', 'seatAssignments', 'checkins', 'routeRows'], 'readwrite');
+            const runs = backup.runs || [];
+            const absences = backup.absences || [];
+            const gpsPoints = backup.gpsPoints || [];
+            const routeVersions = backup.routeVersions || [];
+            const households = backup.households || [];
+            const auditLog = backup.auditLog || [];
+
+            const transaction = this.db.transaction(['busses', 'students', 'households', 'seatAssignments', 'checkins', 'routeRows', 'routeVersions', 'runs', 'absences', 'gpsPoints', 'auditLog'], 'readwrite');
             const busStore = transaction.objectStore('busses');
             const studentStore = transaction.objectStore('students');
             const assignmentStore = transaction.objectStore('seatAssignments');
             const checkinStore = transaction.objectStore('checkins');
             const routeRowStore = transaction.objectStore('routeRows');
-
+            const runStore = transaction.objectStore('runs');
+            const absenceStore = transaction.objectStore('absences');
+            const gpsPointStore = transaction.objectStore('gpsPoints');
+            const routeVersionStore = transaction.objectStore('routeVersions');
+            const householdStore = transaction.objectStore('households');
+            const auditLogStore = transaction.objectStore('auditLog');
+
+            // The audit log is never cleared; entries in the backup are added to it
             busStore.clear();
             studentStore.clear();
             assignmentStore.clear();
             checkinStore.clear();
             routeRowStore.clear();
+            runStore.clear();
+            absenceStore.clear();
+            gpsPointStore.clear();
+            routeVersionStore.clear();
+            householdStore.clear();
 
             for (const bus of busses) busStore.put(bus);
             for (const student of students) studentStore.put(student);
             for (const a of seatAssignments) assignmentStore.put(a);
             for (const c of checkins) checkinStore.put(c);
             for (const r of routeRows) routeRowStore.put(r);
+            for (const r of runs) runStore.put(r);
+            for (const a of absences) absenceStore.put(a);
+            for (const p of gpsPoints) gpsPointStore.put(p);
+            for (const v of routeVersions) routeVersionStore.put(v);
+            for (const h of households) householdStore.put(h);
+            for (const entry of auditLog) auditLogStore.put(entry);
 
             await new Promise((resolve, reject) => {
                 transaction.oncomplete = resolve;
                 transaction.onerror = () => reject(transaction.error);
             });
+            await this.recordAudit([{
+                type: 'backup',
+                action: 'restore',
+                before: null,
+                after: { fileName: file.name, busses: busses.length, students: students.length, seatAssignments: seatAssignments.length, checkins: checkins.length, routeRows: routeRows.length }
+            }]);
 
             await this.loadData();
             this.renderBusses();
@@ -1684,7 +4503,8 @@ class BusStudentTracker {
                 this.addStudentNameRow({
                     firstName: student.firstName || '',
                     lastName: student.lastName || '',
-                    grade: student.grade || ''
+                    grade: student.grade || '',
+                    studentNumber: student.studentNumber || ''
                 });
                 document.getElementById('studentBusAMInput').value = student.busAM || '';
                 document.getElementById('studentBusPMInput').value = student.busPM || '';
@@ -1696,6 +4516,7 @@ class BusStudentTracker {
                 document.getElementById('studentWorkPhoneInput').value = student.workPhone || '';
                 document.getElementById('studentEmergencyContactInput').value = student.emergencyContact || '';
                 document.getElementById('studentOtherInfoInput').value = student.otherInfo || '';
+                this.renderHouseholdSelect(student.householdId || '', false);
                 deleteBtn.style.display = 'block';
                 addRowBtn.style.display = 'none';
             }
@@ -1704,6 +4525,7 @@ class BusStudentTracker {
             document.getElementById('studentForm').reset();
             container.innerHTML = '';
             this.addStudentNameRow();
+            this.renderHouseholdSelect('__auto__', true);
             deleteBtn.style.display = 'none';
             addRowBtn.style.display = 'block';
         }
@@ -1760,7 +4582,7 @@ class BusStudentTracker {
         const row = document.createElement('div');
         row.className = 'student-name-row';
         row.innerHTML = `
-            <div class="form-group" style="display: grid; grid-template-columns: 1fr 1fr auto auto; gap: 8px; align-items: end; margin-bottom: 10px;">
+            <div class="form-group" style="display: grid; grid-template-columns: 1fr 1fr auto auto auto; gap: 8px; align-items: end; margin-bottom: 10px;">
                 <div>
                     <label class="sr-only">First name</label>
                     <input type="text" class="form-control student-row-first" placeholder="First name" value="${this.escapeHtml(data.firstName || '')}">
@@ -1773,6 +4595,10 @@ class BusStudentTracker {
                     <label class="sr-only">Grade</label>
                     <input type="text" class="form-control student-row-grade" placeholder="Grade" value="${this.escapeHtml(data.grade || '')}" style="max-width: 80px;">
                 </div>
+                <div>
+                    <label class="sr-only">Student ID</label>
+                    <input type="text" class="form-control student-row-number" placeholder="Student ID" value="${this.escapeHtml(data.studentNumber || '')}" style="max-width: 110px;">
+                </div>
                 <button type="button" class="btn btn-secondary remove-student-row-btn" title="Remove this student" style="padding: 8px 12px;">&times;</button>
             </div>
         `;
@@ -1798,6 +4624,7 @@ class BusStudentTracker {
     }
 
     async saveMultipleStudents() {
+        if (!this.requirePermission('manageRoster')) return;
         const namesText = document.getElementById('multiStudentNamesInput').value.trim();
         if (!namesText) {
             alert('Please enter at least one student name (one per line).');
@@ -1834,6 +4661,7 @@ class BusStudentTracker {
             otherInfo: document.getElementById('multiOtherInfoInput').value.trim()
         };
 
+        const added = [];
         for (const { firstName, lastName } of names) {
             const student = {
                 firstName,
@@ -1841,8 +4669,9 @@ class BusStudentTracker {
                 ...shared
             };
             student.name = `${firstName} ${lastName}`.trim();
-            await this.addStudent(student);
+            added.push(await this.addStudent(student));
         }
+        await this.linkNewStudentsToHousehold(added, '__auto__', shared.address || shared.dropoffAddress);
 
         this.closeAddMultipleStudentsModal();
         if (this.selectedSeat) {
@@ -1854,6 +4683,7 @@ class BusStudentTracker {
     }
 
     async saveStudent() {
+        if (!this.requirePermission('manageRoster')) return;
         const container = document.getElementById('studentNameRowsContainer');
         const rows = container.querySelectorAll('.student-name-row');
         const shared = {
@@ -1882,6 +4712,7 @@ class BusStudentTracker {
                 firstName,
                 lastName,
                 grade: row.querySelector('.student-row-grade').value.trim(),
+                studentNumber: row.querySelector('.student-row-number').value.trim(),
                 ...shared
             };
             student.name = `${firstName} ${lastName}`;
@@ -1890,6 +4721,9 @@ class BusStudentTracker {
                 Object.assign(existing, student);
                 existing.id = this.editingStudentId;
                 await this.updateStudent(existing);
+                const householdChoice = document.getElementById('studentHouseholdSelect').value;
+                const newHousehold = householdChoice === '__new__' ? this.createHousehold(shared.address || shared.dropoffAddress) : null;
+                await this.saveHouseholdLinks(new Map([[existing.id, newHousehold ? newHousehold.id : householdChoice || null]]), newHousehold ? [newHousehold] : []);
             }
         } else {
             const toAdd = [];
@@ -1905,6 +4739,7 @@ class BusStudentTracker {
                     firstName,
                     lastName,
                     grade: row.querySelector('.student-row-grade').value.trim(),
+                    studentNumber: row.querySelector('.student-row-number').value.trim(),
                     ...shared
                 };
                 student.name = `${firstName} ${lastName}`;
@@ -1917,6 +4752,7 @@ class BusStudentTracker {
             for (const student of toAdd) {
                 await this.addStudent(student);
             }
+            await this.linkNewStudentsToHousehold(toAdd, document.getElementById('studentHouseholdSelect').value, shared.address || shared.dropoffAddress);
         }
         
         this.closeStudentModal();
@@ -1926,17 +4762,441 @@ class BusStudentTracker {
         }
     }
 
-    async deleteCurrentStudent() {
-        if (!this.editingStudentId) return;
-        
-        if (confirm('Are you sure you want to delete this student? This will also remove them from any assigned seats.')) {
-            await this.deleteStudent(this.editingStudentId);
-            this.closeStudentModal();
-            
-            // Refresh bus diagram if open
-            if (this.currentBusId) {
-                this.renderBusDiagram();
+    // Students entered together on the add form share contact details, so they are one household
+    async linkNewStudentsToHousehold(students, choice, address) {
+        if (choice === '__auto__' && students.length === 1) {
+            await this.linkHouseholdsByAddress(students);
+            return;
+        }
+        let householdId = choice;
+        const newHouseholds = [];
+        if (choice === '__auto__' || choice === '__new__') {
+            const key = this.normalizeAddressForMatch(address);
+            const existing = choice === '__auto__' && key ? this.households.find(h => this.normalizeAddressForMatch(h.address) === key) : null;
+            if (existing) {
+                householdId = existing.id;
+            } else {
+                const household = this.createHousehold(address);
+                newHouseholds.push(household);
+                householdId = household.id;
+            }
+        }
+        if (!householdId) return;
+        await this.saveHouseholdLinks(new Map(students.map(s => [s.id, householdId])), newHouseholds);
+    }
+
+    async deleteCurrentStudent() {
+        if (!this.requirePermission('manageRoster')) return;
+        if (!this.editingStudentId) return;
+        
+        if (confirm('Are you sure you want to delete this student? This will also remove them from any assigned seats.')) {
+            await this.deleteStudent(this.editingStudentId);
+            this.closeStudentModal();
+            
+            // Refresh bus diagram if open
+            if (this.currentBusId) {
+                this.renderBusDiagram();
+            }
+        }
+    }
+
+    // --- Roster Import (CSV / XLSX) ---
+    openRosterImportModal() {
+        if (!this.requirePermission('manageRoster')) return;
+        this.rosterImport = null;
+        document.getElementById('rosterImportFileInput').value = '';
+        document.getElementById('rosterImportMapping').innerHTML = '';
+        document.getElementById('rosterImportErrors').innerHTML = '';
+        document.getElementById('rosterImportPreview').innerHTML = '';
+        document.getElementById('rosterImportCommitBtn').style.display = 'none';
+        document.getElementById('rosterImportDiff').innerHTML = '';
+        document.getElementById('rosterImportMessage').textContent = '';
+        document.getElementById('rosterImportModeSelect').value = 'add';
+        this.closeSettingsModal();
+        document.getElementById('rosterImportModal').style.display = 'block';
+    }
+
+    closeRosterImportModal() {
+        document.getElementById('rosterImportModal').style.display = 'none';
+        this.rosterImport = null;
+    }
+
+    async loadRosterImportFile(file) {
+        const messageEl = document.getElementById('rosterImportMessage');
+        messageEl.textContent = 'Reading file...';
+        messageEl.style.color = 'var(--text-secondary)';
+        try {
+            const lines = await this.readSpreadsheetFile(file);
+            if (lines.length < 2) throw new Error('The file needs a header row and at least one student row.');
+            const headers = lines[0].cells.map(h => String(h || '').trim());
+            this.rosterImport = {
+                fileName: file.name,
+                headers,
+                lines: lines.slice(1),
+                mapping: this.detectRosterColumns(headers)
+            };
+            messageEl.textContent = '';
+            this.renderRosterImport();
+        } catch (err) {
+            this.rosterImport = null;
+            messageEl.textContent = 'Could not read file: ' + (err.message || String(err));
+            messageEl.style.color = 'var(--danger-color)';
+        }
+    }
+
+    normalizeHeader(header) {
+        return String(header || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    }
+
+    detectRosterColumns(headers) {
+        const mapping = this.detectImportColumns(headers, ROSTER_IMPORT_FIELDS);
+        // A separate first/last name pair makes a full-name column redundant
+        if (mapping.firstName !== undefined && mapping.lastName !== undefined) delete mapping.fullName;
+        return mapping;
+    }
+
+    // Map each field to the best-matching column index: exact alias matches win over partial ones
+    detectImportColumns(headers, fields) {
+        const candidates = [];
+        headers.forEach((header, columnIndex) => {
+            const normalized = this.normalizeHeader(header);
+            if (!normalized) return;
+            fields.forEach((field, fieldIndex) => {
+                let score = 0;
+                for (const alias of field.aliases) {
+                    if (normalized === alias) score = Math.max(score, 100 + alias.length);
+                    else if (` ${normalized} `.includes(` ${alias} `)) score = Math.max(score, alias.length);
+                }
+                if (score > 0) candidates.push({ key: field.key, columnIndex, score, fieldIndex });
+            });
+        });
+        candidates.sort((a, b) => b.score - a.score || a.fieldIndex - b.fieldIndex);
+        const mapping = {};
+        const usedColumns = new Set();
+        for (const c of candidates) {
+            if (mapping[c.key] !== undefined || usedColumns.has(c.columnIndex)) continue;
+            mapping[c.key] = c.columnIndex;
+            usedColumns.add(c.columnIndex);
+        }
+        return mapping;
+    }
+
+    setRosterImportMapping(fieldKey, value) {
+        if (!this.rosterImport) return;
+        if (value === '') delete this.rosterImport.mapping[fieldKey];
+        else this.rosterImport.mapping[fieldKey] = parseInt(value, 10);
+        this.renderRosterImport();
+    }
+
+    getRosterImportMode() {
+        return document.getElementById('rosterImportModeSelect').value === 'merge' ? 'merge' : 'add';
+    }
+
+    // Split "Last, First Middle" or "First Middle Last" into first and last name
+    splitFullName(fullName) {
+        const value = (fullName || '').trim().replace(/\s+/g, ' ');
+        if (!value) return { firstName: '', lastName: '' };
+        if (value.includes(',')) {
+            const [last, ...rest] = value.split(',');
+            return { firstName: rest.join(',').trim(), lastName: last.trim() };
+        }
+        const parts = value.split(' ');
+        return { firstName: parts[0], lastName: parts.slice(1).join(' ') };
+    }
+
+    buildStudentFromRosterLine(cells, mapping) {
+        const read = (key) => mapping[key] !== undefined ? String(cells[mapping[key]] ?? '').trim() : '';
+        const student = {};
+        ROSTER_IMPORT_FIELDS.forEach(field => {
+            if (field.key !== 'fullName') student[field.key] = read(field.key);
+        });
+        if (mapping.fullName !== undefined) {
+            const split = this.splitFullName(read('fullName'));
+            if (!student.firstName) student.firstName = split.firstName;
+            if (!student.lastName) student.lastName = split.lastName;
+        }
+        student.name = `${student.firstName} ${student.lastName}`.trim();
+        return student;
+    }
+
+    // Validate every line against the current mapping; returns the students to import and the problems found
+    evaluateRosterImport() {
+        const { headers, lines, mapping } = this.rosterImport;
+        const students = [];
+        const errors = [];
+        const seen = new Map();
+        const hasName = (mapping.firstName !== undefined && mapping.lastName !== undefined) || mapping.fullName !== undefined;
+        if (!hasName) {
+            errors.push({ line: 1, message: 'Map a Full Name column, or both First Name and Last Name, before importing.' });
+            return { students, errors };
+        }
+        for (const { line, cells } of lines) {
+            if (cells.every(c => String(c ?? '').trim() === '')) continue;
+            if (cells.length > headers.length && cells.slice(headers.length).some(c => String(c ?? '').trim() !== '')) {
+                errors.push({ line, message: `Has ${cells.length} columns but the header has ${headers.length} (check for unquoted commas).` });
+                continue;
+            }
+            const student = this.buildStudentFromRosterLine(cells, mapping);
+            if (!student.firstName || !student.lastName) {
+                errors.push({ line, message: 'Missing first or last name.' });
+                continue;
+            }
+            const duplicateKey = [student.firstName, student.lastName, student.grade, student.address].map(v => (v || '').toLowerCase()).join('|');
+            if (seen.has(duplicateKey)) {
+                errors.push({ line, message: `Duplicate of line ${seen.get(duplicateKey)} (${student.name}).` });
+                continue;
+            }
+            seen.set(duplicateKey, line);
+            students.push({ line, student });
+        }
+        return { students, errors };
+    }
+
+    renderRosterImport() {
+        const mappingEl = document.getElementById('rosterImportMapping');
+        const errorsEl = document.getElementById('rosterImportErrors');
+        const previewEl = document.getElementById('rosterImportPreview');
+        const commitBtn = document.getElementById('rosterImportCommitBtn');
+        if (!this.rosterImport) return;
+        const { headers, mapping, fileName } = this.rosterImport;
+        const columnOptions = (selected) => '<option value="">— Not imported —</option>' +
+            headers.map((h, i) => `<option value="${i}" ${selected === i ? 'selected' : ''}>${this.escapeHtml(h || `Column ${i + 1}`)}</option>`).join('');
+        mappingEl.innerHTML = `
+            <div class="roster-import-section-title">Column mapping for ${this.escapeHtml(fileName)}</div>
+            <div class="roster-import-mapping-grid">
+                ${ROSTER_IMPORT_FIELDS.map(field => `
+                    <label for="rosterMap_${field.key}">${this.escapeHtml(field.label)}</label>
+                    <select id="rosterMap_${field.key}" class="form-control" onchange="app.setRosterImportMapping('${field.key}', this.value)">${columnOptions(mapping[field.key])}</select>
+                `).join('')}
+            </div>
+        `;
+
+        const { students, errors } = this.evaluateRosterImport();
+        errorsEl.innerHTML = errors.length === 0 ? '' : `
+            <div class="roster-import-errors">
+                <div class="roster-import-section-title">${errors.length} line(s) will be skipped</div>
+                ${errors.map(e => `<div>Line ${e.line}: ${this.escapeHtml(e.message)}</div>`).join('')}
+            </div>
+        `;
+
+        const previewFields = ROSTER_IMPORT_FIELDS.filter(f => f.key !== 'fullName' && (mapping[f.key] !== undefined || ((f.key === 'firstName' || f.key === 'lastName') && mapping.fullName !== undefined)));
+        const previewRows = students.slice(0, 10);
+        previewEl.innerHTML = students.length === 0 ? '' : `
+            <div class="roster-import-section-title">Preview (${Math.min(10, students.length)} of ${students.length} students)</div>
+            <div class="roster-import-table-wrapper">
+                <table class="roster-import-table">
+                    <thead><tr><th>Line</th>${previewFields.map(f => `<th>${this.escapeHtml(f.label)}</th>`).join('')}</tr></thead>
+                    <tbody>
+                        ${previewRows.map(({ line, student }) => `<tr><td>${line}</td>${previewFields.map(f => `<td>${this.escapeHtml(student[f.key] || '')}</td>`).join('')}</tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+        document.getElementById('rosterImportDiff').innerHTML = '';
+        this.rosterImport.diff = null;
+        commitBtn.textContent = this.getRosterImportMode() === 'merge'
+            ? `Review changes for ${students.length} student(s)`
+            : `Import ${students.length} student(s)`;
+        commitBtn.style.display = students.length > 0 ? 'block' : 'none';
+    }
+
+    // Fallback match key when a roster has no student ID: name + grade + address
+    getRosterMatchKey(student) {
+        return [student.firstName, student.lastName, student.grade].map(v => (v || '').trim().toLowerCase()).join('|') +
+            '|' + this.normalizeAddressForMatch(student.address || '');
+    }
+
+    // Compare the import against existing students: added, updated (with changed fields), unchanged and withdrawn
+    buildRosterMergeDiff(importedStudents) {
+        const { mapping } = this.rosterImport;
+        const comparedFields = ROSTER_IMPORT_FIELDS.map(f => f.key).filter(key => {
+            if (key === 'fullName') return false;
+            if (key === 'firstName' || key === 'lastName') return mapping[key] !== undefined || mapping.fullName !== undefined;
+            return mapping[key] !== undefined;
+        });
+        const byNumber = new Map();
+        const byKey = new Map();
+        this.students.forEach(s => {
+            const number = (s.studentNumber || '').trim().toLowerCase();
+            if (number) byNumber.set(number, s);
+            const key = this.getRosterMatchKey(s);
+            if (!byKey.has(key)) byKey.set(key, s);
+        });
+        const matchedIds = new Map();
+        const diff = { added: [], updated: [], unchanged: [], withdrawn: [], errors: [] };
+        for (const { line, student } of importedStudents) {
+            const number = (student.studentNumber || '').trim().toLowerCase();
+            let existing = number ? byNumber.get(number) : null;
+            // Only fall back to name/grade/address for students that don't already carry a different ID
+            if (!existing) {
+                const candidate = byKey.get(this.getRosterMatchKey(student));
+                if (candidate && (!number || !(candidate.studentNumber || '').trim())) existing = candidate;
+            }
+            if (existing && matchedIds.has(existing.id)) {
+                diff.errors.push({ line, message: `Matches the same student as line ${matchedIds.get(existing.id)} (${this.getStudentDisplayName(existing)}).` });
+                continue;
+            }
+            if (!existing) {
+                diff.added.push({ line, student });
+                continue;
+            }
+            matchedIds.set(existing.id, line);
+            // Blank cells never erase data that is already on file
+            const changes = {};
+            comparedFields.forEach(key => {
+                const incoming = (student[key] || '').trim();
+                if (incoming && incoming !== (existing[key] || '').trim()) changes[key] = incoming;
+            });
+            if (Object.keys(changes).length > 0) diff.updated.push({ line, existing, changes });
+            else diff.unchanged.push({ line, existing });
+        }
+        diff.withdrawn = this.students.filter(s => !matchedIds.has(s.id));
+        return diff;
+    }
+
+    renderRosterMergeDiff() {
+        const diff = this.rosterImport.diff;
+        const fieldLabel = (key) => (ROSTER_IMPORT_FIELDS.find(f => f.key === key) || { label: key }).label;
+        const container = document.getElementById('rosterImportDiff');
+        container.innerHTML = `
+            <div class="roster-diff-summary">
+                <div><strong>${diff.added.length}</strong><span>Added</span></div>
+                <div><strong>${diff.updated.length}</strong><span>Updated</span></div>
+                <div><strong>${diff.unchanged.length}</strong><span>Unchanged</span></div>
+                <div><strong>${diff.withdrawn.length}</strong><span>Not in roster</span></div>
+            </div>
+            ${diff.errors.length ? `
+                <div class="roster-import-errors">
+                    <div class="roster-import-section-title">${diff.errors.length} line(s) will be skipped</div>
+                    ${diff.errors.map(e => `<div>Line ${e.line}: ${this.escapeHtml(e.message)}</div>`).join('')}
+                </div>
+            ` : ''}
+            ${diff.added.length ? `
+                <div class="roster-import-section-title">New students</div>
+                <div class="roster-diff-list">
+                    ${diff.added.map(({ student }) => `<div>${this.escapeHtml(student.name)}${student.grade ? ` (Grade ${this.escapeHtml(student.grade)})` : ''}</div>`).join('')}
+                </div>
+            ` : ''}
+            ${diff.updated.length ? `
+                <div class="roster-import-section-title">Updated students</div>
+                <div class="roster-diff-list">
+                    ${diff.updated.map(({ existing, changes }) => `
+                        <div class="roster-diff-item">
+                            <strong>${this.escapeHtml(this.getStudentDisplayName(existing))}</strong>
+                            ${Object.entries(changes).map(([key, value]) => `
+                                <div class="roster-diff-change">${this.escapeHtml(fieldLabel(key))}: <span class="old">${this.escapeHtml(existing[key] || '—')}</span> → <span class="new">${this.escapeHtml(value)}</span></div>
+                            `).join('')}
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+            ${diff.withdrawn.length ? `
+                <div class="roster-import-section-title">Not in the new roster – check students to withdraw (removes them and their seats)</div>
+                <label style="display: flex; align-items: center; gap: 8px; font-size: 13px; margin-bottom: 6px;">
+                    <input type="checkbox" onchange="document.querySelectorAll('.roster-withdraw-checkbox').forEach(cb => cb.checked = this.checked)"> Select all
+                </label>
+                <div class="roster-diff-list">
+                    ${diff.withdrawn.map(s => `
+                        <label class="roster-diff-withdraw">
+                            <input type="checkbox" class="roster-withdraw-checkbox" value="${s.id}">
+                            ${this.escapeHtml(this.getStudentDisplayName(s))}${s.grade ? ` (Grade ${this.escapeHtml(s.grade)})` : ''}
+                        </label>
+                    `).join('')}
+                </div>
+            ` : ''}
+            <button type="button" class="btn btn-primary" id="rosterMergeApplyBtn" onclick="app.applyRosterMerge()" style="width: 100%; margin-top: 15px;">Apply changes</button>
+        `;
+    }
+
+    async applyRosterMerge() {
+        if (!this.requirePermission('manageRoster')) return;
+        const diff = this.rosterImport && this.rosterImport.diff;
+        if (!diff) return;
+        const withdrawIds = Array.from(document.querySelectorAll('.roster-withdraw-checkbox:checked')).map(cb => cb.value);
+        if (withdrawIds.length > 0 && !confirm(`Withdraw ${withdrawIds.length} student(s)? They will be deleted along with their seat assignments.`)) return;
+        const messageEl = document.getElementById('rosterImportMessage');
+        const applyBtn = document.getElementById('rosterMergeApplyBtn');
+        applyBtn.disabled = true;
+        messageEl.textContent = 'Applying changes...';
+        messageEl.style.color = 'var(--text-secondary)';
+        // Each change is taken off the diff once it's saved, so after a failure the diff shows only what's
+        // left and applying it again doesn't add anyone twice
+        const applied = diff.applied || (diff.applied = { added: [], updated: 0, withdrawn: 0 });
+        try {
+            while (diff.added.length > 0) {
+                await this.addStudent(diff.added[0].student);
+                applied.added.push(diff.added.shift().student);
+            }
+            await this.linkHouseholdsByAddress(applied.added);
+            // Changed on a copy, so a failed save leaves the student as they were
+            while (diff.updated.length > 0) {
+                const { existing, changes } = diff.updated[0];
+                const updated = { ...existing, ...changes };
+                updated.name = `${updated.firstName || ''} ${updated.lastName || ''}`.trim();
+                await this.updateStudent(updated);
+                diff.updated.shift();
+                applied.updated++;
+            }
+            for (const studentId of withdrawIds) {
+                await this.deleteStudent(studentId);
+                diff.withdrawn = diff.withdrawn.filter(s => s.id !== studentId);
+                applied.withdrawn++;
+            }
+            messageEl.textContent = `Added ${applied.added.length}, updated ${applied.updated}, withdrew ${applied.withdrawn} student(s).`;
+            messageEl.style.color = 'var(--success-color)';
+            this.rosterImport = null;
+            document.getElementById('rosterImportFileInput').value = '';
+            document.getElementById('rosterImportMapping').innerHTML = '';
+            document.getElementById('rosterImportErrors').innerHTML = '';
+            document.getElementById('rosterImportPreview').innerHTML = '';
+            document.getElementById('rosterImportDiff').innerHTML = '';
+            document.getElementById('rosterImportCommitBtn').style.display = 'none';
+            if (this.currentBusId) this.renderBusDiagram();
+        } catch (err) {
+            this.renderRosterMergeDiff();
+            document.querySelectorAll('.roster-withdraw-checkbox').forEach(cb => {
+                cb.checked = withdrawIds.includes(cb.value);
+            });
+            messageEl.textContent = 'Import failed: ' + (err.message || String(err));
+            messageEl.style.color = 'var(--danger-color)';
+        } finally {
+            applyBtn.disabled = false;
+        }
+    }
+
+    async commitRosterImport() {
+        if (!this.requirePermission('manageRoster')) return;
+        if (!this.rosterImport) return;
+        const { students } = this.evaluateRosterImport();
+        if (students.length === 0) return;
+        if (this.getRosterImportMode() === 'merge') {
+            this.rosterImport.diff = this.buildRosterMergeDiff(students);
+            this.renderRosterMergeDiff();
+            return;
+        }
+        const messageEl = document.getElementById('rosterImportMessage');
+        const commitBtn = document.getElementById('rosterImportCommitBtn');
+        commitBtn.disabled = true;
+        messageEl.textContent = 'Importing...';
+        messageEl.style.color = 'var(--text-secondary)';
+        try {
+            for (const { student } of students) {
+                await this.addStudent(student);
             }
+            await this.linkHouseholdsByAddress(students.map(({ student }) => student));
+            messageEl.textContent = `Imported ${students.length} student(s).`;
+            messageEl.style.color = 'var(--success-color)';
+            this.rosterImport = null;
+            document.getElementById('rosterImportFileInput').value = '';
+            document.getElementById('rosterImportMapping').innerHTML = '';
+            document.getElementById('rosterImportErrors').innerHTML = '';
+            document.getElementById('rosterImportPreview').innerHTML = '';
+            commitBtn.style.display = 'none';
+        } catch (err) {
+            messageEl.textContent = 'Import failed: ' + (err.message || String(err));
+            messageEl.style.color = 'var(--danger-color)';
+        } finally {
+            commitBtn.disabled = false;
         }
     }
 
@@ -2060,8 +5320,25 @@ class BusStudentTracker {
         });
         const totalCheckedIn = checkedInIds.length;
         const assignedCheckedIn = assignedStudents.filter(s => checkedInIds.includes(s.id)).length;
+        const run = this.getFinalizedRun(this.currentBusId, today, route);
+        const absentIds = run ? this.absences.filter(a => a.runId === run.id).map(a => a.studentId) : [];
+        
+        const finalizeSection = document.getElementById('checkinFinalizeSection');
+        finalizeSection.innerHTML = run
+            ? `
+                <div class="run-finalized-banner">
+                    <span>🔒 Run finalized at ${new Date(run.finalizedAt).toLocaleTimeString()} – ${absentIds.length} absent</span>
+                    <button class="btn btn-secondary" onclick="app.reopenCurrentRun()" style="padding: 6px 12px; font-size: 13px;">Reopen</button>
+                </div>
+            `
+            : `<button class="btn btn-primary" onclick="app.openCheckinFinalize()" style="width: 100%;">🔒 Finalize Run (record ${assignedStudents.length - assignedCheckedIn} absent)</button>`;
+        document.getElementById('checkinStudentSearchInput').disabled = !!run;
+        document.getElementById('addCheckinStudentBtn').disabled = !!run;
         
         // Update stats
+        const stillOnBus = todayCheckins.filter(c => !c.checkedOutAt).length;
+        document.getElementById('checkinStillOnBus').textContent = stillOnBus;
+        document.getElementById('checkinStillOnBusStat').style.display = this.isCheckoutTracked(todayCheckins, route) ? 'block' : 'none';
         document.getElementById('checkinTotal').textContent = assignedStudents.length;
         document.getElementById('checkinCheckedIn').textContent = totalCheckedIn;
         document.getElementById('checkinNotCheckedIn').textContent = assignedStudents.length - assignedCheckedIn;
@@ -2091,13 +5368,19 @@ class BusStudentTracker {
                         <div style="font-size: 13px; color: var(--text-secondary);">
                             ${student.grade ? `Grade ${student.grade}` : ''}
                             ${checkin ? ` • Checked in at ${new Date(checkin.timestamp).toLocaleTimeString()}` : ''}
+                            ${checkin && checkin.checkedOutAt ? ` • Dropped off at ${new Date(checkin.checkedOutAt).toLocaleTimeString()}${this.getCheckoutStopLabel(checkin) ? ` (${this.escapeHtml(this.getCheckoutStopLabel(checkin))})` : ''}` : ''}
                         </div>
                     </div>
-                    <button class="btn ${isCheckedIn ? 'btn-secondary' : 'btn-primary'}" 
+                    ${!run && checkin ? (checkin.checkedOutAt
+                        ? `<button class="btn btn-secondary" onclick="app.undoCheckout('${checkin.id}')" style="padding: 8px 12px; font-size: 14px; margin-right: 8px;">🏠 Dropped Off</button>`
+                        : `<button class="btn btn-primary" onclick="app.openCheckoutModal('${checkin.id}')" style="padding: 8px 12px; font-size: 14px; margin-right: 8px;">Check Out</button>`) : ''}
+                    ${run
+                        ? (absentIds.includes(student.id) ? '<span class="absent-badge">ABSENT</span>' : `<span style="font-size: 14px; color: ${isCheckedIn ? 'var(--success-color)' : 'var(--text-secondary)'};">${isCheckedIn ? '✓ Checked In' : '—'}</span>`)
+                        : `<button class="btn ${isCheckedIn ? 'btn-secondary' : 'btn-primary'}" 
                             onclick="app.toggleCheckin('${student.id}', ${isExtra})"
                             style="padding: 8px 16px; font-size: 14px;">
                         ${isCheckedIn ? '✓ Checked In' : 'Check In'}
-                    </button>
+                    </button>`}
                 </div>
             `;
         }).join('');
@@ -2114,6 +5397,10 @@ class BusStudentTracker {
         
         const route = this.currentRoute || 'AM';
         const today = new Date().toISOString().split('T')[0];
+        if (this.getFinalizedRun(this.currentBusId, today, route)) {
+            alert('This run has been finalized. Reopen it to change check-ins.');
+            return;
+        }
         
         // Check if already checked in
         const todayCheckins = await this.getCheckinsForDate(this.currentBusId, today, route);
@@ -2217,6 +5504,10 @@ class BusStudentTracker {
     async addExtraCheckinStudentById(studentId) {
         const route = this.currentRoute || 'AM';
         const today = new Date().toISOString().split('T')[0];
+        if (this.getFinalizedRun(this.currentBusId, today, route)) {
+            alert('This run has been finalized. Reopen it to change check-ins.');
+            return;
+        }
         
         // Check if already checked in
         const todayCheckins = await this.getCheckinsForDate(this.currentBusId, today, route);
@@ -2278,33 +5569,882 @@ class BusStudentTracker {
         });
     }
 
-    async addCheckin(checkin) {
-        checkin.id = checkin.id || this.generateId();
-        await this.addCheckinToIndexedDB(checkin);
-        this.syncToFirebase('checkins', checkin);
-        return checkin;
+    async addCheckin(checkin) {
+        // Starts with the bus, like run ids (see getRunId)
+        checkin.id = checkin.id || `${checkin.busId}_${this.generateId()}`;
+        checkin.location = checkin.location || this.getFreshGpsLocation();
+        await this.addCheckinToIndexedDB(checkin);
+        this.syncToFirebase('checkins', checkin);
+        await this.recordAudit([{ type: 'checkin', before: null, after: checkin }]);
+        if (!checkin.location && this.runMode) this.locateCheckinLater(checkin.id, 'location');
+        return checkin;
+    }
+
+    async removeCheckin(checkinId) {
+        const before = this.checkins.find(c => c.id === checkinId);
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['checkins'], 'readwrite');
+            const store = transaction.objectStore('checkins');
+            const request = store.delete(checkinId);
+            
+            request.onsuccess = () => {
+                this.checkins = this.checkins.filter(c => c.id !== checkinId);
+                this.syncToFirebase('checkins', null, checkinId);
+                this.recordAudit(before ? [{ type: 'checkin', before, after: null }] : []).then(() => resolve(), reject);
+            };
+            
+            request.onerror = () => {
+                reject(request.error);
+            };
+        });
+    }
+
+    // IndexedDB CRUD Operations - Runs & Absences
+    async addRunToIndexedDB(run) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['runs'], 'readwrite');
+            const request = transaction.objectStore('runs').put(run);
+            
+            request.onsuccess = () => {
+                const index = this.runs.findIndex(r => r.id === run.id);
+                if (index === -1) {
+                    this.runs.push(run);
+                } else {
+                    this.runs[index] = run;
+                }
+                resolve(run);
+            };
+            
+            request.onerror = () => {
+                reject(request.error);
+            };
+        });
+    }
+
+    async addAbsenceToIndexedDB(absence) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['absences'], 'readwrite');
+            const request = transaction.objectStore('absences').put(absence);
+            
+            request.onsuccess = () => {
+                const index = this.absences.findIndex(a => a.id === absence.id);
+                if (index === -1) {
+                    this.absences.push(absence);
+                } else {
+                    this.absences[index] = absence;
+                }
+                resolve(absence);
+            };
+            
+            request.onerror = () => {
+                reject(request.error);
+            };
+        });
+    }
+
+    async getFromStore(storeName, id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).get(id);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deleteFromStore(storeName, id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const request = transaction.objectStore(storeName).delete(id);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Runs and absences are named after what they record, so two tablets finalizing the same run (or timing
+    // the same stop) write the same records instead of duplicates. The bus comes first, which
+    // firestore.rules relies on for records that don't exist yet.
+    getRunId(busId, date, route) {
+        return `${busId}_${date}_${route}`;
+    }
+
+    getAbsenceId(runId, studentId) {
+        return `${runId}_${studentId}`;
+    }
+
+    getRunRecord(busId, date, route) {
+        return this.runs.find(r => r.busId === busId && r.date === date && r.route === route) || null;
+    }
+
+    getFinalizedRun(busId, date, route) {
+        const run = this.getRunRecord(busId, date, route);
+        return run && run.finalizedAt ? run : null;
+    }
+
+    // Freeze the check-in list for a bus, route and date: everyone assigned who wasn't checked in gets an absence record
+    async finalizeRun(busId, route, date, extra = {}) {
+        const existing = this.getFinalizedRun(busId, date, route);
+        if (existing) return existing;
+        
+        const assignments = await this.getSeatAssignments(busId, route);
+        const checkins = await this.getCheckinsForDate(busId, date, route);
+        const assignedStudentIds = [...new Set(assignments.map(a => a.studentId))];
+        const checkedInStudentIds = [...new Set(checkins.map(c => c.studentId))];
+        const finalizedAt = new Date().toISOString();
+        const run = {
+            ...(this.getRunRecord(busId, date, route) || { id: this.getRunId(busId, date, route), busId, route, date }),
+            finalizedAt,
+            assignedStudentIds,
+            checkedInStudentIds,
+            absentStudentIds: assignedStudentIds.filter(id => !checkedInStudentIds.includes(id)),
+            ...extra
+        };
+        const absences = run.absentStudentIds.map(studentId => ({
+            id: this.getAbsenceId(run.id, studentId),
+            runId: run.id,
+            busId,
+            route,
+            date,
+            studentId,
+            recordedAt: finalizedAt
+        }));
+        
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['runs', 'absences'], 'readwrite');
+            transaction.objectStore('runs').put(run);
+            const absenceStore = transaction.objectStore('absences');
+            absences.forEach(a => absenceStore.put(a));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+        this.runs = this.runs.filter(r => r.id !== run.id).concat(run);
+        this.absences.push(...absences);
+        this.syncBatchToFirebase([
+            { collection: 'runs', data: run },
+            ...absences.map(a => ({ collection: 'absences', data: a }))
+        ]);
+        return run;
+    }
+
+    // Undo a finalize so check-ins can be corrected; its absence records are removed with it.
+    // Stop arrival times recorded in run mode are kept.
+    async reopenRun(runId) {
+        const run = this.runs.find(r => r.id === runId);
+        const absences = this.absences.filter(a => a.runId === runId);
+        let reopened = null;
+        if (run && run.stopArrivals && Object.keys(run.stopArrivals).length > 0) {
+            const { finalizedAt, assignedStudentIds, checkedInStudentIds, absentStudentIds, leftOnBusOverride, ...rest } = run;
+            reopened = rest;
+        }
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['runs', 'absences'], 'readwrite');
+            if (reopened) transaction.objectStore('runs').put(reopened);
+            else transaction.objectStore('runs').delete(runId);
+            const absenceStore = transaction.objectStore('absences');
+            absences.forEach(a => absenceStore.delete(a.id));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+        this.runs = this.runs.filter(r => r.id !== runId).concat(reopened ? [reopened] : []);
+        this.absences = this.absences.filter(a => a.runId !== runId);
+        this.syncBatchToFirebase([
+            reopened ? { collection: 'runs', data: reopened } : { collection: 'runs', deleteId: runId },
+            ...absences.map(a => ({ collection: 'absences', deleteId: a.id }))
+        ]);
+    }
+
+    getAbsenceThreshold() {
+        const value = parseInt(localStorage.getItem(this.ABSENCE_THRESHOLD_STORAGE_KEY), 10);
+        return value > 0 ? value : 3;
+    }
+
+    // Consecutive school days (most recent first) this student was absent from every finalized run of this bus they were assigned to
+    getAbsenceStreak(studentId, busId) {
+        const byDate = {};
+        this.runs.forEach(run => {
+            if (!run.finalizedAt || run.busId !== busId || !(run.assignedStudentIds || []).includes(studentId)) return;
+            if (!byDate[run.date]) byDate[run.date] = [];
+            byDate[run.date].push(run);
+        });
+        let streak = 0;
+        for (const date of Object.keys(byDate).sort().reverse()) {
+            if (!byDate[date].every(run => (run.absentStudentIds || []).includes(studentId))) break;
+            streak++;
+        }
+        return streak;
+    }
+
+    async openCheckinFinalize() {
+        const busId = this.currentBusId;
+        const route = this.currentRoute || 'AM';
+        const today = new Date().toISOString().split('T')[0];
+        const assignments = await this.getSeatAssignments(busId, route);
+        const checkins = await this.getCheckinsForDate(busId, today, route);
+        const stillOnBus = this.getStudentsStillOnBus(checkins, route);
+        if (stillOnBus.length > 0) {
+            this.showLeftOnBusWarning(stillOnBus);
+            return;
+        }
+        const checkedInIds = new Set(checkins.map(c => c.studentId));
+        const noShows = assignments.filter(a => !checkedInIds.has(a.studentId)).length;
+        if (!confirm(`Finalize this run? ${noShows} assigned student(s) will be recorded as absent and the check-in list will be locked.`)) return;
+        await this.finalizeRun(busId, route, today);
+        await this.openCheckinModal();
+        if (this.currentBusId) this.renderBusDiagram();
+    }
+
+    // --- Check-out (drop-off) tracking ---
+    // Drop-offs are required on PM routes, and on any run where someone has already been checked out
+    isCheckoutTracked(checkins, route) {
+        return route === 'PM' || checkins.some(c => c.checkedOutAt);
+    }
+
+    getStudentsStillOnBus(checkins, route) {
+        if (!this.isCheckoutTracked(checkins, route)) return [];
+        return checkins.filter(c => !c.checkedOutAt);
+    }
+
+    showLeftOnBusWarning(checkins) {
+        document.getElementById('leftOnBusList').innerHTML = checkins.map(c => {
+            const student = this.students.find(s => s.id === c.studentId);
+            return `
+                <div class="left-on-bus-item">
+                    <span>${this.escapeHtml(this.getStudentDisplayName(student) || 'Unknown')}</span>
+                    <button class="btn btn-primary" onclick="app.closeLeftOnBusWarning(); app.openCheckoutModal('${c.id}')" style="padding: 6px 12px; font-size: 13px;">Check Out</button>
+                </div>
+            `;
+        }).join('');
+        this.leftOnBusCheckinIds = checkins.map(c => c.id);
+        document.getElementById('leftOnBusModal').style.display = 'block';
+    }
+
+    closeLeftOnBusWarning() {
+        document.getElementById('leftOnBusModal').style.display = 'none';
+    }
+
+    // The driver has walked the bus and confirms it is empty; the override is kept on the run record
+    async overrideLeftOnBus() {
+        if (!confirm('Only continue if you have walked the whole bus, checked every seat, and confirmed no child is on board.')) return;
+        const busId = this.currentBusId;
+        const route = this.currentRoute || 'AM';
+        const today = new Date().toISOString().split('T')[0];
+        const checkins = await this.getCheckinsForDate(busId, today, route);
+        const notCheckedOut = checkins.filter(c => (this.leftOnBusCheckinIds || []).includes(c.id) && !c.checkedOutAt);
+        this.closeLeftOnBusWarning();
+        await this.finalizeRun(busId, route, today, {
+            leftOnBusOverride: { studentIds: notCheckedOut.map(c => c.studentId), confirmedAt: new Date().toISOString() }
+        });
+        await this.openCheckinModal();
+        if (this.currentBusId) this.renderBusDiagram();
+    }
+
+    // The stop listed for this student (by student, household or address) on the current route, if any
+    findStopForStudent(rows, student) {
+        if (!student) return null;
+        const address = this.normalizeAddressForMatch(student.dropoffAddress || student.address || '');
+        const householdIds = new Set(this.getHouseholdMembers(student).map(s => s.id));
+        return rows.find(row => row.studentId === student.id) ||
+            rows.find(row => row.studentId && householdIds.has(row.studentId)) ||
+            rows.find(row => address && this.normalizeAddressForMatch(row.streetAddress || '') === address) || null;
+    }
+
+    getCheckoutStopLabel(checkin) {
+        if (!checkin.checkoutStopId) return '';
+        const row = this.routeRows.find(r => r.id === checkin.checkoutStopId);
+        return row ? row.streetAddress || row.action || '' : '';
+    }
+
+    describeStop(row, index) {
+        const names = this.getRouteRowStudentNames(row);
+        return `#${index + 1} ${row.streetAddress || row.action || 'Stop'}${names ? ` – ${names}` : ''}`;
+    }
+
+    async openCheckoutModal(checkinId) {
+        const checkin = this.checkins.find(c => c.id === checkinId);
+        if (!checkin) return;
+        const student = this.students.find(s => s.id === checkin.studentId);
+        const rows = await this.getRouteRows(checkin.busId, checkin.route, checkin.date);
+        const suggested = this.findStopForStudent(rows, student);
+        const stopButton = (row, index) => `
+            <button class="btn ${suggested && row.id === suggested.id ? 'btn-primary' : 'btn-secondary'} checkout-stop-btn" onclick="app.checkOutStudent('${checkin.id}', '${row.id}')">
+                ${this.escapeHtml(this.describeStop(row, index))}${row.time ? ` <span style="opacity: 0.8;">(${this.escapeHtml(this.formatTimeDisplay(row.time))})</span>` : ''}
+            </button>
+        `;
+        document.getElementById('checkoutModalStudent').textContent = this.getStudentDisplayName(student) || 'Unknown';
+        document.getElementById('checkoutStopList').innerHTML = `
+            ${suggested ? `<div class="checkout-stop-heading">Their stop</div>${stopButton(suggested, rows.indexOf(suggested))}` : ''}
+            ${rows.length ? '<div class="checkout-stop-heading">All stops</div>' : '<p style="color: var(--text-secondary); font-size: 13px;">This route has no stops yet.</p>'}
+            ${rows.map((row, index) => stopButton(row, index)).join('')}
+            <button class="btn btn-secondary checkout-stop-btn" onclick="app.checkOutStudent('${checkin.id}', '')">Not at a listed stop (school, field trip, parent pickup)</button>
+        `;
+        document.getElementById('checkoutModal').style.display = 'block';
+    }
+
+    closeCheckoutModal() {
+        document.getElementById('checkoutModal').style.display = 'none';
+    }
+
+    async checkOutStudent(checkinId, stopId) {
+        const checkin = this.checkins.find(c => c.id === checkinId);
+        if (!checkin) return;
+        const updated = { ...checkin, checkedOutAt: new Date().toISOString(), checkoutStopId: stopId || null, checkoutLocation: this.getFreshGpsLocation() };
+        await this.addCheckinToIndexedDB(updated);
+        this.syncToFirebase('checkins', updated);
+        await this.recordAudit([{ type: 'checkin', before: checkin, after: updated }]);
+        if (!updated.checkoutLocation && this.runMode) this.locateCheckinLater(updated.id, 'checkoutLocation');
+        this.closeCheckoutModal();
+        if (document.getElementById('checkinModal').style.display === 'block') await this.openCheckinModal();
+        return updated;
+    }
+
+    async undoCheckout(checkinId) {
+        const checkin = this.checkins.find(c => c.id === checkinId);
+        if (!checkin || !confirm('Mark this student as back on the bus?')) return;
+        const updated = { ...checkin, checkedOutAt: null, checkoutStopId: null };
+        await this.addCheckinToIndexedDB(updated);
+        this.syncToFirebase('checkins', updated);
+        await this.recordAudit([{ type: 'checkin', before: checkin, after: updated }]);
+        await this.openCheckinModal();
+    }
+
+    async reopenCurrentRun() {
+        const today = new Date().toISOString().split('T')[0];
+        const run = this.getFinalizedRun(this.currentBusId, today, this.currentRoute || 'AM');
+        if (!run) return;
+        if (!confirm('Reopen this run? Its absence records will be removed until it is finalized again.')) return;
+        await this.reopenRun(run.id);
+        await this.openCheckinModal();
+        if (this.currentBusId) this.renderBusDiagram();
+    }
+
+    // --- Run mode (live route walkthrough) ---
+    // Steps the driver through today's stops in order. Check-ins and check-outs go to the regular
+    // checkins store; the time the bus reached each stop is kept on the run record (stopArrivals).
+    async startRunMode() {
+        if (!this.currentBusId) return;
+        const busId = this.currentBusId;
+        const route = this.currentRoute || 'AM';
+        const today = new Date().toISOString().split('T')[0];
+        if (this.getFinalizedRun(busId, today, route)) {
+            alert(`Today's ${route} run has already been finalized. Reopen it from Check In to run the route again.`);
+            return;
+        }
+        const rows = await this.getRouteRows(busId, route, today);
+        if (rows.length === 0) {
+            alert('This route has no stops yet. Add them in the Route screen first.');
+            return;
+        }
+        // Pick up where the driver left off if run mode was exited part-way through
+        const run = this.getRunRecord(busId, today, route);
+        const arrivals = (run && run.stopArrivals) || {};
+        const nextIndex = rows.findIndex(row => !arrivals[row.id]);
+        this.runMode = { busId, route, date: today, index: nextIndex === -1 ? rows.length - 1 : nextIndex };
+        this.closeRouteModal();
+        document.getElementById('runModeOverlay').style.display = 'flex';
+        this.startGpsTracking(busId, route, today);
+        await this.renderRunMode();
+    }
+
+    exitRunMode() {
+        document.getElementById('runModeOverlay').style.display = 'none';
+        this.stopGpsTracking();
+        this.runMode = null;
+        if (this.currentBusId) this.renderBusDiagram();
+    }
+
+    describeStopArrival(row, route, arrivedAt) {
+        const actual = new Date(arrivedAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+        const scheduled = this.parseScheduledTime(row.time, route);
+        if (scheduled === null) return `Arrived ${actual}`;
+        return `Arrived ${actual} (${this.formatScheduleDifference(this.getMinutesOfDay(arrivedAt) - scheduled)})`;
+    }
+
+    // Only the first arrival at a stop counts unless the driver re-marks it
+    async recordStopArrival(rowId, overwrite = false) {
+        if (!this.runMode) return null;
+        const { busId, route, date } = this.runMode;
+        const existing = this.getRunRecord(busId, date, route);
+        if (existing && existing.stopArrivals && existing.stopArrivals[rowId] && !overwrite) return existing;
+        const run = {
+            ...(existing || { id: this.getRunId(busId, date, route), busId, route, date }),
+            stopArrivals: { ...((existing && existing.stopArrivals) || {}), [rowId]: new Date().toISOString() }
+        };
+        await this.addRunToIndexedDB(run);
+        this.syncToFirebase('runs', run);
+        return run;
+    }
+
+    async renderRunMode() {
+        if (!this.runMode) return;
+        const { busId, route, date } = this.runMode;
+        const rows = await this.getRouteRows(busId, route, date);
+        if (rows.length === 0) {
+            this.exitRunMode();
+            return;
+        }
+        this.runMode.index = Math.min(Math.max(this.runMode.index, 0), rows.length - 1);
+        const index = this.runMode.index;
+        const row = rows[index];
+        const bus = this.busses.find(b => b.id === busId);
+        const run = this.getRunRecord(busId, date, route);
+        const arrivedAt = run && run.stopArrivals ? run.stopArrivals[row.id] : null;
+        const checkins = await this.getCheckinsForDate(busId, date, route);
+        const onBus = checkins.filter(c => !c.checkedOutAt).length;
+        const students = this.getRouteRowStudents(row);
+        const timeDisplay = this.formatTimeDisplay(row.time || '');
+
+        document.getElementById('runModeBusRoute').textContent = bus ? `${bus.name} – ${route} Route` : `${route} Route`;
+        document.getElementById('runModeProgress').textContent = `Stop ${index + 1} of ${rows.length}`;
+        document.getElementById('runModeOnBus').textContent = `${onBus} on bus`;
+        this.renderRunModeGpsStatus();
+        document.getElementById('runModeStop').innerHTML = `
+            <div class="run-mode-address">${this.escapeHtml(row.streetAddress || row.action || 'Stop')}</div>
+            <div class="run-mode-details">
+                ${row.action && row.streetAddress ? `<span>${this.escapeHtml(row.action)}</span>` : ''}
+                ${row.direction ? `<span>➜ ${this.escapeHtml(row.direction)}</span>` : ''}
+                ${row.roadside ? `<span class="run-mode-roadside">${this.escapeHtml(row.roadside)} side</span>` : ''}
+            </div>
+            <div class="run-mode-time">
+                <span>Scheduled ${this.escapeHtml(timeDisplay || '—')}</span>
+                ${arrivedAt
+                    ? `<span class="run-mode-arrived">${this.escapeHtml(this.describeStopArrival(row, route, arrivedAt))}</span>
+                       <button class="btn btn-secondary" onclick="app.runModeMarkArrived(true)" style="padding: 6px 12px; font-size: 13px;">Re-mark</button>`
+                    : `<button class="btn btn-primary run-mode-arrive-btn" onclick="app.runModeMarkArrived()">📍 Arrived</button>`}
+            </div>
+        `;
+        document.getElementById('runModeStudents').innerHTML = students.length === 0
+            ? `<p class="run-mode-empty">${this.escapeHtml(row.studentName || 'No students linked to this stop.')}</p>`
+            : students.map(student => {
+                const checkin = checkins.find(c => c.studentId === student.id);
+                let status = 'Not checked in';
+                let actions = `<button class="btn run-mode-student-btn run-mode-checkin-btn" onclick="app.runModeCheckIn('${student.id}')">✓ Check In</button>`;
+                if (checkin && checkin.checkedOutAt) {
+                    status = `Dropped off ${new Date(checkin.checkedOutAt).toLocaleTimeString()}${this.getCheckoutStopLabel(checkin) ? ` at ${this.getCheckoutStopLabel(checkin)}` : ''}`;
+                    actions = `<button class="btn btn-secondary run-mode-undo-btn" onclick="app.runModeUndo('${student.id}')">Undo</button>`;
+                } else if (checkin) {
+                    status = `On bus since ${new Date(checkin.timestamp).toLocaleTimeString()}`;
+                    actions = `
+                        <button class="btn btn-primary run-mode-student-btn" onclick="app.runModeCheckOut('${checkin.id}')">⬇ Drop Off Here</button>
+                        <button class="btn btn-secondary run-mode-undo-btn" onclick="app.runModeUndo('${student.id}')">Undo</button>
+                    `;
+                }
+                return `
+                    <div class="run-mode-student">
+                        <div>
+                            <div class="run-mode-student-name">${this.escapeHtml(this.getStudentDisplayName(student))}</div>
+                            <div class="run-mode-student-status">${this.escapeHtml(status)}</div>
+                        </div>
+                        <div class="run-mode-student-actions">${actions}</div>
+                    </div>
+                `;
+            }).join('');
+        document.getElementById('runModePrevBtn').disabled = index === 0;
+        document.getElementById('runModeNextBtn').textContent = index === rows.length - 1 ? '🏁 Finish Route' : 'Next Stop ▶';
+    }
+
+    async getRunModeRow() {
+        const rows = await this.getRouteRows(this.runMode.busId, this.runMode.route, this.runMode.date);
+        return { rows, row: rows[this.runMode.index] };
+    }
+
+    async runModeMarkArrived(overwrite = false) {
+        if (!this.runMode) return;
+        const { row } = await this.getRunModeRow();
+        if (!row) return;
+        await this.recordStopArrival(row.id, overwrite);
+        await this.renderRunMode();
+    }
+
+    async runModeCheckIn(studentId) {
+        if (!this.runMode) return;
+        const { busId, route, date } = this.runMode;
+        const { row } = await this.getRunModeRow();
+        const checkins = await this.getCheckinsForDate(busId, date, route);
+        if (row && !checkins.some(c => c.studentId === studentId)) {
+            const assignments = await this.getSeatAssignments(busId, route);
+            await this.recordStopArrival(row.id);
+            await this.addCheckin({
+                busId,
+                route,
+                studentId,
+                date,
+                timestamp: new Date().toISOString(),
+                isExtra: !assignments.some(a => a.studentId === studentId),
+                stopId: row.id
+            });
+        }
+        await this.renderRunMode();
+    }
+
+    async runModeCheckOut(checkinId) {
+        if (!this.runMode) return;
+        const { row } = await this.getRunModeRow();
+        if (!row) return;
+        await this.recordStopArrival(row.id);
+        await this.checkOutStudent(checkinId, row.id);
+        await this.renderRunMode();
+    }
+
+    // Steps back one action: a drop-off is undone first, then the check-in itself
+    async runModeUndo(studentId) {
+        if (!this.runMode) return;
+        const { busId, route, date } = this.runMode;
+        const checkins = await this.getCheckinsForDate(busId, date, route);
+        const checkin = checkins.find(c => c.studentId === studentId);
+        if (!checkin) return;
+        if (checkin.checkedOutAt) {
+            if (!confirm('Mark this student as back on the bus?')) return;
+            const updated = { ...checkin, checkedOutAt: null, checkoutStopId: null };
+            await this.addCheckinToIndexedDB(updated);
+            this.syncToFirebase('checkins', updated);
+            await this.recordAudit([{ type: 'checkin', before: checkin, after: updated }]);
+        } else {
+            if (!confirm('Remove this check-in?')) return;
+            await this.removeCheckin(checkin.id);
+        }
+        await this.renderRunMode();
+    }
+
+    async runModePrevStop() {
+        if (!this.runMode || this.runMode.index === 0) return;
+        this.runMode.index--;
+        await this.renderRunMode();
+    }
+
+    async runModeNextStop() {
+        if (!this.runMode) return;
+        const { rows } = await this.getRunModeRow();
+        if (this.runMode.index < rows.length - 1) {
+            this.runMode.index++;
+            await this.renderRunMode();
+            return;
+        }
+        // Last stop: hand over to finalize, which blocks if anyone is still on board
+        this.exitRunMode();
+        await this.openCheckinFinalize();
+    }
+
+    // --- GPS breadcrumbs ---
+    // While run mode is open the device position is watched and kept in the gpsPoints store, so the
+    // trail survives with no signal; points are uploaded in batches, each one once. Check-ins are stamped
+    // with the latest fix, or during a run with a one-off fix when there's no recent one; check-ins made
+    // outside a run aren't located.
+    positionToLocation(position) {
+        return {
+            lat: position.coords.latitude,
+            lng: position.coords.longitude,
+            accuracy: Math.round(position.coords.accuracy || 0),
+            recordedAt: new Date(position.timestamp || Date.now()).toISOString()
+        };
+    }
+
+    getFreshGpsLocation() {
+        if (!this.lastGpsFix || Date.now() - new Date(this.lastGpsFix.recordedAt).getTime() > 60000) return null;
+        return { ...this.lastGpsFix };
+    }
+
+    locateCheckinLater(checkinId, field) {
+        if (!navigator.geolocation) return;
+        navigator.geolocation.getCurrentPosition(async (position) => {
+            const checkin = this.checkins.find(c => c.id === checkinId);
+            if (!checkin || checkin[field]) return;
+            const updated = { ...checkin, [field]: this.positionToLocation(position) };
+            await this.addCheckinToIndexedDB(updated);
+            this.syncToFirebase('checkins', updated);
+        }, () => {}, { enableHighAccuracy: true, maximumAge: 30000, timeout: 15000 });
+    }
+
+    // Approximate distance in metres; plenty for deciding whether the bus has moved
+    getDistanceMeters(a, b) {
+        const toRad = (deg) => deg * Math.PI / 180;
+        const x = toRad(b.lng - a.lng) * Math.cos(toRad((a.lat + b.lat) / 2));
+        const y = toRad(b.lat - a.lat);
+        return Math.sqrt(x * x + y * y) * 6371000;
+    }
+
+    startGpsTracking(busId, route, date) {
+        this.stopGpsTracking();
+        this.gpsStatus = navigator.geolocation ? 'waiting' : 'unavailable';
+        if (!navigator.geolocation) return;
+        let lastSaved = null;
+        this.gpsWatchId = navigator.geolocation.watchPosition(async (position) => {
+            const location = this.positionToLocation(position);
+            this.lastGpsFix = location;
+            this.gpsStatus = 'ok';
+            this.renderRunModeGpsStatus();
+            // Keep a point when the bus has moved 10 m or 30 seconds have passed
+            if (lastSaved && this.getDistanceMeters(lastSaved, location) < 10 &&
+                new Date(location.recordedAt) - new Date(lastSaved.recordedAt) < 30000) return;
+            lastSaved = location;
+            const point = {
+                id: this.generateId(),
+                busId,
+                route,
+                date,
+                ...location,
+                speed: position.coords.speed,
+                heading: position.coords.heading
+            };
+            await this.addGpsPointsToIndexedDB([point]);
+            this.gpsUploadQueue.push(point);
+            if (this.gpsUploadQueue.length >= 20) this.flushGpsUploads();
+        }, (error) => {
+            this.gpsStatus = error.code === 1 ? 'denied' : 'searching';
+            this.renderRunModeGpsStatus();
+        }, { enableHighAccuracy: true, maximumAge: 5000, timeout: 30000 });
+    }
+
+    stopGpsTracking() {
+        if (this.gpsWatchId !== null && navigator.geolocation) navigator.geolocation.clearWatch(this.gpsWatchId);
+        this.gpsWatchId = null;
+        this.flushGpsUploads();
+    }
+
+    flushGpsUploads() {
+        if (this.gpsUploadQueue.length === 0) return;
+        const points = this.gpsUploadQueue;
+        this.gpsUploadQueue = [];
+        this.syncBatchToFirebase(points.map(point => ({ collection: 'gpsPoints', data: point })));
+    }
+
+    renderRunModeGpsStatus() {
+        const el = document.getElementById('runModeGps');
+        if (!el || !this.runMode) return;
+        const labels = {
+            waiting: '📡 Finding GPS…',
+            searching: '📡 GPS signal lost',
+            denied: '📡 GPS blocked',
+            unavailable: '📡 No GPS'
+        };
+        el.textContent = this.gpsStatus === 'ok' && this.lastGpsFix
+            ? `📡 GPS ±${this.lastGpsFix.accuracy} m`
+            : labels[this.gpsStatus] || '';
+        el.classList.toggle('run-mode-gps-off', this.gpsStatus !== 'ok');
+    }
+
+    async addGpsPointsToIndexedDB(points) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['gpsPoints'], 'readwrite');
+            const store = transaction.objectStore('gpsPoints');
+            points.forEach(point => store.put(point));
+            transaction.oncomplete = () => resolve(points);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async getGpsPoints(busId, date, route) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['gpsPoints'], 'readonly');
+            const request = transaction.objectStore('gpsPoints').index('busDateRoute').getAll(IDBKeyRange.only([busId, date, route]));
+            request.onsuccess = () => resolve((request.result || []).sort((a, b) => a.recordedAt.localeCompare(b.recordedAt)));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Points in the cloud compared by run date, e.g. ('>=', '2026-10-01'); points from before the date was
+    // stored readable next to them aren't matched
+    getGpsPointsQuery(op, date) {
+        return this.scopedCollection('gpsPoints').where('access.date', op, date);
+    }
+
+    getGpsSyncStartDate() {
+        const start = new Date();
+        start.setDate(start.getDate() - GPS_SYNC_DAYS);
+        return start.toISOString().split('T')[0];
     }
 
-    async removeCheckin(checkinId) {
+    // Downloads one day's points for a run older than the synced range
+    async fetchGpsPoints(date) {
+        if (!this.firebaseEnabled || !window.db || !navigator.onLine || date >= this.getGpsSyncStartDate()) return;
+        const snapshot = await this.getGpsPointsQuery('==', date).get();
+        const points = [];
+        for (const doc of snapshot.docs) {
+            const point = await this.decryptFromSync(doc.id, doc.data());
+            if (point) points.push(point);
+        }
+        if (points.length) await this.addGpsPointsToIndexedDB(points);
+    }
+
+    async getAllGpsPoints() {
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['checkins'], 'readwrite');
-            const store = transaction.objectStore('checkins');
-            const request = store.delete(checkinId);
-            
-            request.onsuccess = () => {
-                this.checkins = this.checkins.filter(c => c.id !== checkinId);
-                this.syncToFirebase('checkins', null, checkinId);
-                resolve();
-            };
-            
-            request.onerror = () => {
-                reject(request.error);
-            };
+            const transaction = this.db.transaction(['gpsPoints'], 'readonly');
+            const request = transaction.objectStore('gpsPoints').getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // --- GPS replay ---
+    openGpsReplayModal(busId, route, date) {
+        this.closeCheckinHistoryModal();
+        const busSelect = document.getElementById('gpsReplayBusSelect');
+        busSelect.innerHTML = this.busses.slice()
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+            .map(bus => `<option value="${bus.id}">${this.escapeHtml(bus.name)}</option>`).join('');
+        if (busId || this.currentBusId) busSelect.value = busId || this.currentBusId;
+        document.getElementById('gpsReplayRouteSelect').value = route || this.currentRoute || 'AM';
+        document.getElementById('gpsReplayDateInput').value = date || new Date().toISOString().split('T')[0];
+        document.getElementById('gpsReplayModal').style.display = 'block';
+        this.loadGpsReplay();
+    }
+
+    closeGpsReplayModal() {
+        document.getElementById('gpsReplayModal').style.display = 'none';
+        this.gpsReplay = null;
+    }
+
+    // Web Mercator, in pixels at zoom 0 (the whole world is one 256px tile)
+    projectLatLng(lat, lng) {
+        const sin = Math.sin(Math.max(-85, Math.min(85, lat)) * Math.PI / 180);
+        return {
+            x: (lng + 180) / 360 * 256,
+            y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * 256
+        };
+    }
+
+    // Centre (zoom 0 pixels) and tile zoom that show every location in a width x height view
+    fitMapView(locations, width, height) {
+        const projected = locations.map(l => this.projectLatLng(l.lat, l.lng));
+        const minX = Math.min(...projected.map(p => p.x));
+        const maxX = Math.max(...projected.map(p => p.x));
+        const minY = Math.min(...projected.map(p => p.y));
+        const maxY = Math.max(...projected.map(p => p.y));
+        const fit = Math.min((width * 0.85) / Math.max(maxX - minX, 1e-9), (height * 0.85) / Math.max(maxY - minY, 1e-9));
+        return {
+            centerX: (minX + maxX) / 2,
+            centerY: (minY + maxY) / 2,
+            zoom: Math.max(3, Math.min(18, Math.floor(Math.log2(fit))))
+        };
+    }
+
+    // Projection helpers and OpenStreetMap tiles for a view. Tiles the service worker has cached (or can
+    // fetch) are drawn under the overlay; the plain background shows wherever a tile isn't available offline.
+    buildMapView({ centerX, centerY, zoom }, width, height) {
+        const scale = Math.pow(2, zoom);
+        const originX = centerX * scale - width / 2;
+        const originY = centerY * scale - height / 2;
+        const tiles = [];
+        const tileCount = Math.pow(2, zoom);
+        for (let ty = Math.floor(originY / 256); ty <= Math.floor((originY + height) / 256); ty++) {
+            if (ty < 0 || ty >= tileCount) continue;
+            for (let tx = Math.floor(originX / 256); tx <= Math.floor((originX + width) / 256); tx++) {
+                const wrappedX = ((tx % tileCount) + tileCount) % tileCount;
+                tiles.push(`<image href="https://tile.openstreetmap.org/${zoom}/${wrappedX}/${ty}.png" crossorigin="anonymous" x="${tx * 256 - originX}" y="${ty * 256 - originY}" width="256" height="256" onerror="this.remove()"/>`);
+            }
+        }
+        return {
+            toView: (location) => {
+                const p = this.projectLatLng(location.lat, location.lng);
+                return { x: p.x * scale - originX, y: p.y * scale - originY };
+            },
+            fromView: (x, y) => {
+                const worldX = (originX + x) / scale;
+                const n = Math.PI - 2 * Math.PI * ((originY + y) / scale) / 256;
+                return { lat: Math.atan(Math.sinh(n)) * 180 / Math.PI, lng: worldX / 256 * 360 - 180 };
+            },
+            background: `<rect width="${width}" height="${height}" class="map-background"/>${tiles.join('')}`,
+            attribution: `<text x="${width - 6}" y="${height - 6}" text-anchor="end" class="map-attribution">© OpenStreetMap contributors</text>`
+        };
+    }
+
+    async loadGpsReplay() {
+        const busId = document.getElementById('gpsReplayBusSelect').value;
+        const route = document.getElementById('gpsReplayRouteSelect').value;
+        const date = document.getElementById('gpsReplayDateInput').value;
+        const container = document.getElementById('gpsReplayMap');
+        const controls = document.getElementById('gpsReplayControls');
+        const eventsEl = document.getElementById('gpsReplayEvents');
+        this.gpsReplay = null;
+        controls.style.display = 'none';
+        eventsEl.innerHTML = '';
+        if (!busId || !date) {
+            container.innerHTML = '<p class="gps-replay-empty">Choose a bus and date.</p>';
+            return;
+        }
+        let points = await this.getGpsPoints(busId, date, route);
+        if (points.length === 0) {
+            try {
+                await this.fetchGpsPoints(date);
+                points = await this.getGpsPoints(busId, date, route);
+            } catch (error) {
+                console.error('Error loading GPS points:', error);
+            }
+        }
+        const checkins = await this.getCheckinsForDate(busId, date, route);
+        const events = [];
+        checkins.forEach(c => {
+            const name = this.getStudentDisplayName(this.students.find(s => s.id === c.studentId)) || 'Unknown';
+            if (c.location) events.push({ type: 'in', name, time: c.timestamp, location: c.location });
+            if (c.checkedOutAt && c.checkoutLocation) events.push({ type: 'out', name, time: c.checkedOutAt, location: c.checkoutLocation, stop: this.getCheckoutStopLabel(c) });
         });
+        events.sort((a, b) => a.time.localeCompare(b.time));
+        if (points.length === 0 && events.length === 0) {
+            container.innerHTML = '<p class="gps-replay-empty">No GPS positions were recorded for this run. Positions are recorded while the route is run in run mode.</p>';
+            return;
+        }
+        
+        const width = 800;
+        const height = 500;
+        const map = this.buildMapView(this.fitMapView([...points, ...events.map(e => e.location)], width, height), width, height);
+        const toView = map.toView;
+        const path = points.map(toView);
+        const eventMarkers = events.map((e, i) => {
+            const p = toView(e.location);
+            const label = `${e.name} – ${e.type === 'in' ? 'checked in' : `dropped off${e.stop ? ` at ${e.stop}` : ''}`} ${new Date(e.time).toLocaleTimeString()} (±${e.location.accuracy} m)`;
+            return `<g class="gps-event gps-event-${e.type}"><circle cx="${p.x}" cy="${p.y}" r="7"/><text x="${p.x + 10}" y="${p.y + 4}">${i + 1}</text><title>${this.escapeHtml(label)}</title></g>`;
+        }).join('');
+        const start = path[0];
+        const end = path[path.length - 1];
+        container.innerHTML = `
+            <svg class="gps-replay-svg" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+                ${map.background}
+                ${path.length > 1 ? `<polyline class="gps-path" points="${path.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ')}"/>` : ''}
+                ${start ? `<circle class="gps-start" cx="${start.x}" cy="${start.y}" r="6"><title>Start ${new Date(points[0].recordedAt).toLocaleTimeString()}</title></circle>` : ''}
+                ${end && path.length > 1 ? `<rect class="gps-end" x="${end.x - 6}" y="${end.y - 6}" width="12" height="12"><title>End ${new Date(points[points.length - 1].recordedAt).toLocaleTimeString()}</title></rect>` : ''}
+                ${eventMarkers}
+                ${start ? `<circle id="gpsReplayMarker" class="gps-marker" cx="${start.x}" cy="${start.y}" r="9"/>` : ''}
+                ${map.attribution}
+            </svg>
+        `;
+        this.gpsReplay = { points, path };
+        if (points.length > 1) {
+            const slider = document.getElementById('gpsReplaySlider');
+            slider.max = points.length - 1;
+            slider.value = 0;
+            controls.style.display = 'flex';
+            this.updateGpsReplayPosition(0);
+        }
+        eventsEl.innerHTML = events.length === 0
+            ? '<p class="gps-replay-empty">No check-ins on this run were stamped with a location.</p>'
+            : `<ol class="gps-replay-event-list">${events.map(e => `
+                <li>
+                    <strong>${new Date(e.time).toLocaleTimeString()}</strong> – ${this.escapeHtml(e.name)} ${e.type === 'in' ? 'checked in' : `dropped off${e.stop ? ` at ${this.escapeHtml(e.stop)}` : ''}`}
+                    <span class="gps-replay-coords">${e.location.lat.toFixed(5)}, ${e.location.lng.toFixed(5)} (±${e.location.accuracy} m)</span>
+                </li>
+            `).join('')}</ol>`;
+    }
+
+    updateGpsReplayPosition(index) {
+        if (!this.gpsReplay || !this.gpsReplay.path[index]) return;
+        const p = this.gpsReplay.path[index];
+        const point = this.gpsReplay.points[index];
+        const marker = document.getElementById('gpsReplayMarker');
+        if (marker) {
+            marker.setAttribute('cx', p.x);
+            marker.setAttribute('cy', p.y);
+        }
+        const speed = typeof point.speed === 'number' && point.speed >= 0 ? ` – ${Math.round(point.speed * 2.237)} mph` : '';
+        document.getElementById('gpsReplayTime').textContent = `${new Date(point.recordedAt).toLocaleTimeString()}${speed}`;
     }
 
     // --- Route Rows (spreadsheet route stops) ---
-    async getRouteRows(busId, route) {
+    // The stops of the route version in effect on date (today by default)
+    async getRouteRows(busId, route, date = new Date().toISOString().split('T')[0]) {
+        const version = this.resolveRouteVersion(busId, route, date);
+        return this.getRouteVersionRows(busId, route, version ? version.id : null);
+    }
+
+    // versionId null means the original route (rows saved before versions existed)
+    async getRouteVersionRows(busId, route, versionId) {
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction(['routeRows'], 'readonly');
             const store = transaction.objectStore('routeRows');
@@ -2312,13 +6452,243 @@ class BusStudentTracker {
             const range = IDBKeyRange.only([busId, route]);
             const request = index.getAll(range);
             request.onsuccess = () => {
-                const rows = (request.result || []).slice().sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+                const rows = (request.result || [])
+                    .filter(r => (r.versionId || null) === (versionId || null))
+                    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
                 resolve(rows);
             };
             request.onerror = () => reject(request.error);
         });
     }
 
+    async getRouteModalRows() {
+        return this.getRouteVersionRows(this.currentBusId, this.currentRoute || 'AM', this.routeModalVersionId);
+    }
+
+    // --- Route versions ---
+    getRouteVersions(busId, route) {
+        return this.routeVersions.filter(v => v.busId === busId && v.route === route);
+    }
+
+    // The published version with the latest effective date on or before date; null means the original route.
+    // Two versions published for the same day resolve to the one published last.
+    resolveRouteVersion(busId, route, date) {
+        return this.getRouteVersions(busId, route)
+            .filter(v => v.status === 'published' && v.effectiveFrom && v.effectiveFrom <= date)
+            .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom) || (a.publishedAt || '').localeCompare(b.publishedAt || ''))
+            .pop() || null;
+    }
+
+    async addRouteVersionToIndexedDB(version) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['routeVersions'], 'readwrite');
+            const request = transaction.objectStore('routeVersions').put(version);
+            request.onsuccess = () => {
+                const idx = this.routeVersions.findIndex(v => v.id === version.id);
+                if (idx === -1) this.routeVersions.push(version);
+                else this.routeVersions[idx] = version;
+                resolve(version);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Copies a version's stops (fromVersionId null = the original route) into a new draft, in one write
+    async createRouteDraft(busId, route, fromVersionId) {
+        const sourceRows = await this.getRouteVersionRows(busId, route, fromVersionId);
+        const draft = {
+            id: this.generateId(),
+            busId,
+            route,
+            name: `Draft ${new Date().toLocaleDateString()}`,
+            status: 'draft',
+            effectiveFrom: '',
+            basedOnVersionId: fromVersionId || null,
+            createdAt: new Date().toISOString()
+        };
+        const rows = sourceRows.map(row => ({ ...row, id: this.generateId(), versionId: draft.id }));
+        
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['routeVersions', 'routeRows'], 'readwrite');
+            transaction.objectStore('routeVersions').put(draft);
+            const rowStore = transaction.objectStore('routeRows');
+            rows.forEach(row => rowStore.put(row));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+        this.routeVersions.push(draft);
+        this.routeRows.push(...rows);
+        this.syncBatchToFirebase([
+            { collection: 'routeVersions', data: draft },
+            ...rows.map(row => ({ collection: 'routeRows', data: row }))
+        ]);
+        await this.recordAudit([{ type: 'routeVersion', before: null, after: draft }]);
+        return draft;
+    }
+
+    async publishRouteVersion(versionId, effectiveFrom) {
+        const version = this.routeVersions.find(v => v.id === versionId);
+        if (!version || version.status !== 'draft') return null;
+        const published = { ...version, status: 'published', effectiveFrom, publishedAt: new Date().toISOString() };
+        await this.addRouteVersionToIndexedDB(published);
+        this.syncToFirebase('routeVersions', published);
+        await this.recordAudit([{ type: 'routeVersion', before: version, after: published }]);
+        return published;
+    }
+
+    async deleteRouteDraft(versionId) {
+        const version = this.routeVersions.find(v => v.id === versionId);
+        if (!version || version.status !== 'draft') return;
+        const rows = this.routeRows.filter(r => r.versionId === versionId);
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['routeVersions', 'routeRows'], 'readwrite');
+            transaction.objectStore('routeVersions').delete(versionId);
+            const rowStore = transaction.objectStore('routeRows');
+            rows.forEach(row => rowStore.delete(row.id));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+        this.routeVersions = this.routeVersions.filter(v => v.id !== versionId);
+        this.routeRows = this.routeRows.filter(r => r.versionId !== versionId);
+        this.syncBatchToFirebase([
+            { collection: 'routeVersions', deleteId: versionId },
+            ...rows.map(row => ({ collection: 'routeRows', deleteId: row.id }))
+        ]);
+        await this.recordAudit([{ type: 'routeVersion', before: version, after: null }]);
+    }
+
+    describeRouteVersion(version, busId, route) {
+        if (version && version.status === 'draft') return 'Draft – not in use until published';
+        const today = new Date().toISOString().split('T')[0];
+        const current = this.resolveRouteVersion(busId, route, today);
+        const format = (d) => new Date(d + 'T12:00:00').toLocaleDateString();
+        if (!version) {
+            if (!current) return 'In effect';
+            return `Replaced on ${format(current.effectiveFrom)}`;
+        }
+        if (current && current.id === version.id) return `In effect since ${format(version.effectiveFrom)}`;
+        if (version.effectiveFrom > today) return `Takes effect ${format(version.effectiveFrom)}`;
+        const next = this.getRouteVersions(busId, route)
+            .filter(v => v.status === 'published' && v.effectiveFrom > version.effectiveFrom)
+            .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom))[0];
+        return next ? `${format(version.effectiveFrom)} – replaced on ${format(next.effectiveFrom)}` : `Superseded (from ${format(version.effectiveFrom)})`;
+    }
+
+    getRouteModalVersion() {
+        return this.routeModalVersionId ? this.routeVersions.find(v => v.id === this.routeModalVersionId) || null : null;
+    }
+
+    renderRouteVersionBar() {
+        const busId = this.currentBusId;
+        const route = this.currentRoute || 'AM';
+        const hasOriginal = this.routeRows.some(r => r.busId === busId && r.route === route && !r.versionId);
+        const versions = this.getRouteVersions(busId, route);
+        const published = versions.filter(v => v.status === 'published').sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+        const drafts = versions.filter(v => v.status === 'draft').sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+        const format = (d) => new Date(d + 'T12:00:00').toLocaleDateString();
+        const options = [];
+        if (hasOriginal || versions.length === 0 || !this.routeModalVersionId) options.push({ value: '', label: 'Original route' });
+        published.forEach(v => options.push({ value: v.id, label: `${v.name} – from ${format(v.effectiveFrom)}` }));
+        drafts.forEach(v => options.push({ value: v.id, label: `${v.name} (draft)` }));
+        const select = document.getElementById('routeVersionSelect');
+        select.innerHTML = options.map(o => `<option value="${o.value}">${this.escapeHtml(o.label)}</option>`).join('');
+        select.value = this.routeModalVersionId || '';
+        select.disabled = this.routeModalEditMode;
+        
+        const version = this.getRouteModalVersion();
+        const isDraft = !!version && version.status === 'draft';
+        document.getElementById('routeVersionStatus').textContent = this.describeRouteVersion(version, busId, route);
+        document.getElementById('routeDraftControls').style.display = isDraft ? 'flex' : 'none';
+        document.getElementById('routeNewDraftBtn').style.display = isDraft ? 'none' : '';
+        if (isDraft) {
+            document.getElementById('routeVersionNameInput').value = version.name || '';
+            const effectiveInput = document.getElementById('routeVersionEffectiveInput');
+            if (!effectiveInput.value) effectiveInput.value = new Date().toISOString().split('T')[0];
+        }
+    }
+
+    async selectRouteModalVersion(versionId) {
+        this.routeModalVersionId = versionId || null;
+        this.routeSelectedRowIds.clear();
+        this.routeMapSelectedRowId = null;
+        document.getElementById('routeVersionEffectiveInput').value = '';
+        this.renderRouteVersionBar();
+        await this.renderRouteTable();
+        if (this.routeModalTab === 'map') await this.renderRouteMap();
+    }
+
+    async startRouteDraft() {
+        if (!this.requirePermission('editRoutes')) return;
+        const draft = await this.createRouteDraft(this.currentBusId, this.currentRoute || 'AM', this.routeModalVersionId);
+        await this.selectRouteModalVersion(draft.id);
+        return draft;
+    }
+
+    // Published stops are kept so past days can still be reprinted and reported on, so editing one
+    // starts a draft copy instead. An empty route (nothing to keep) is edited directly.
+    async enterRouteEditMode() {
+        if (!this.requirePermission('editRoutes')) return;
+        const version = this.getRouteModalVersion();
+        if (!version || version.status !== 'draft') {
+            const rows = await this.getRouteModalRows();
+            if (rows.length > 0) {
+                if (!confirm('This route version is kept as history. Start a new draft from it to make your changes?')) return;
+                await this.startRouteDraft();
+            }
+        }
+        this.routeModalEditMode = true;
+        this.updateRouteModalViewEditButtons();
+        this.renderRouteVersionBar();
+        await this.renderRouteTable();
+    }
+
+    async saveRouteDraftName(name) {
+        const version = this.getRouteModalVersion();
+        if (!version || version.status !== 'draft') return;
+        const updated = { ...version, name: name.trim() || version.name };
+        await this.addRouteVersionToIndexedDB(updated);
+        this.syncToFirebase('routeVersions', updated);
+        this.renderRouteVersionBar();
+    }
+
+    async publishRouteDraft() {
+        const version = this.getRouteModalVersion();
+        if (!version || version.status !== 'draft') return;
+        const effectiveFrom = document.getElementById('routeVersionEffectiveInput').value;
+        if (!effectiveFrom) {
+            alert('Choose the date this version takes effect.');
+            return;
+        }
+        const rows = await this.getRouteModalRows();
+        if (rows.length === 0) {
+            alert('This draft has no stops yet.');
+            return;
+        }
+        const today = new Date().toISOString().split('T')[0];
+        const format = new Date(effectiveFrom + 'T12:00:00').toLocaleDateString();
+        const message = effectiveFrom < today
+            ? `Publish "${version.name}" backdated to ${format}? Check-in history and reports from that date on will use this version.`
+            : `Publish "${version.name}" to take effect on ${format}?`;
+        if (!confirm(message)) return;
+        await this.publishRouteVersion(version.id, effectiveFrom);
+        this.routeModalEditMode = false;
+        this.routeSelectedRowIds.clear();
+        this.updateRouteModalViewEditButtons();
+        this.renderRouteVersionBar();
+        await this.renderRouteTable();
+    }
+
+    async discardRouteDraft() {
+        const version = this.getRouteModalVersion();
+        if (!version || version.status !== 'draft') return;
+        if (!confirm(`Delete the draft "${version.name}" and its stops?`)) return;
+        await this.deleteRouteDraft(version.id);
+        this.routeModalEditMode = false;
+        this.updateRouteModalViewEditButtons();
+        const current = this.resolveRouteVersion(this.currentBusId, this.currentRoute || 'AM', new Date().toISOString().split('T')[0]);
+        await this.selectRouteModalVersion(current ? current.id : null);
+    }
+
     async addRouteRowToIndexedDB(row) {
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction(['routeRows'], 'readwrite');
@@ -2338,16 +6708,21 @@ class BusStudentTracker {
         row.id = row.id || this.generateId();
         await this.addRouteRowToIndexedDB(row);
         this.syncToFirebase('routeRows', row);
+        await this.recordAudit([{ type: 'routeRow', before: null, after: row }]);
         return row;
     }
 
+    // Like updateStudent, the row may already have been edited in place
     async updateRouteRow(row) {
+        const before = await this.getFromStore('routeRows', row.id);
         await this.addRouteRowToIndexedDB(row);
         this.syncToFirebase('routeRows', row);
+        await this.recordAudit([{ type: 'routeRow', before, after: row }]);
         return row;
     }
 
     async deleteRouteRow(rowId) {
+        const before = await this.getFromStore('routeRows', rowId);
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction(['routeRows'], 'readwrite');
             const store = transaction.objectStore('routeRows');
@@ -2355,43 +6730,281 @@ class BusStudentTracker {
             request.onsuccess = () => {
                 this.routeRows = this.routeRows.filter(r => r.id !== rowId);
                 this.syncToFirebase('routeRows', null, rowId);
-                resolve();
+                this.recordAudit(before ? [{ type: 'routeRow', before, after: null }] : []).then(() => resolve(), reject);
             };
             request.onerror = () => reject(request.error);
         });
     }
 
+    // Renumbers the rows in the given order and writes every row whose order changed, plus any
+    // new rows (and deletes removedRows), in one IndexedDB transaction and one Firestore batch
+    async saveRouteRowOrder(orderedRows, newRows = [], removedRows = []) {
+        const newIds = new Set(newRows.map(r => r.id));
+        const changed = [];
+        orderedRows.forEach((row, index) => {
+            if (row.order !== index || newIds.has(row.id)) {
+                row.order = index;
+                changed.push(row);
+            }
+        });
+        if (changed.length === 0 && removedRows.length === 0) return;
+        const removedIds = new Set(removedRows.map(r => r.id));
+        const audit = removedRows.map(row => ({ type: 'routeRow', before: row, after: null }));
+        
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['routeRows'], 'readwrite');
+            const store = transaction.objectStore('routeRows');
+            removedRows.forEach(row => store.delete(row.id));
+            // The rows were renumbered in place; the stored copies still have the old order
+            changed.forEach(row => {
+                const request = store.get(row.id);
+                request.onsuccess = () => audit.push({ type: 'routeRow', before: request.result || null, after: row });
+                store.put(row);
+            });
+            transaction.oncomplete = () => {
+                this.routeRows = this.routeRows.filter(r => !removedIds.has(r.id));
+                changed.forEach(row => {
+                    const idx = this.routeRows.findIndex(r => r.id === row.id);
+                    if (idx === -1) this.routeRows.push(row);
+                    else this.routeRows[idx] = row;
+                });
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+        
+        this.syncBatchToFirebase([
+            ...removedRows.map(row => ({ collection: 'routeRows', deleteId: row.id })),
+            ...changed.map(row => ({ collection: 'routeRows', data: row }))
+        ]);
+        await this.recordAudit(audit);
+    }
+
+    // Moves a block of rows (kept in their current relative order) in front of beforeRowId, or to the end when it's null
+    async moveRouteRows(rowIds, beforeRowId) {
+        const rows = await this.getRouteModalRows();
+        const moving = rows.filter(r => rowIds.includes(r.id));
+        if (moving.length === 0) return;
+        const rest = rows.filter(r => !rowIds.includes(r.id));
+        const insertAt = beforeRowId ? rest.findIndex(r => r.id === beforeRowId) : -1;
+        rest.splice(insertAt === -1 ? rest.length : insertAt, 0, ...moving);
+        await this.saveRouteRowOrder(rest);
+        await this.renderRouteTable();
+    }
+
+    // Shifts the selected rows one place up (-1) or down (1); a block at the top or bottom stays put
+    async moveSelectedRouteRows(step) {
+        const rows = await this.getRouteModalRows();
+        const selected = this.routeSelectedRowIds;
+        const indexes = rows.map((r, i) => selected.has(r.id) ? i : -1).filter(i => i !== -1);
+        if (indexes.length === 0) return;
+        if ((step < 0 && indexes[0] === 0) || (step > 0 && indexes[indexes.length - 1] === rows.length - 1)) return;
+        const ordered = rows.slice();
+        (step < 0 ? indexes : indexes.slice().reverse()).forEach(i => {
+            [ordered[i], ordered[i + step]] = [ordered[i + step], ordered[i]];
+        });
+        await this.saveRouteRowOrder(ordered);
+        await this.renderRouteTable();
+    }
+
+    updateRouteSelectionActions() {
+        const count = this.routeSelectedRowIds.size;
+        document.getElementById('routeSelectionCount').textContent = count ? `${count} selected` : '';
+        document.getElementById('routeMoveUpBtn').disabled = count === 0;
+        document.getElementById('routeMoveDownBtn').disabled = count === 0;
+    }
+
     getStudentDisplayName(student) {
         if (!student) return '';
         if (student.firstName && student.lastName) return `${student.firstName} ${student.lastName}`.trim();
         return (student.name || student.firstName || '').trim();
     }
 
+    // Comparison key for an address: lowercase, punctuation dropped, USPS suffix and directional
+    // abbreviations, every unit designator written as "#", and ZIP+4 cut to the five-digit ZIP
     normalizeAddressForMatch(addr) {
         if (!addr || typeof addr !== 'string') return '';
-        return addr.trim().toLowerCase().replace(/\s+/g, ' ');
+        const tokens = addr.toLowerCase()
+            .replace(/\b(\d{5})-\d{4}\b/g, '$1')
+            .replace(/#/g, ' # ')
+            .replace(/[.,;:'"()]/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean);
+        const normalized = [];
+        tokens.forEach(token => {
+            if (ADDRESS_UNIT_DESIGNATORS.includes(token)) {
+                if (normalized[normalized.length - 1] !== '#') normalized.push('#');
+                return;
+            }
+            normalized.push(ADDRESS_ABBREVIATIONS[token] || token);
+        });
+        return normalized.join(' ');
     }
 
-    getStudentsAtAddress(address) {
-        const normalized = this.normalizeAddressForMatch(address);
-        if (!normalized) return [];
-        return this.students.filter(s => {
-            const a = this.normalizeAddressForMatch(s.dropoffAddress || s.address || '');
-            return a && a === normalized;
+    // --- Households (siblings linked explicitly; students not yet linked fall back to matching home addresses) ---
+    getHouseholdAddress(student) {
+        return (student.address || student.dropoffAddress || '').trim();
+    }
+
+    getHouseholdMembers(student) {
+        if (!student) return [];
+        if (student.householdId) return this.students.filter(s => s.householdId === student.householdId);
+        const key = this.normalizeAddressForMatch(this.getHouseholdAddress(student));
+        if (!key) return [student];
+        return this.students.filter(s => s.id === student.id ||
+            (!s.householdId && this.normalizeAddressForMatch(this.getHouseholdAddress(s)) === key));
+    }
+
+    async addHouseholdToIndexedDB(household) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['households'], 'readwrite');
+            const request = transaction.objectStore('households').put(household);
+            request.onsuccess = () => {
+                const idx = this.households.findIndex(h => h.id === household.id);
+                if (idx === -1) this.households.push(household);
+                else this.households[idx] = household;
+                resolve(household);
+            };
+            request.onerror = () => reject(request.error);
         });
     }
 
-    getRouteRowStudentNames(row) {
-        if (row.studentId) {
-            const student = this.students.find(s => s.id === row.studentId);
-            if (student) {
-                const address = (student.dropoffAddress || student.address || '').trim();
-                const atAddress = this.getStudentsAtAddress(address);
-                if (atAddress.length > 0) {
-                    return atAddress.map(s => this.getStudentDisplayName(s)).filter(Boolean).join(', ');
-                }
-                return this.getStudentDisplayName(student);
+    createHousehold(address) {
+        return { id: this.generateId(), address: (address || '').trim(), createdAt: new Date().toISOString() };
+    }
+
+    // Applies studentId -> householdId (null to unlink) links along with any new households, and drops
+    // households this change leaves without members, in one IndexedDB transaction and one Firestore batch.
+    // Only the households the linked students were in before (and formerHouseholdIds, for students
+    // already removed) are checked: a household saved without members elsewhere, e.g. one another
+    // device is still filling, is left alone.
+    async saveHouseholdLinks(links, newHouseholds = [], formerHouseholdIds = []) {
+        const former = new Set(formerHouseholdIds);
+        const updated = [];
+        links.forEach((householdId, studentId) => {
+            const student = this.students.find(s => s.id === studentId);
+            if (!student || (student.householdId || null) === (householdId || null)) return;
+            if (student.householdId) former.add(student.householdId);
+            const copy = { ...student };
+            if (householdId) copy.householdId = householdId;
+            else delete copy.householdId;
+            updated.push(copy);
+        });
+        const updatedById = new Map(updated.map(s => [s.id, s]));
+        const memberOf = new Set(this.students.map(s => (updatedById.get(s.id) || s).householdId).filter(Boolean));
+        const created = newHouseholds.filter(h => memberOf.has(h.id));
+        const emptied = this.households.filter(h => former.has(h.id) && !memberOf.has(h.id));
+        if (updated.length === 0 && created.length === 0 && emptied.length === 0) return;
+        const audit = updated.map(copy => ({ type: 'student', before: { ...this.students.find(s => s.id === copy.id) }, after: copy }));
+        
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['students', 'households'], 'readwrite');
+            const studentStore = transaction.objectStore('students');
+            const householdStore = transaction.objectStore('households');
+            created.forEach(h => householdStore.put(h));
+            emptied.forEach(h => householdStore.delete(h.id));
+            updated.forEach(s => studentStore.put(s));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+        this.students.forEach(s => {
+            const copy = updatedById.get(s.id);
+            if (!copy) return;
+            if (copy.householdId) s.householdId = copy.householdId;
+            else delete s.householdId;
+        });
+        const emptiedIds = new Set(emptied.map(h => h.id));
+        this.households = this.households.filter(h => !emptiedIds.has(h.id)).concat(created);
+        this.syncBatchToFirebase([
+            ...created.map(h => ({ collection: 'households', data: h })),
+            ...emptied.map(h => ({ collection: 'households', deleteId: h.id })),
+            ...updated.map(s => ({ collection: 'students', data: s }))
+        ]);
+        await this.recordAudit(audit);
+    }
+
+    // Puts each unlinked student into the household at their home address, starting a household when
+    // unlinked siblings share an address. Students already linked are left as they are.
+    async linkHouseholdsByAddress(students = this.students) {
+        const keyOf = (student) => this.normalizeAddressForMatch(this.getHouseholdAddress(student));
+        const byKey = new Map();
+        this.households.forEach(h => {
+            const key = this.normalizeAddressForMatch(h.address);
+            if (key && !byKey.has(key)) byKey.set(key, h);
+        });
+        const unlinkedByKey = new Map();
+        this.students.filter(s => !s.householdId).forEach(s => {
+            const key = keyOf(s);
+            if (!key) return;
+            if (!unlinkedByKey.has(key)) unlinkedByKey.set(key, []);
+            unlinkedByKey.get(key).push(s);
+        });
+        const links = new Map();
+        const newHouseholds = [];
+        students.forEach(student => {
+            if (student.householdId || links.has(student.id)) return;
+            const key = keyOf(student);
+            if (!key) return;
+            let household = byKey.get(key);
+            if (!household) {
+                const atAddress = unlinkedByKey.get(key) || [];
+                if (atAddress.length < 2) return;
+                household = this.createHousehold(this.getHouseholdAddress(student));
+                newHouseholds.push(household);
+                byKey.set(key, household);
+                atAddress.forEach(s => links.set(s.id, household.id));
             }
+            links.set(student.id, household.id);
+        });
+        await this.saveHouseholdLinks(links, newHouseholds);
+        return { linked: links.size, created: newHouseholds.length };
+    }
+
+    async runLinkHouseholds() {
+        if (!this.requirePermission('manageRoster')) return;
+        const messageEl = document.getElementById('householdLinkMessage');
+        try {
+            const { linked, created } = await this.linkHouseholdsByAddress();
+            messageEl.textContent = linked === 0
+                ? 'No unlinked siblings found.'
+                : `Linked ${linked} student(s); ${created} new household(s).`;
+            messageEl.style.color = 'var(--success-color)';
+        } catch (error) {
+            console.error('Error linking households:', error);
+            messageEl.textContent = 'Error linking households. Please try again.';
+            messageEl.style.color = 'var(--danger-color)';
+        }
+    }
+
+    describeHousehold(household) {
+        const names = this.students.filter(s => s.householdId === household.id).map(s => this.getStudentDisplayName(s)).sort();
+        return `${household.address || 'No address'} – ${names.join(', ') || 'no students'}`;
+    }
+
+    renderHouseholdSelect(selected, isNew) {
+        const select = document.getElementById('studentHouseholdSelect');
+        const households = this.households.slice().sort((a, b) => (a.address || '').localeCompare(b.address || '', undefined, { numeric: true }));
+        select.innerHTML = [
+            isNew ? '<option value="__auto__">Match by address (link to siblings automatically)</option>' : '',
+            '<option value="">Not linked (siblings matched by address)</option>',
+            '<option value="__new__">Start a new household</option>',
+            ...households.map(h => `<option value="${h.id}">${this.escapeHtml(this.describeHousehold(h))}</option>`)
+        ].join('');
+        select.value = selected;
+    }
+
+    // The linked student plus the rest of their household
+    getRouteRowStudents(row) {
+        if (!row.studentId) return [];
+        const student = this.students.find(s => s.id === row.studentId);
+        if (!student) return [];
+        return this.getHouseholdMembers(student);
+    }
+
+    getRouteRowStudentNames(row) {
+        const students = this.getRouteRowStudents(row);
+        if (students.length > 0) {
+            return students.map(s => this.getStudentDisplayName(s)).filter(Boolean).join(', ');
         }
         return row.studentName || '';
     }
@@ -2399,7 +7012,15 @@ class BusStudentTracker {
     async openRouteModal() {
         if (!this.currentBusId) return;
         this.routeModalEditMode = false;
+        this.routeSelectedRowIds = new Set();
+        this.routeMapView = null;
+        this.routeMapSelectedRowId = null;
         const route = this.currentRoute || 'AM';
+        const current = this.resolveRouteVersion(this.currentBusId, route, new Date().toISOString().split('T')[0]);
+        this.routeModalVersionId = current ? current.id : null;
+        document.getElementById('routeVersionEffectiveInput').value = '';
+        this.renderRouteVersionBar();
+        this.showRouteModalTab('table');
         const bus = this.busses.find(b => b.id === this.currentBusId);
         document.getElementById('routeModalTitle').textContent = 'Route';
         document.getElementById('routeModalBusRoute').textContent = bus ? `Bus ${this.escapeHtml(bus.name)} – ${route} Route` : `${route} Route`;
@@ -2436,6 +7057,30 @@ class BusStudentTracker {
         return (hour === '10' || hour === '11' || hour === '12') ? digits.slice(0, 2) + ':' + digits.slice(2, 4) : digits[0] + ':' + digits.slice(1, 4);
     }
 
+    // Minutes after midnight for a route row time ("7:45", "345"). Route times are typed without
+    // AM/PM, so afternoon times on PM routes are moved past noon.
+    parseScheduledTime(value, route) {
+        const formatted = this.formatTimeDisplay(value || '');
+        const match = formatted.match(/^(\d{1,2}):(\d{2})$/);
+        if (!match) return null;
+        let hour = parseInt(match[1], 10);
+        const minute = parseInt(match[2], 10);
+        if (hour > 23 || minute > 59) return null;
+        if (route === 'PM' && hour < 12) hour += 12;
+        return hour * 60 + minute;
+    }
+
+    getMinutesOfDay(isoString) {
+        const date = new Date(isoString);
+        return date.getHours() * 60 + date.getMinutes();
+    }
+
+    formatScheduleDifference(minutes) {
+        if (minutes === null || minutes === undefined) return '';
+        if (minutes === 0) return 'on time';
+        return minutes > 0 ? `${minutes} min late` : `${-minutes} min early`;
+    }
+
     formatTimeAsYouType(inputEl) {
         const raw = inputEl.value;
         const digits = raw.replace(/\D/g, '').slice(0, 4);
@@ -2463,11 +7108,16 @@ class BusStudentTracker {
     async renderRouteTable() {
         const busId = this.currentBusId;
         const route = this.currentRoute || 'AM';
-        const rows = await this.getRouteRows(busId, route);
+        const rows = await this.getRouteModalRows();
+        const todayRun = this.getRunRecord(busId, new Date().toISOString().split('T')[0], route);
+        const arrivals = (todayRun && todayRun.stopArrivals) || {};
+        this.renderRouteMissingStops(rows).catch(error => console.error('Error listing stops without a location:', error));
         const tbody = document.getElementById('routeTableBody');
         const table = document.getElementById('routeTable');
         const isEdit = this.routeModalEditMode;
         if (table) table.classList.toggle('route-table-view-mode', !isEdit);
+        // Drop selections for rows that no longer exist
+        this.routeSelectedRowIds = new Set(rows.filter(r => this.routeSelectedRowIds.has(r.id)).map(r => r.id));
         tbody.innerHTML = '';
         rows.forEach((row, index) => {
             const studentName = this.getRouteRowStudentNames(row);
@@ -2475,14 +7125,20 @@ class BusStudentTracker {
             const tr = document.createElement('tr');
             tr.dataset.rowId = row.id;
             if (isEdit) {
+                const selected = this.routeSelectedRowIds.has(row.id);
+                tr.classList.toggle('route-row-selected', selected);
                 tr.innerHTML = `
-                    <td class="route-col-order">${index + 1}</td>
+                    <td class="route-col-order">
+                        <span class="route-drag-handle" title="Drag to reorder (moves all selected rows)">⠿</span>
+                        <input type="checkbox" class="route-select-row" title="Select to move together" ${selected ? 'checked' : ''}>
+                        <span>${index + 1}</span>
+                    </td>
                     <td class="route-col-action"><input type="text" class="route-input route-action" data-field="action" value="${this.escapeHtml(row.action || '')}" placeholder=""></td>
                     <td class="route-col-direction"><input type="text" class="route-input route-direction" data-field="direction" value="${this.escapeHtml(row.direction || '')}" placeholder=""></td>
                     <td class="route-col-address"><input type="text" class="route-input route-address" data-field="streetAddress" value="${this.escapeHtml(row.streetAddress || '')}" placeholder="Street address"></td>
                     <td class="route-col-student">
                         <div class="route-student-cell">
-                            <input type="text" class="route-input route-student-input" data-field="studentSearch" value="${this.escapeHtml(studentName)}" placeholder="Search student..." autocomplete="off">
+                            <input type="text" class="route-input route-student-input${!row.studentId && studentName ? ' route-student-unresolved' : ''}" data-field="studentSearch" value="${this.escapeHtml(studentName)}" placeholder="Search student..." autocomplete="off" title="${!row.studentId && studentName ? 'Not matched to a student – pick one from the list' : ''}">
                             <input type="hidden" class="route-student-id" data-field="studentId" value="${row.studentId || ''}">
                             <div class="route-student-dropdown hidden" data-dropdown></div>
                         </div>
@@ -2496,18 +7152,359 @@ class BusStudentTracker {
                     </td>
                 `;
             } else {
-                tr.innerHTML = `
-                    <td class="route-col-order">${index + 1}</td>
-                    <td class="route-col-action">${this.escapeHtml(row.action || '—')}</td>
-                    <td class="route-col-direction">${this.escapeHtml(row.direction || '—')}</td>
-                    <td class="route-col-address">${this.escapeHtml(row.streetAddress || '—')}</td>
-                    <td class="route-col-student">${this.escapeHtml(studentName || '—')}</td>
-                    <td class="route-col-roadside">${this.escapeHtml(row.roadside || '—')}</td>
-                    <td class="route-col-time">${this.escapeHtml(timeDisplay || '—')}</td>
-                    <td class="route-col-actions"></td>
-                `;
+                tr.innerHTML = `
+                    <td class="route-col-order">${index + 1}</td>
+                    <td class="route-col-action">${this.escapeHtml(row.action || '—')}</td>
+                    <td class="route-col-direction">${this.escapeHtml(row.direction || '—')}</td>
+                    <td class="route-col-address">${this.hasLocation(row) ? '<span title="Located on the map">📍</span> ' : ''}${this.escapeHtml(row.streetAddress || '—')}</td>
+                    <td class="route-col-student">${!row.studentId && studentName ? `<span class="route-student-unresolved" title="Not matched to a student">${this.escapeHtml(studentName)}</span>` : this.escapeHtml(studentName || '—')}</td>
+                    <td class="route-col-roadside">${this.escapeHtml(row.roadside || '—')}</td>
+                    <td class="route-col-time">${this.escapeHtml(timeDisplay || '—')}${arrivals[row.id] ? `<div class="route-actual-time">${this.escapeHtml(this.describeStopArrival(row, route, arrivals[row.id]))}</div>` : ''}</td>
+                    <td class="route-col-actions"></td>
+                `;
+            }
+            tbody.appendChild(tr);
+        });
+        if (isEdit) this.updateRouteSelectionActions();
+    }
+
+    // --- Route map and stop locations ---
+    showRouteModalTab(tab) {
+        this.routeModalTab = tab;
+        this.closeRouteImport();
+        const isMap = tab === 'map';
+        document.getElementById('routeTablePanel').style.display = isMap ? 'none' : '';
+        document.getElementById('routeMapPanel').style.display = isMap ? 'flex' : 'none';
+        document.getElementById('routeTableTabBtn').className = `btn ${isMap ? 'btn-secondary' : 'btn-primary'}`;
+        document.getElementById('routeMapTabBtn').className = `btn ${isMap ? 'btn-primary' : 'btn-secondary'}`;
+        document.getElementById('routeEditBtn').style.display = isMap || this.routeModalEditMode ? 'none' : 'inline-block';
+        document.getElementById('routeEditModeActions').style.display = !isMap && this.routeModalEditMode ? 'flex' : 'none';
+        if (isMap) this.renderRouteMap();
+    }
+
+    hasLocation(row) {
+        return typeof row.lat === 'number' && typeof row.lng === 'number';
+    }
+
+    getRoadsideClass(row) {
+        const side = (row.roadside || '').trim().toLowerCase();
+        if (side.startsWith('l')) return 'left';
+        if (side.startsWith('r')) return 'right';
+        return 'none';
+    }
+
+    // Students riding this bus (seated on the route, or with this bus in their AM/PM bus field) whose
+    // pickup (AM) or drop-off (PM) address matches none of the route's stops
+    async getStudentsWithoutStop(busId, route, rows) {
+        const bus = this.busses.find(b => b.id === busId);
+        const assignedIds = new Set((await this.getSeatAssignments(busId, route)).map(a => a.studentId));
+        return this.students.filter(student => {
+            if (!assignedIds.has(student.id) && !this.studentRidesBus(student, bus, route)) return false;
+            const address = this.normalizeAddressForMatch(route === 'PM' ? student.dropoffAddress || student.address : student.address);
+            return !rows.some(row => row.studentId === student.id ||
+                (address && this.normalizeAddressForMatch(row.streetAddress || '') === address) ||
+                this.getRouteRowStudents(row).some(s => s.id === student.id));
+        });
+    }
+
+    async renderRouteMissingStops(rows) {
+        const route = this.currentRoute || 'AM';
+        const missing = await this.getStudentsWithoutStop(this.currentBusId, route, rows);
+        const banner = document.getElementById('routeMissingStops');
+        if (missing.length === 0) {
+            banner.style.display = 'none';
+            return;
+        }
+        banner.innerHTML = `⚠️ ${missing.length} student(s) riding this bus have no stop on the ${route} route: ${missing.map(student => {
+            const address = route === 'PM' ? student.dropoffAddress || student.address : student.address;
+            return `<strong>${this.escapeHtml(this.getStudentDisplayName(student))}</strong> (${this.escapeHtml(address || 'no address')})`;
+        }).join(', ')}`;
+        banner.style.display = 'block';
+    }
+
+    getGeocoderSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.GEOCODER_STORAGE_KEY) || '{}');
+            return { provider: GEOCODER_PROVIDERS[saved.provider] ? saved.provider : 'none', urlTemplate: saved.urlTemplate || '' };
+        } catch (e) {
+            return { provider: 'none', urlTemplate: '' };
+        }
+    }
+
+    getGeocodeCache() {
+        try {
+            return JSON.parse(localStorage.getItem(this.GEOCODE_CACHE_STORAGE_KEY) || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    cacheGeocode(address, location) {
+        const key = this.normalizeAddressForMatch(address);
+        if (!key) return;
+        const cache = this.getGeocodeCache();
+        cache[key] = { lat: location.lat, lng: location.lng };
+        localStorage.setItem(this.GEOCODE_CACHE_STORAGE_KEY, JSON.stringify(cache));
+    }
+
+    // Accepts the common response shapes: [{ lat, lon }] (Nominatim), { results: [{ geometry: { location } }] },
+    // GeoJSON features, or a plain { lat, lng } / { latitude, longitude } object
+    readGeocodeResult(json) {
+        const first = Array.isArray(json) ? json[0]
+            : json && Array.isArray(json.results) ? json.results[0]
+            : json && Array.isArray(json.features) ? json.features[0]
+            : json;
+        if (!first) return null;
+        const coordinates = first.geometry && Array.isArray(first.geometry.coordinates) ? first.geometry.coordinates : null;
+        const candidates = [first, first.location, first.geometry && first.geometry.location, coordinates && { lat: coordinates[1], lng: coordinates[0] }];
+        for (const candidate of candidates) {
+            if (!candidate) continue;
+            const lat = parseFloat(candidate.lat ?? candidate.latitude);
+            const lng = parseFloat(candidate.lng ?? candidate.lon ?? candidate.longitude);
+            if (isFinite(lat) && isFinite(lng)) return { lat, lng };
+        }
+        return null;
+    }
+
+    async geocodeOnline(address) {
+        const { provider, urlTemplate } = this.getGeocoderSettings();
+        const geocoder = GEOCODER_PROVIDERS[provider];
+        if (!geocoder.buildUrl || !navigator.onLine) return null;
+        const url = geocoder.buildUrl(address, urlTemplate);
+        if (!url) return null;
+        const wait = (this.lastGeocodeRequestAt || 0) + (geocoder.minIntervalMs || 0) - Date.now();
+        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+        this.lastGeocodeRequestAt = Date.now();
+        try {
+            const response = await fetch(url, { headers: { Accept: 'application/json' } });
+            if (!response.ok) return null;
+            return this.readGeocodeResult(await response.json());
+        } catch (error) {
+            console.error('Geocoding failed:', error);
+            return null;
+        }
+    }
+
+    // Where students at this stop were actually checked in or dropped off (median of GPS-stamped check-ins)
+    locateStopFromCheckins(row) {
+        const locations = [];
+        this.checkins.forEach(c => {
+            if (c.busId !== row.busId || c.route !== row.route) return;
+            if (c.stopId === row.id && c.location) locations.push(c.location);
+            if (c.checkoutStopId === row.id && c.checkoutLocation) locations.push(c.checkoutLocation);
+        });
+        const accurate = locations.filter(l => !l.accuracy || l.accuracy <= 100);
+        if (accurate.length === 0) return null;
+        const median = (values) => {
+            const sorted = values.slice().sort((a, b) => a - b);
+            const mid = Math.floor(sorted.length / 2);
+            return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+        };
+        return { lat: median(accurate.map(l => l.lat)), lng: median(accurate.map(l => l.lng)) };
+    }
+
+    // Offline sources first: addresses located before (on this device or on another stop), then GPS-stamped
+    // check-ins at the stop. The online geocoder is only asked when none of those has an answer.
+    async geocodeRouteRow(row) {
+        const address = (row.streetAddress || '').trim();
+        const key = this.normalizeAddressForMatch(address);
+        if (key) {
+            const cached = this.getGeocodeCache()[key];
+            if (cached) return { ...cached, source: 'cache' };
+            const sameAddress = this.routeRows.find(r => r.id !== row.id && this.hasLocation(r) && this.normalizeAddressForMatch(r.streetAddress || '') === key);
+            if (sameAddress) return { lat: sameAddress.lat, lng: sameAddress.lng, source: 'stop' };
+        }
+        const fromCheckins = this.locateStopFromCheckins(row);
+        if (fromCheckins) return { ...fromCheckins, source: 'checkins' };
+        if (!key) return null;
+        const online = await this.geocodeOnline(address);
+        if (!online) return null;
+        this.cacheGeocode(address, online);
+        return { ...online, source: 'geocoder' };
+    }
+
+    async setRouteRowLocation(rowId, location, source) {
+        const row = this.routeRows.find(r => r.id === rowId);
+        if (!row) return null;
+        const updated = { ...row, lat: location.lat, lng: location.lng, locationSource: source };
+        await this.updateRouteRow(updated);
+        if (source === 'map' || source === 'gps') this.cacheGeocode(row.streetAddress, location);
+        return updated;
+    }
+
+    async clearRouteRowLocation(rowId) {
+        const row = this.routeRows.find(r => r.id === rowId);
+        if (!row) return;
+        const { lat, lng, locationSource, ...rest } = row;
+        await this.updateRouteRow(rest);
+        await this.renderRouteMap();
+    }
+
+    async locateAllRouteStops() {
+        const rows = await this.getRouteModalRows();
+        const pending = rows.filter(row => !this.hasLocation(row));
+        const messageEl = document.getElementById('routeMapMessage');
+        if (pending.length === 0) {
+            messageEl.textContent = 'Every stop already has a location.';
+            return;
+        }
+        let found = 0;
+        for (let i = 0; i < pending.length; i++) {
+            messageEl.textContent = `Locating stop ${i + 1} of ${pending.length}…`;
+            const location = await this.geocodeRouteRow(pending[i]);
+            if (location) {
+                await this.setRouteRowLocation(pending[i].id, location, location.source);
+                found++;
+            }
+        }
+        this.routeMapView = null;
+        await this.renderRouteMap();
+        const notFound = pending.length - found;
+        messageEl.textContent = `Located ${found} of ${pending.length} stop(s).${notFound ? ` Place the other ${notFound} by choosing the stop and tapping the map${this.getGeocoderSettings().provider === 'none' ? ', or turn on a geocoder in Settings' : ''}.` : ''}`;
+    }
+
+    async useCurrentLocationForStop() {
+        const rowId = this.routeMapSelectedRowId;
+        if (!rowId) {
+            alert('Choose a stop first.');
+            return;
+        }
+        const location = this.getFreshGpsLocation() || await new Promise(resolve => {
+            if (!navigator.geolocation) return resolve(null);
+            navigator.geolocation.getCurrentPosition(position => resolve(this.positionToLocation(position)), () => resolve(null), { enableHighAccuracy: true, maximumAge: 10000, timeout: 20000 });
+        });
+        if (!location) {
+            alert('Your location is not available. Check that location access is allowed.');
+            return;
+        }
+        await this.setRouteRowLocation(rowId, location, 'gps');
+        await this.renderRouteMap();
+    }
+
+    zoomRouteMap(delta) {
+        if (!this.routeMapView) return;
+        this.routeMapView.zoom = Math.max(3, Math.min(19, this.routeMapView.zoom + delta));
+        this.renderRouteMap();
+    }
+
+    async renderRouteMap() {
+        const route = this.currentRoute || 'AM';
+        const rows = await this.getRouteModalRows();
+        const located = rows.filter(row => this.hasLocation(row));
+        const width = 800;
+        const height = 500;
+        if (!this.routeMapView) {
+            if (located.length > 0) {
+                this.routeMapView = this.fitMapView(located, width, height);
+                if (located.length === 1) this.routeMapView.zoom = 17;
+            } else {
+                // Nothing placed yet: start where the device is, or over the continental US
+                const start = this.lastGpsFix || { lat: 39.8, lng: -98.6 };
+                const center = this.projectLatLng(start.lat, start.lng);
+                this.routeMapView = { centerX: center.x, centerY: center.y, zoom: this.lastGpsFix ? 15 : 4 };
             }
-            tbody.appendChild(tr);
+        }
+        if (this.routeMapSelectedRowId && !rows.some(row => row.id === this.routeMapSelectedRowId)) this.routeMapSelectedRowId = null;
+        const map = this.buildMapView(this.routeMapView, width, height);
+        this.routeMapProjection = map;
+
+        // Each leg is coloured by the roadside of the stop it leads to
+        const segments = located.slice(1).map((row, i) => {
+            const from = map.toView(located[i]);
+            const to = map.toView(row);
+            return `<line class="route-map-segment roadside-${this.getRoadsideClass(row)}" x1="${from.x}" y1="${from.y}" x2="${to.x}" y2="${to.y}"/>`;
+        }).join('');
+        const markers = located.map(row => {
+            const p = map.toView(row);
+            const number = rows.indexOf(row) + 1;
+            const names = this.getRouteRowStudentNames(row);
+            return `
+                <g class="route-map-stop roadside-${this.getRoadsideClass(row)}${row.id === this.routeMapSelectedRowId ? ' selected' : ''}" data-row-id="${row.id}">
+                    <circle cx="${p.x}" cy="${p.y}" r="11"/>
+                    <text x="${p.x}" y="${p.y + 4}" text-anchor="middle">${number}</text>
+                    <title>${this.escapeHtml(`#${number} ${row.streetAddress || row.action || 'Stop'}${names ? ` – ${names}` : ''}${row.roadside ? ` (${row.roadside})` : ''}`)}</title>
+                </g>
+            `;
+        }).join('');
+        document.getElementById('routeMap').innerHTML = `
+            <svg class="route-map-svg" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+                <g id="routeMapLayer">
+                    ${map.background}
+                    ${segments}
+                    ${markers}
+                </g>
+                ${map.attribution}
+            </svg>
+        `;
+
+        const select = document.getElementById('routeMapStopSelect');
+        select.innerHTML = '<option value="">Choose a stop to place…</option>' + rows.map((row, index) =>
+            `<option value="${row.id}">${this.hasLocation(row) ? '✓' : '○'} ${this.escapeHtml(this.describeStop(row, index))}</option>`
+        ).join('');
+        select.value = this.routeMapSelectedRowId || '';
+        const unplaced = rows.length - located.length;
+        document.getElementById('routeMapSummary').textContent = rows.length === 0
+            ? 'This route has no stops yet.'
+            : `${located.length} of ${rows.length} stops placed${unplaced ? ' – choose a stop, then tap the map where the bus stops' : ''}`;
+        await this.renderRouteMissingStops(rows);
+    }
+
+    // Drag to pan; a tap on a stop selects it, a tap anywhere else places the selected stop there
+    setupRouteMapListeners() {
+        const container = document.getElementById('routeMap');
+        let drag = null;
+        const toSvg = (e) => {
+            const rect = container.getBoundingClientRect();
+            return { x: (e.clientX - rect.left) * 800 / rect.width, y: (e.clientY - rect.top) * 500 / rect.height };
+        };
+        container.addEventListener('pointerdown', (e) => {
+            if (!this.routeMapProjection) return;
+            drag = { start: toSvg(e), moved: false, target: e.target };
+            if (container.setPointerCapture) container.setPointerCapture(e.pointerId);
+        });
+        container.addEventListener('pointermove', (e) => {
+            if (!drag) return;
+            const p = toSvg(e);
+            const dx = p.x - drag.start.x;
+            const dy = p.y - drag.start.y;
+            if (!drag.moved && Math.hypot(dx, dy) < 6) return;
+            drag.moved = true;
+            const layer = document.getElementById('routeMapLayer');
+            if (layer) layer.setAttribute('transform', `translate(${dx} ${dy})`);
+        });
+        container.addEventListener('pointerup', async (e) => {
+            if (!drag) return;
+            const { start, moved, target } = drag;
+            drag = null;
+            const end = toSvg(e);
+            try {
+                if (moved) {
+                    const scale = Math.pow(2, this.routeMapView.zoom);
+                    this.routeMapView.centerX -= (end.x - start.x) / scale;
+                    this.routeMapView.centerY -= (end.y - start.y) / scale;
+                    await this.renderRouteMap();
+                    return;
+                }
+                const stop = target.closest && target.closest('[data-row-id]');
+                if (stop) {
+                    this.routeMapSelectedRowId = stop.dataset.rowId;
+                } else if (this.routeMapSelectedRowId && this.can('editRoutes')) {
+                    await this.setRouteRowLocation(this.routeMapSelectedRowId, this.routeMapProjection.fromView(end.x, end.y), 'map');
+                    // Move on to the next stop that still needs placing
+                    const rows = await this.getRouteModalRows();
+                    const current = rows.findIndex(row => row.id === this.routeMapSelectedRowId);
+                    const next = rows.slice(current + 1).find(row => !this.hasLocation(row));
+                    this.routeMapSelectedRowId = next ? next.id : null;
+                }
+                await this.renderRouteMap();
+            } catch (error) {
+                console.error('Error updating route map:', error);
+                alert('Error placing the stop. Please try again.');
+            }
+        });
+        container.addEventListener('pointercancel', () => {
+            drag = null;
+            this.renderRouteMap().catch(error => console.error('Error updating route map:', error));
         });
     }
 
@@ -2524,6 +7521,8 @@ class BusStudentTracker {
             if (!tr) return;
             const rowId = tr.dataset.rowId;
             if (input.classList.contains('route-student-input')) {
+                // Typed text isn't linked to a student until one is picked from the list
+                input.classList.toggle('route-student-unresolved', input.value.trim() !== '');
                 this.onRouteStudentSearch(input, rowId);
                 this.debouncedSaveRouteRowStudentName(rowId, input.value);
                 return;
@@ -2539,6 +7538,14 @@ class BusStudentTracker {
 
         tbody.addEventListener('change', (e) => {
             const input = e.target;
+            if (input.classList.contains('route-select-row')) {
+                const tr = input.closest('tr');
+                if (input.checked) this.routeSelectedRowIds.add(tr.dataset.rowId);
+                else this.routeSelectedRowIds.delete(tr.dataset.rowId);
+                tr.classList.toggle('route-row-selected', input.checked);
+                this.updateRouteSelectionActions();
+                return;
+            }
             if (!input.classList.contains('route-input')) return;
             const tr = input.closest('tr');
             if (!tr) return;
@@ -2580,7 +7587,7 @@ class BusStudentTracker {
                 e.preventDefault();
                 const tr = insertAboveBtn.closest('tr');
                 if (tr) {
-                    const rows = await this.getRouteRows(this.currentBusId, this.currentRoute || 'AM');
+                    const rows = await this.getRouteModalRows();
                     const idx = rows.findIndex(r => r.id === tr.dataset.rowId);
                     if (idx !== -1) await this.insertRouteRowAtPosition(idx);
                 }
@@ -2588,7 +7595,7 @@ class BusStudentTracker {
                 e.preventDefault();
                 const tr = insertBelowBtn.closest('tr');
                 if (tr) {
-                    const rows = await this.getRouteRows(this.currentBusId, this.currentRoute || 'AM');
+                    const rows = await this.getRouteModalRows();
                     const idx = rows.findIndex(r => r.id === tr.dataset.rowId);
                     if (idx !== -1) await this.insertRouteRowAtPosition(idx + 1);
                 }
@@ -2606,6 +7613,96 @@ class BusStudentTracker {
                 }
             }
         });
+
+        this.setupRouteRowDragAndDrop(tbody);
+    }
+
+    // --- Route row drag and drop (from the handle only, so inputs and touch scrolling work as usual) ---
+    setupRouteRowDragAndDrop(tbody) {
+        const MOVE_THRESHOLD = 5;
+        const clearTarget = () => {
+            tbody.querySelectorAll('.route-drop-before, .route-drop-after').forEach(el => el.classList.remove('route-drop-before', 'route-drop-after'));
+        };
+        const endDrag = () => {
+            const drag = this.routeRowDrag;
+            if (!drag) return;
+            if (drag.ghost) drag.ghost.remove();
+            tbody.querySelectorAll('.route-row-dragging').forEach(el => el.classList.remove('route-row-dragging'));
+            clearTarget();
+            this.routeRowDrag = null;
+        };
+        const startDrag = (drag) => {
+            drag.active = true;
+            drag.rowIds.forEach(id => {
+                const tr = tbody.querySelector(`tr[data-row-id="${id}"]`);
+                if (tr) tr.classList.add('route-row-dragging');
+            });
+            const ghost = document.createElement('div');
+            ghost.className = 'route-drag-ghost';
+            const row = this.routeRows.find(r => r.id === drag.sourceEl.dataset.rowId);
+            ghost.textContent = drag.rowIds.length > 1 ? `Moving ${drag.rowIds.length} stops` : (row && row.streetAddress) || 'Moving stop';
+            document.body.appendChild(ghost);
+            drag.ghost = ghost;
+        };
+        // The drop goes before the hovered row, or after it when the pointer is in its lower half
+        const moveGhost = (drag, x, y) => {
+            drag.ghost.style.left = `${x + 12}px`;
+            drag.ghost.style.top = `${y - drag.ghost.offsetHeight / 2}px`;
+            clearTarget();
+            const el = document.elementFromPoint(x, y);
+            const tr = el ? el.closest('#routeTableBody tr') : null;
+            drag.beforeRowId = undefined;
+            if (!tr || drag.rowIds.includes(tr.dataset.rowId)) return;
+            const rect = tr.getBoundingClientRect();
+            const after = y > rect.top + rect.height / 2;
+            tr.classList.add(after ? 'route-drop-after' : 'route-drop-before');
+            // The row after it can be one being dragged, which can't be dropped before itself
+            let next = tr.nextElementSibling;
+            while (next && drag.rowIds.includes(next.dataset.rowId)) next = next.nextElementSibling;
+            drag.beforeRowId = after ? (next ? next.dataset.rowId : null) : tr.dataset.rowId;
+        };
+
+        tbody.addEventListener('pointerdown', (e) => {
+            const handle = e.target.closest('.route-drag-handle');
+            if (!handle || e.button !== 0) return;
+            e.preventDefault();
+            const sourceEl = handle.closest('tr');
+            const rowId = sourceEl.dataset.rowId;
+            // Dragging a selected row carries the whole selection; any other row moves alone
+            const rowIds = this.routeSelectedRowIds.has(rowId)
+                ? Array.from(tbody.querySelectorAll('tr')).map(tr => tr.dataset.rowId).filter(id => this.routeSelectedRowIds.has(id))
+                : [rowId];
+            this.routeRowDrag = { sourceEl, rowIds, pointerId: e.pointerId, startX: e.clientX, startY: e.clientY, active: false };
+        });
+
+        document.addEventListener('pointermove', (e) => {
+            const drag = this.routeRowDrag;
+            if (!drag || e.pointerId !== drag.pointerId) return;
+            if (!drag.active) {
+                if (Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) < MOVE_THRESHOLD) return;
+                startDrag(drag);
+            }
+            e.preventDefault();
+            moveGhost(drag, e.clientX, e.clientY);
+        });
+
+        document.addEventListener('pointerup', async (e) => {
+            const drag = this.routeRowDrag;
+            if (!drag || e.pointerId !== drag.pointerId) return;
+            const { active, beforeRowId, rowIds } = drag;
+            endDrag();
+            if (!active || beforeRowId === undefined) return;
+            try {
+                await this.moveRouteRows(rowIds, beforeRowId);
+            } catch (error) {
+                console.error('Error reordering route rows:', error);
+                alert('Error reordering stops. Please try again.');
+            }
+        });
+
+        document.addEventListener('pointercancel', (e) => {
+            if (this.routeRowDrag && e.pointerId === this.routeRowDrag.pointerId) endDrag();
+        });
     }
 
     _routeSaveDebounce = null;
@@ -2621,7 +7718,7 @@ class BusStudentTracker {
     }
 
     async saveRouteRowStudentName(rowId, value) {
-        const rows = await this.getRouteRows(this.currentBusId, this.currentRoute || 'AM');
+        const rows = await this.getRouteModalRows();
         const row = rows.find(r => r.id === rowId);
         if (!row) return;
         row.studentName = (value || '').trim();
@@ -2630,13 +7727,25 @@ class BusStudentTracker {
     }
 
     async saveRouteRowField(rowId, field, value) {
-        const rows = await this.getRouteRows(this.currentBusId, this.currentRoute || 'AM');
+        const rows = await this.getRouteModalRows();
         const row = rows.find(r => r.id === rowId);
         if (!row) return;
         row[field] = value;
         await this.updateRouteRow(row);
     }
 
+    // Students whose full, first or last name contains the term
+    findStudentsMatching(term) {
+        const value = (term || '').trim().toLowerCase();
+        if (!value) return [];
+        return this.students.filter(s => {
+            const name = this.getStudentDisplayName(s).toLowerCase();
+            const first = (s.firstName || '').toLowerCase();
+            const last = (s.lastName || '').toLowerCase();
+            return name.includes(value) || first.includes(value) || last.includes(value);
+        });
+    }
+
     onRouteStudentSearch(input, rowId) {
         const term = (input.value || '').trim().toLowerCase();
         const dropdown = input.closest('.route-student-cell')?.querySelector('[data-dropdown]');
@@ -2646,12 +7755,7 @@ class BusStudentTracker {
             dropdown.innerHTML = '';
             return;
         }
-        const matches = this.students.filter(s => {
-            const name = this.getStudentDisplayName(s).toLowerCase();
-            const first = (s.firstName || '').toLowerCase();
-            const last = (s.lastName || '').toLowerCase();
-            return name.includes(term) || first.includes(term) || last.includes(term);
-        }).slice(0, 8);
+        const matches = this.findStudentsMatching(term).slice(0, 8);
         dropdown.innerHTML = matches.map(s => `
             <div class="route-student-option" data-student-id="${s.id}" role="button">${this.escapeHtml(this.getStudentDisplayName(s))}</div>
         `).join('') || '<div class="route-student-option-empty">No students found</div>';
@@ -2665,19 +7769,18 @@ class BusStudentTracker {
         const student = this.students.find(s => s.id === studentId);
         if (!student) return;
         const address = (student.dropoffAddress || student.address || '').trim();
-        const rows = await this.getRouteRows(this.currentBusId, this.currentRoute || 'AM');
+        const rows = await this.getRouteModalRows();
         const row = rows.find(r => r.id === rowId);
         if (!row) return;
         row.studentId = studentId;
         row.streetAddress = address;
-        const atAddress = this.getStudentsAtAddress(address);
-        row.studentName = atAddress.length > 0
-            ? atAddress.map(s => this.getStudentDisplayName(s)).filter(Boolean).join(', ')
-            : this.getStudentDisplayName(student);
+        row.studentName = this.getHouseholdMembers(student).map(s => this.getStudentDisplayName(s)).filter(Boolean).join(', ');
         await this.updateRouteRow(row);
         const tr = document.querySelector(`#routeTableBody tr[data-row-id="${rowId}"]`);
         if (tr) {
             tr.querySelector('.route-student-input').value = row.studentName;
+            tr.querySelector('.route-student-input').classList.remove('route-student-unresolved');
+            tr.querySelector('.route-student-input').title = '';
             tr.querySelector('.route-student-id').value = studentId;
             tr.querySelector('.route-address').value = address;
             tr.querySelector('[data-dropdown]').classList.add('hidden');
@@ -2693,10 +7796,12 @@ class BusStudentTracker {
     async insertRouteRowAtPosition(insertIndex) {
         const busId = this.currentBusId;
         const route = this.currentRoute || 'AM';
-        const rows = await this.getRouteRows(busId, route);
+        const rows = await this.getRouteModalRows();
         const newRow = {
+            id: this.generateId(),
             busId,
             route,
+            versionId: this.routeModalVersionId,
             order: insertIndex,
             action: '',
             direction: '',
@@ -2706,22 +7811,245 @@ class BusStudentTracker {
             roadside: '',
             time: ''
         };
-        const toShift = rows.filter(r => (r.order ?? 0) >= insertIndex).sort((a, b) => (b.order ?? 0) - (a.order ?? 0));
-        for (const r of toShift) {
-            r.order = (r.order ?? 0) + 1;
-            await this.updateRouteRow(r);
+        rows.splice(insertIndex, 0, newRow);
+        await this.saveRouteRowOrder(rows, [newRow]);
+        await this.renderRouteTable();
+    }
+
+    // --- Route import (rows pasted from a spreadsheet, or a CSV / Excel file) ---
+    openRouteImport() {
+        this.routeImport = null;
+        document.getElementById('routeImportPasteInput').value = '';
+        document.getElementById('routeImportFileInput').value = '';
+        document.getElementById('routeImportModeSelect').value = 'append';
+        document.getElementById('routeImportMessage').textContent = '';
+        this.renderRouteImport();
+        document.getElementById('routeTablePanel').style.display = 'none';
+        document.getElementById('routeModalActions').style.display = 'none';
+        document.getElementById('routeImportPanel').style.display = 'block';
+    }
+
+    closeRouteImport() {
+        this.routeImport = null;
+        document.getElementById('routeImportPanel').style.display = 'none';
+        document.getElementById('routeTablePanel').style.display = '';
+        document.getElementById('routeModalActions').style.display = 'flex';
+    }
+
+    async loadRouteImportFile(file) {
+        const messageEl = document.getElementById('routeImportMessage');
+        try {
+            this.setRouteImportLines(await this.readSpreadsheetFile(file), file.name);
+            messageEl.textContent = '';
+        } catch (err) {
+            this.routeImport = null;
+            this.renderRouteImport();
+            messageEl.textContent = 'Could not read file: ' + (err.message || String(err));
+            messageEl.style.color = 'var(--danger-color)';
+        }
+    }
+
+    loadRouteImportPaste(text) {
+        document.getElementById('routeImportMessage').textContent = '';
+        this.setRouteImportLines(this.parseDelimitedText(text || ''), 'pasted rows');
+    }
+
+    setRouteImportLines(lines, sourceName) {
+        if (lines.length === 0) {
+            this.routeImport = null;
+            this.renderRouteImport();
+            return;
+        }
+        const firstCells = lines[0].cells.map(c => String(c ?? '').trim());
+        // Only exact header names count here, so a first stop like "Turn right onto Main Street" isn't taken for a header
+        const headerCells = firstCells.filter(c => ROUTE_IMPORT_FIELDS.some(f => f.aliases.includes(this.normalizeHeader(c))));
+        const hasHeader = headerCells.length >= 2;
+        const columnCount = Math.max(...lines.map(l => l.cells.length));
+        const headers = hasHeader ? firstCells : Array.from({ length: columnCount }, (_, i) => `Column ${i + 1}`);
+        const mapping = hasHeader
+            ? this.detectImportColumns(headers, ROUTE_IMPORT_FIELDS)
+            : Object.fromEntries(ROUTE_IMPORT_FIELDS.slice(0, columnCount).map((field, i) => [field.key, i]));
+        this.routeImport = { sourceName, headers, hasHeader, lines: hasHeader ? lines.slice(1) : lines, mapping };
+        this.renderRouteImport();
+    }
+
+    setRouteImportMapping(fieldKey, value) {
+        if (!this.routeImport) return;
+        if (value === '') delete this.routeImport.mapping[fieldKey];
+        else this.routeImport.mapping[fieldKey] = parseInt(value, 10);
+        this.renderRouteImport();
+    }
+
+    // Spreadsheet times ("7:45 AM", "0745", "14:05" or an Excel day fraction) in the route table's "7:45" form.
+    // Route times are kept without AM/PM; PM routes are read as afternoon times.
+    normalizeImportedRouteTime(value) {
+        const text = String(value || '').trim();
+        if (!text) return '';
+        if (/^0?\.\d+$/.test(text)) {
+            const minutes = Math.round(parseFloat(text) * 1440);
+            const hour = Math.floor(minutes / 60) % 12 || 12;
+            return `${hour}:${String(minutes % 60).padStart(2, '0')}`;
+        }
+        const match = text.match(/^(\d{1,2}):?(\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?$/i);
+        if (match) {
+            const hour = parseInt(match[1], 10);
+            return `${hour > 12 ? hour - 12 : hour}:${match[2]}`;
+        }
+        return this.formatTimeDisplay(text);
+    }
+
+    // The one student an imported name refers to: a unique search match, or an exact full-name match
+    // (also tried as "Last, First", then as the first name in a list). Anything else is left for the user to fix.
+    resolveStudentName(name) {
+        const value = (name || '').trim().replace(/\s+/g, ' ');
+        if (!value) return null;
+        const candidates = [value];
+        if (value.includes(',')) {
+            const { firstName, lastName } = this.splitFullName(value);
+            candidates.push(`${firstName} ${lastName}`);
+        }
+        candidates.push(value.split(/\s*(?:[,;&\/]|\band\b)\s*/i)[0]);
+        for (const candidate of candidates) {
+            const matches = this.findStudentsMatching(candidate);
+            if (matches.length === 1) return matches[0];
+            const exact = matches.filter(s => this.getStudentDisplayName(s).toLowerCase() === candidate.toLowerCase());
+            if (exact.length === 1) return exact[0];
+        }
+        return null;
+    }
+
+    buildRouteRowFromImportLine(cells, mapping) {
+        const read = (key) => mapping[key] !== undefined ? String(cells[mapping[key]] ?? '').trim() : '';
+        const row = {
+            action: read('action'),
+            direction: read('direction'),
+            streetAddress: read('streetAddress'),
+            studentId: '',
+            studentName: read('student'),
+            roadside: read('roadside'),
+            time: this.normalizeImportedRouteTime(read('time'))
+        };
+        const student = this.resolveStudentName(row.studentName);
+        if (student) {
+            // Same as picking the student in the table: the student's household rides from this stop
+            row.studentId = student.id;
+            row.studentName = this.getHouseholdMembers(student).map(s => this.getStudentDisplayName(s)).filter(Boolean).join(', ');
+            if (!row.streetAddress) row.streetAddress = (student.dropoffAddress || student.address || '').trim();
+        }
+        return row;
+    }
+
+    evaluateRouteImport() {
+        const { headers, hasHeader, lines, mapping } = this.routeImport;
+        const rows = [];
+        const errors = [];
+        if (mapping.streetAddress === undefined && mapping.action === undefined) {
+            errors.push({ line: 1, message: 'Map a Street Address or Action column before importing.' });
+            return { rows, errors };
+        }
+        for (const { line, cells } of lines) {
+            if (hasHeader && cells.length > headers.length && cells.slice(headers.length).some(c => String(c ?? '').trim() !== '')) {
+                errors.push({ line, message: `Has ${cells.length} columns but the header has ${headers.length} (check for unquoted commas).` });
+                continue;
+            }
+            const row = this.buildRouteRowFromImportLine(cells, mapping);
+            if (ROUTE_IMPORT_FIELDS.every(f => !row[f.key === 'student' ? 'studentName' : f.key])) continue;
+            rows.push({ line, row });
+        }
+        return { rows, errors };
+    }
+
+    renderRouteImport() {
+        const mappingEl = document.getElementById('routeImportMapping');
+        const errorsEl = document.getElementById('routeImportErrors');
+        const previewEl = document.getElementById('routeImportPreview');
+        const commitBtn = document.getElementById('routeImportCommitBtn');
+        if (!this.routeImport) {
+            mappingEl.innerHTML = '';
+            errorsEl.innerHTML = '';
+            previewEl.innerHTML = '';
+            commitBtn.style.display = 'none';
+            return;
+        }
+        const { headers, mapping, sourceName, hasHeader } = this.routeImport;
+        const columnOptions = (selected) => '<option value="">— Not imported —</option>' +
+            headers.map((h, i) => `<option value="${i}" ${selected === i ? 'selected' : ''}>${this.escapeHtml(h || `Column ${i + 1}`)}</option>`).join('');
+        mappingEl.innerHTML = `
+            <div class="roster-import-section-title">Column mapping for ${this.escapeHtml(sourceName)}${hasHeader ? '' : ' (no header row, read in table order)'}</div>
+            <div class="roster-import-mapping-grid">
+                ${ROUTE_IMPORT_FIELDS.map(field => `
+                    <label for="routeMap_${field.key}">${this.escapeHtml(field.label)}</label>
+                    <select id="routeMap_${field.key}" class="form-control" onchange="app.setRouteImportMapping('${field.key}', this.value)">${columnOptions(mapping[field.key])}</select>
+                `).join('')}
+            </div>
+        `;
+
+        const { rows, errors } = this.evaluateRouteImport();
+        errorsEl.innerHTML = errors.length === 0 ? '' : `
+            <div class="roster-import-errors">
+                <div class="roster-import-section-title">${errors.length} line(s) will be skipped</div>
+                ${errors.map(e => `<div>Line ${e.line}: ${this.escapeHtml(e.message)}</div>`).join('')}
+            </div>
+        `;
+        const unresolved = rows.filter(({ row }) => row.studentName && !row.studentId).length;
+        previewEl.innerHTML = rows.length === 0 ? '' : `
+            <div class="roster-import-section-title">Preview (${rows.length} stop(s)${unresolved ? `, <span class="route-student-unresolved">${unresolved} student name(s) not matched</span> – fix them in the table after importing` : ''})</div>
+            <div class="roster-import-table-wrapper">
+                <table class="roster-import-table">
+                    <thead><tr><th>Line</th>${ROUTE_IMPORT_FIELDS.map(f => `<th>${this.escapeHtml(f.label)}</th>`).join('')}</tr></thead>
+                    <tbody>
+                        ${rows.map(({ line, row }) => `
+                            <tr>
+                                <td>${line}</td>
+                                <td>${this.escapeHtml(row.action)}</td>
+                                <td>${this.escapeHtml(row.direction)}</td>
+                                <td>${this.escapeHtml(row.streetAddress)}</td>
+                                <td>${row.studentName && !row.studentId ? `<span class="route-student-unresolved">${this.escapeHtml(row.studentName)}</span>` : this.escapeHtml(row.studentName)}</td>
+                                <td>${this.escapeHtml(row.roadside)}</td>
+                                <td>${this.escapeHtml(row.time)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+        commitBtn.textContent = `Import ${rows.length} stop(s)`;
+        commitBtn.style.display = rows.length > 0 ? 'inline-block' : 'none';
+    }
+
+    async commitRouteImport() {
+        if (!this.routeImport) return;
+        const { rows } = this.evaluateRouteImport();
+        if (rows.length === 0) return;
+        const busId = this.currentBusId;
+        const route = this.currentRoute || 'AM';
+        const existing = await this.getRouteModalRows();
+        const replace = document.getElementById('routeImportModeSelect').value === 'replace';
+        if (replace && existing.length > 0 && !confirm(`Replace the ${existing.length} stop(s) on this route with ${rows.length} imported stop(s)?`)) return;
+        const newRows = rows.map(({ row }) => ({ id: this.generateId(), busId, route, versionId: this.routeModalVersionId, ...row }));
+        try {
+            await this.saveRouteRowOrder((replace ? [] : existing).concat(newRows), newRows, replace ? existing : []);
+        } catch (error) {
+            console.error('Error importing route stops:', error);
+            const messageEl = document.getElementById('routeImportMessage');
+            messageEl.textContent = 'Error importing stops. Please try again.';
+            messageEl.style.color = 'var(--danger-color)';
+            return;
         }
-        await this.addRouteRow(newRow);
+        this.closeRouteImport();
         await this.renderRouteTable();
+        const unresolved = newRows.filter(row => row.studentName && !row.studentId).length;
+        alert(`Imported ${newRows.length} stop(s).${unresolved ? ` ${unresolved} student name(s) couldn't be matched and are highlighted in the table – pick the right student for each.` : ''}`);
     }
 
     async addRouteModalRow() {
         const busId = this.currentBusId;
         const route = this.currentRoute || 'AM';
-        const rows = await this.getRouteRows(busId, route);
+        const rows = await this.getRouteModalRows();
         await this.addRouteRow({
             busId,
             route,
+            versionId: this.routeModalVersionId,
             order: rows.length,
             action: '',
             direction: '',
@@ -2782,19 +8110,25 @@ class BusStudentTracker {
             }
         }
         
+        // Absences recorded when runs on this date were finalized
+        const dateAbsences = this.absences.filter(a => a.date === date && (!busId || a.busId === busId) && (!route || a.route === route));
+        
         // Group by bus and route
         const grouped = {};
-        allCheckins.forEach(checkin => {
-            const key = `${checkin.busId}-${checkin.route}`;
+        const groupFor = (record) => {
+            const key = `${record.busId}-${record.route}`;
             if (!grouped[key]) {
                 grouped[key] = {
-                    bus: this.busses.find(b => b.id === checkin.busId),
-                    route: checkin.route,
-                    checkins: []
+                    bus: this.busses.find(b => b.id === record.busId),
+                    route: record.route,
+                    checkins: [],
+                    absences: []
                 };
             }
-            grouped[key].checkins.push(checkin);
-        });
+            return grouped[key];
+        };
+        allCheckins.forEach(checkin => groupFor(checkin).checkins.push(checkin));
+        dateAbsences.forEach(absence => groupFor(absence).absences.push(absence));
         
         // Store current history data for export
         this.currentHistoryData = {
@@ -2809,46 +8143,299 @@ class BusStudentTracker {
         const exportButtons = document.getElementById('checkinHistoryExportButtons');
         
         if (Object.keys(grouped).length === 0) {
-            container.innerHTML = '<p style="text-align: center; color: var(--text-secondary); padding: 40px;">No check-ins found for this date.</p>';
+            container.innerHTML = '<p style="text-align: center; color: var(--text-secondary); padding: 40px;">No check-ins or absences found for this date.</p>';
             exportButtons.style.display = 'none';
             return;
         }
-        
-        exportButtons.style.display = 'block';
-        
-        container.innerHTML = Object.values(grouped).map(group => {
-            const checkedInStudents = group.checkins.map(c => {
-                const student = this.students.find(s => s.id === c.studentId);
-                const displayName = student ? (student.firstName && student.lastName ? `${student.firstName} ${student.lastName}` : student.name) : 'Unknown';
-                return {
-                    name: displayName,
-                    time: new Date(c.timestamp).toLocaleTimeString(),
-                    isExtra: c.isExtra || false
-                };
-            });
-            
-            return `
-                <div style="margin-bottom: 20px; padding: 15px; background: var(--card-bg); border-radius: 8px; box-shadow: var(--shadow);">
-                    <h3 style="margin-bottom: 10px; color: var(--text-primary);">
-                        ${this.escapeHtml(group.bus ? group.bus.name : 'Unknown Bus')} - ${group.route} Route
-                    </h3>
-                    <div style="font-size: 14px; color: var(--text-secondary); margin-bottom: 10px;">
-                        ${checkedInStudents.length} student(s) checked in
-                    </div>
-                    <div style="max-height: 300px; overflow-y: auto;">
-                        ${checkedInStudents.map(s => `
-                            <div style="padding: 8px; border-bottom: 1px solid var(--border-color); display: flex; justify-content: space-between; align-items: center; ${s.isExtra ? 'border-left: 4px solid #FF9800;' : ''}">
-                                <div style="display: flex; align-items: center; gap: 8px;">
-                                    <span>${this.escapeHtml(s.name)}</span>
-                                    ${s.isExtra ? '<span style="background: #FF9800; color: white; padding: 2px 8px; border-radius: 4px; font-size: 11px; font-weight: 600;">EXTRA</span>' : ''}
-                                </div>
-                                <span style="color: var(--text-secondary);">${s.time}</span>
-                            </div>
-                        `).join('')}
-                    </div>
-                </div>
-            `;
-        }).join('');
+        
+        exportButtons.style.display = 'block';
+        
+        container.innerHTML = Object.values(grouped).map(group => {
+            const checkedInStudents = group.checkins.map(c => {
+                const student = this.students.find(s => s.id === c.studentId);
+                const displayName = student ? (student.firstName && student.lastName ? `${student.firstName} ${student.lastName}` : student.name) : 'Unknown';
+                return {
+                    name: displayName,
+                    time: new Date(c.timestamp).toLocaleTimeString(),
+                    checkedOut: c.checkedOutAt ? `out ${new Date(c.checkedOutAt).toLocaleTimeString()}${this.getCheckoutStopLabel(c) ? ` @ ${this.getCheckoutStopLabel(c)}` : ''}` : '',
+                    isExtra: c.isExtra || false
+                };
+            });
+            
+            return `
+                <div style="margin-bottom: 20px; padding: 15px; background: var(--card-bg); border-radius: 8px; box-shadow: var(--shadow);">
+                    <h3 style="margin-bottom: 10px; color: var(--text-primary); display: flex; justify-content: space-between; align-items: center; gap: 10px;">
+                        <span>${this.escapeHtml(group.bus ? group.bus.name : 'Unknown Bus')} - ${group.route} Route</span>
+                        ${group.bus ? `<span style="display: flex; gap: 6px;">
+                            <button class="btn btn-secondary" onclick="app.printRouteSheet('${group.bus.id}', '${group.route}', { date: '${date}' })" style="padding: 4px 10px; font-size: 12px;" title="Print the route as it was on this date">🖨️ Route Sheet</button>
+                            <button class="btn btn-secondary" onclick="app.openGpsReplayModal('${group.bus.id}', '${group.route}', '${date}')" style="padding: 4px 10px; font-size: 12px;">🗺️ GPS Replay</button>
+                        </span>` : ''}
+                    </h3>
+                    <div style="font-size: 14px; color: var(--text-secondary); margin-bottom: 10px;">
+                        ${checkedInStudents.length} student(s) checked in${group.absences.length ? `, ${group.absences.length} absent` : ''}
+                    </div>
+                    <div style="max-height: 300px; overflow-y: auto;">
+                        ${checkedInStudents.map(s => `
+                            <div style="padding: 8px; border-bottom: 1px solid var(--border-color); display: flex; justify-content: space-between; align-items: center; ${s.isExtra ? 'border-left: 4px solid #FF9800;' : ''}">
+                                <div style="display: flex; align-items: center; gap: 8px;">
+                                    <span>${this.escapeHtml(s.name)}</span>
+                                    ${s.isExtra ? '<span style="background: #FF9800; color: white; padding: 2px 8px; border-radius: 4px; font-size: 11px; font-weight: 600;">EXTRA</span>' : ''}
+                                </div>
+                                <span style="color: var(--text-secondary);">${s.time}${s.checkedOut ? ` • ${this.escapeHtml(s.checkedOut)}` : ''}</span>
+                            </div>
+                        `).join('')}
+                        ${group.absences.map(a => `
+                            <div style="padding: 8px; border-bottom: 1px solid var(--border-color); display: flex; justify-content: space-between; align-items: center; border-left: 4px solid var(--danger-color);">
+                                <span>${this.escapeHtml(this.getStudentDisplayName(this.students.find(s => s.id === a.studentId)) || 'Unknown')}</span>
+                                <span class="absent-badge">ABSENT</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Open HTML in a new window and print it (the user saves it as PDF from the print dialog)
+    openPrintWindow(htmlContent) {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            alert('Could not open the print window. Please allow pop-ups for this site.');
+            return;
+        }
+        printWindow.document.write(htmlContent);
+        printWindow.document.close();
+        
+        // Wait for content to load, then trigger print
+        setTimeout(() => {
+            printWindow.print();
+        }, 250);
+    }
+
+    // --- Printable seating charts (drawn sideways, front of the bus on the left, to fit one landscape page) ---
+    buildSeatingChartSection(bus, route, assignments) {
+        const layout = this.getBusLayout(bus);
+        const blocked = new Set(layout.blockedSeats || []);
+        const byKey = {};
+        assignments.forEach(a => { byKey[this.getSeatKey(a.row, a.side, a.position)] = a; });
+        const flagged = this.getFlaggedAssignments(assignments, layout);
+        const seatedCount = assignments.length - flagged.length;
+        
+        const cell = (row, side, pos) => {
+            const key = this.getSeatKey(row, side, pos);
+            const label = this.getSeatLabel(layout, row, side, pos);
+            const assignment = byKey[key];
+            const student = assignment ? this.students.find(s => s.id === assignment.studentId) : null;
+            if (student) {
+                return `<td class="seat occupied${blocked.has(key) ? ' blocked' : ''}">
+                    <div class="name">${this.escapeHtml(this.getStudentDisplayName(student))}</div>
+                    ${student.grade ? `<div class="grade">Gr ${this.escapeHtml(student.grade)}</div>` : ''}
+                    <div class="label">${label}</div>
+                </td>`;
+            }
+            if (blocked.has(key)) return `<td class="seat blocked"><div class="label">${label}</div><div class="grade">Blocked</div></td>`;
+            return `<td class="seat empty"><div class="label">${label}</div></td>`;
+        };
+        
+        const rows = [];
+        for (let r = 1; r <= layout.rows; r++) rows.push(r);
+        
+        // One table row per seat position; each bus row is a column
+        const lines = [];
+        for (let pos = 0; pos < layout.leftSeats; pos++) {
+            lines.push({ cells: `<th class="front">${pos === 0 ? 'FRONT' : ''}</th>${rows.map(r => cell(r, 'left', pos)).join('')}` });
+        }
+        lines.push({ className: 'aisle', cells: `<th class="front"></th><td colspan="${layout.rows}">Aisle</td>` });
+        for (let pos = 0; pos < layout.rightSeats; pos++) {
+            lines.push({ cells: `<th class="front"></th>${rows.map(r => cell(r, 'right', pos)).join('')}` });
+        }
+        // The rear bench is the last column, alongside every line above (a bus may have no left seats)
+        if (layout.rearBenchSeats > 0) {
+            lines[0].cells += `<td class="rear" rowspan="${lines.length}"><table class="bench">${Array.from({ length: layout.rearBenchSeats }, (_, i) => `<tr>${cell(REAR_BENCH_ROW, 'rear', i)}</tr>`).join('')}</table></td>`;
+        }
+        
+        return `
+            <section class="chart">
+                <h1>${this.escapeHtml(bus.name)} – ${route} Route Seating Chart</h1>
+                <p class="meta">${this.describeBusLayout(layout)} · ${seatedCount} student(s) seated · Printed ${new Date().toLocaleDateString()}</p>
+                <table class="bus">${lines.map(line => `<tr${line.className ? ` class="${line.className}"` : ''}>${line.cells}</tr>`).join('')}</table>
+                ${flagged.length ? `<p class="flagged"><strong>Not in this layout:</strong> ${flagged.map(a => {
+                    const student = this.students.find(s => s.id === a.studentId);
+                    return this.escapeHtml(this.getStudentDisplayName(student) || 'Unknown');
+                }).join(', ')}</p>` : ''}
+                <div class="legend">
+                    <span><i class="swatch occupied"></i> Assigned</span>
+                    <span><i class="swatch empty"></i> Empty</span>
+                    <span><i class="swatch blocked"></i> Blocked</span>
+                    <span>Front of the bus is on the left. Seat labels read Row–Seat, counting left seats first.</span>
+                </div>
+            </section>
+        `;
+    }
+
+    buildSeatingChartDocument(title, sections) {
+        return `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>${this.escapeHtml(title)}</title>
+                <style>
+                    @page { size: landscape; margin: 0.4in; }
+                    body { font-family: Arial, sans-serif; margin: 0; color: #222; }
+                    .chart { page-break-after: always; break-after: page; }
+                    .chart:last-child { page-break-after: auto; break-after: auto; }
+                    h1 { font-size: 18px; margin: 0 0 4px 0; border-bottom: 2px solid #4169E1; padding-bottom: 4px; }
+                    .meta { font-size: 11px; color: #555; margin: 0 0 10px 0; }
+                    table.bus { width: 100%; border-collapse: separate; border-spacing: 3px; table-layout: fixed; }
+                    th.front { width: 36px; font-size: 9px; color: #4169E1; text-align: left; }
+                    td.seat { border: 1.5px solid #999; border-radius: 4px; height: 56px; padding: 2px; vertical-align: top; font-size: 9px; overflow: hidden; }
+                    td.seat.occupied { border-color: #4CAF50; background: #eef8ee; }
+                    td.seat.blocked { background: repeating-linear-gradient(45deg, #eee, #eee 4px, #ddd 4px, #ddd 8px); color: #777; }
+                    td.seat.occupied.blocked { border-color: #F44336; }
+                    td.rear { vertical-align: top; padding: 0; width: 70px; }
+                    table.bench { width: 100%; border-collapse: separate; border-spacing: 0 3px; }
+                    tr.aisle td { text-align: center; font-size: 9px; color: #999; letter-spacing: 4px; border-top: 1px dashed #ccc; border-bottom: 1px dashed #ccc; }
+                    .name { font-weight: bold; font-size: 10px; line-height: 1.15; }
+                    .grade { color: #555; }
+                    .label { color: #888; font-size: 8px; }
+                    .flagged { font-size: 11px; color: #F44336; margin: 8px 0 0 0; }
+                    .legend { margin-top: 10px; font-size: 10px; color: #555; display: flex; gap: 16px; flex-wrap: wrap; align-items: center; }
+                    .swatch { display: inline-block; width: 14px; height: 10px; border: 1.5px solid #999; border-radius: 2px; vertical-align: middle; }
+                    .swatch.occupied { border-color: #4CAF50; background: #eef8ee; }
+                    .swatch.blocked { background: #ddd; }
+                </style>
+            </head>
+            <body>
+                ${sections.join('')}
+            </body>
+            </html>
+        `;
+    }
+
+    async printSeatingChart(busId, route) {
+        const bus = this.busses.find(b => b.id === busId);
+        if (!bus) return;
+        const assignments = await this.getSeatAssignments(busId, route);
+        const section = this.buildSeatingChartSection(bus, route, assignments);
+        this.openPrintWindow(this.buildSeatingChartDocument(`${bus.name} – ${route} Seating Chart`, [section]));
+    }
+
+    // route is 'AM', 'PM' or 'both'; every bus gets its own page
+    async printAllSeatingCharts(route) {
+        if (this.busses.length === 0) {
+            alert('There are no busses to print.');
+            return;
+        }
+        const routes = route === 'both' ? ['AM', 'PM'] : [route];
+        const busses = this.busses.slice().sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        const sections = [];
+        for (const bus of busses) {
+            for (const r of routes) {
+                sections.push(this.buildSeatingChartSection(bus, r, await this.getSeatAssignments(bus.id, r)));
+            }
+        }
+        this.openPrintWindow(this.buildSeatingChartDocument('Seating Charts', sections));
+    }
+
+    // --- Printable driver route sheets ---
+    // The roadside column is free text; anything other than a blank or a "no" means the stop is a roadside pickup
+    isRoadsideStop(row) {
+        const value = String(row.roadside || '').trim().toLowerCase();
+        return value !== '' && !['no', 'n', '-', '—', 'none', 'n/a'].includes(value);
+    }
+
+    buildRouteSheetSection(bus, route, rows, version = null) {
+        const studentCount = new Set(rows.flatMap(row => this.getRouteRowStudentNames(row).split(', ').filter(Boolean))).size;
+        const roadsideCount = rows.filter(row => this.isRoadsideStop(row)).length;
+        const body = rows.map((row, index) => `
+            <tr class="${this.isRoadsideStop(row) ? 'roadside' : ''}">
+                <td class="order">${index + 1}</td>
+                <td class="time">${this.escapeHtml(this.formatTimeDisplay(row.time || ''))}</td>
+                <td>${this.escapeHtml(row.action || '')}</td>
+                <td>${this.escapeHtml(row.direction || '')}</td>
+                <td>${this.escapeHtml(row.streetAddress || '')}</td>
+                <td class="students">${this.escapeHtml(this.getRouteRowStudentNames(row))}</td>
+                <td>${this.isRoadsideStop(row) ? `<strong>${this.escapeHtml(row.roadside)}</strong>` : ''}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <section class="sheet">
+                <h1>${this.escapeHtml(bus.name)} – ${route} Route</h1>
+                <p class="meta">${version ? `${this.escapeHtml(version.name)} (${version.status === 'draft' ? 'draft' : `from ${new Date(version.effectiveFrom + 'T12:00:00').toLocaleDateString()}`}) · ` : ''}${rows.length} step(s) · ${studentCount} student(s) · ${roadsideCount} roadside pickup(s) · Printed ${new Date().toLocaleDateString()}</p>
+                <table>
+                    <thead>
+                        <tr><th>#</th><th>Time</th><th>Action</th><th>Direction</th><th>Street Address</th><th>Students</th><th>Roadside</th></tr>
+                    </thead>
+                    <tbody>${body}</tbody>
+                </table>
+                <p class="legend"><span class="swatch"></span> Highlighted rows are roadside pickups – the student waits at the side of the road shown.</p>
+            </section>
+        `;
+    }
+
+    buildRouteSheetDocument(title, sections) {
+        return `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>${this.escapeHtml(title)}</title>
+                <style>
+                    @page { margin: 0.5in; }
+                    body { font-family: Arial, sans-serif; margin: 0; color: #222; }
+                    .sheet { page-break-after: always; break-after: page; }
+                    .sheet:last-child { page-break-after: auto; break-after: auto; }
+                    h1 { font-size: 20px; margin: 0 0 4px 0; border-bottom: 2px solid #4169E1; padding-bottom: 4px; }
+                    .meta { font-size: 12px; color: #555; margin: 0 0 10px 0; }
+                    table { width: 100%; border-collapse: collapse; font-size: 12px; }
+                    th { background-color: #4169E1; color: white; padding: 6px; text-align: left; }
+                    td { padding: 6px; border-bottom: 1px solid #ddd; vertical-align: top; }
+                    tr { page-break-inside: avoid; break-inside: avoid; }
+                    td.order { width: 24px; color: #777; }
+                    td.time { white-space: nowrap; font-weight: bold; }
+                    td.students { font-weight: bold; }
+                    tr.roadside td { background-color: #FFF3CD; }
+                    .legend { font-size: 11px; color: #555; margin-top: 10px; }
+                    .swatch { display: inline-block; width: 14px; height: 10px; background: #FFF3CD; border: 1px solid #E0C36A; vertical-align: middle; }
+                </style>
+            </head>
+            <body>
+                ${sections.join('')}
+            </body>
+            </html>
+        `;
+    }
+
+    // Prints a specific version (versionId null = the original route), or else the version in effect on date (default today)
+    async printRouteSheet(busId, route, { versionId, date } = {}) {
+        const bus = this.busses.find(b => b.id === busId);
+        if (!bus) return;
+        const version = versionId !== undefined
+            ? (versionId && this.routeVersions.find(v => v.id === versionId)) || null
+            : this.resolveRouteVersion(busId, route, date || new Date().toISOString().split('T')[0]);
+        const rows = await this.getRouteVersionRows(busId, route, version ? version.id : null);
+        if (rows.length === 0) {
+            alert('This route has no stops yet.');
+            return;
+        }
+        this.openPrintWindow(this.buildRouteSheetDocument(`${bus.name} – ${route} Route`, [this.buildRouteSheetSection(bus, route, rows, version)]));
+    }
+
+    // Every bus's AM and PM route, one route per page; routes with no stops are left out
+    async printRouteSheetPacket() {
+        const busses = this.busses.slice().sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        const sections = [];
+        for (const bus of busses) {
+            for (const route of ['AM', 'PM']) {
+                const rows = await this.getRouteRows(bus.id, route);
+                if (rows.length > 0) sections.push(this.buildRouteSheetSection(bus, route, rows, this.resolveRouteVersion(bus.id, route, new Date().toISOString().split('T')[0])));
+            }
+        }
+        if (sections.length === 0) {
+            alert('No routes have been entered yet.');
+            return;
+        }
+        this.openPrintWindow(this.buildRouteSheetDocument('Route Sheets', sections));
     }
 
     exportCheckinToPDF() {
@@ -2888,13 +8475,17 @@ class BusStudentTracker {
                 const student = this.students.find(s => s.id === c.studentId);
                 const displayName = student ? (student.firstName && student.lastName ? `${student.firstName} ${student.lastName}` : student.name) : 'Unknown';
                 const time = new Date(c.timestamp).toLocaleTimeString();
-                return { name: displayName, time: time, isExtra: c.isExtra || false };
+                const checkedOut = c.checkedOutAt ? `${new Date(c.checkedOutAt).toLocaleTimeString()}${this.getCheckoutStopLabel(c) ? ` – ${this.getCheckoutStopLabel(c)}` : ''}` : '';
+                return { name: displayName, time: time, checkedOut, isExtra: c.isExtra || false };
             });
             
+            const absentStudents = (group.absences || []).map(a => this.getStudentDisplayName(this.students.find(s => s.id === a.studentId)) || 'Unknown');
+            
             htmlContent += `
                 <h2>${this.escapeHtml(busName)} - ${group.route} Route</h2>
                 <div class="summary">
                     <strong>Total Students Checked In:</strong> ${checkedInStudents.length}
+                    ${absentStudents.length ? `<br><strong>Absent:</strong> ${absentStudents.length}` : ''}
                 </div>
                 <table>
                     <thead>
@@ -2902,6 +8493,7 @@ class BusStudentTracker {
                             <th>#</th>
                             <th>Student Name</th>
                             <th>Check-In Time</th>
+                            <th>Dropped Off</th>
                             <th>Status</th>
                         </tr>
                     </thead>
@@ -2914,10 +8506,22 @@ class BusStudentTracker {
                         <td>${index + 1}</td>
                         <td>${this.escapeHtml(s.name)}</td>
                         <td>${s.time}</td>
+                        <td>${this.escapeHtml(s.checkedOut || '-')}</td>
                         <td>${s.isExtra ? '<strong style="color: #FF9800;">EXTRA</strong>' : '-'}</td>
                     </tr>
                 `;
             });
+            absentStudents.forEach(name => {
+                htmlContent += `
+                    <tr>
+                        <td></td>
+                        <td>${this.escapeHtml(name)}</td>
+                        <td>-</td>
+                        <td>-</td>
+                        <td><strong style="color: #F44336;">ABSENT</strong></td>
+                    </tr>
+                `;
+            });
             
             htmlContent += `
                     </tbody>
@@ -2930,15 +8534,7 @@ class BusStudentTracker {
             </html>
         `;
         
-        // Open in new window and print
-        const printWindow = window.open('', '_blank');
-        printWindow.document.write(htmlContent);
-        printWindow.document.close();
-        
-        // Wait for content to load, then trigger print
-        setTimeout(() => {
-            printWindow.print();
-        }, 250);
+        this.openPrintWindow(htmlContent);
     }
 
     exportCheckinToExcel() {
@@ -2948,43 +8544,837 @@ class BusStudentTracker {
         }
 
         const { date, grouped } = this.currentHistoryData;
-        const dateStr = new Date(date).toLocaleDateString();
+        const groups = Object.values(grouped).map(group => ({
+            busName: group.bus ? group.bus.name : 'Unknown Bus',
+            route: group.route,
+            checkins: group.checkins.slice().sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || '')),
+            absences: group.absences || []
+        })).sort((a, b) => a.busName.localeCompare(b.busName, undefined, { numeric: true }) || a.route.localeCompare(b.route));
         
-        // Create CSV content (Excel can open CSV)
-        let csvContent = `Check-In Report - ${dateStr}\n\n`;
-        
-        Object.values(grouped).forEach(group => {
-            const busName = group.bus ? group.bus.name : 'Unknown Bus';
-            csvContent += `${busName} - ${group.route} Route\n`;
-            csvContent += `Student Name,Check-In Time,Status\n`;
-            
-            const checkedInStudents = group.checkins.map(c => {
+        const summary = {
+            name: 'Summary',
+            columns: [{ header: 'Bus', width: 20 }, { header: 'Route', width: 8 }, { header: 'Checked In', width: 12 }, { header: 'Extras', width: 10 }, { header: 'Absent', width: 10 }],
+            rows: groups.map(g => [g.busName, g.route, g.checkins.length, g.checkins.filter(c => c.isExtra).length, g.absences.length]),
+            totals: ['Total', '', groups.reduce((n, g) => n + g.checkins.length, 0), groups.reduce((n, g) => n + g.checkins.filter(c => c.isExtra).length, 0), groups.reduce((n, g) => n + g.absences.length, 0)]
+        };
+        const sheets = groups.map(g => ({
+            name: `${g.busName} ${g.route}`,
+            columns: [{ header: '#', width: 5 }, { header: 'Student Name', width: 28 }, { header: 'Grade', width: 8 }, { header: 'Check-In Time', width: 14 }, { header: 'Check-Out Time', width: 14 }, { header: 'Drop-off Stop', width: 28 }, { header: 'Status', width: 10 }],
+            rows: g.checkins.map((c, index) => {
                 const student = this.students.find(s => s.id === c.studentId);
-                const displayName = student ? (student.firstName && student.lastName ? `${student.firstName} ${student.lastName}` : student.name) : 'Unknown';
-                const time = new Date(c.timestamp).toLocaleTimeString();
-                return { name: displayName, time: time, isExtra: c.isExtra || false };
+                return [index + 1, this.getStudentDisplayName(student) || 'Unknown', student ? student.grade || '' : '', { value: new Date(c.timestamp), style: 'time' }, c.checkedOutAt ? { value: new Date(c.checkedOutAt), style: 'time' } : '', this.getCheckoutStopLabel(c), c.isExtra ? 'EXTRA' : ''];
+            }).concat(g.absences.map(a => {
+                const student = this.students.find(s => s.id === a.studentId);
+                return ['', this.getStudentDisplayName(student) || 'Unknown', student ? student.grade || '' : '', '', '', '', 'ABSENT'];
+            })),
+            totals: ['Total', g.checkins.length]
+        }));
+        
+        this.downloadBlob(this.buildXlsxWorkbook([summary, ...sheets]), `CheckIn_Report_${date.replace(/-/g, '_')}.xlsx`);
+    }
+
+    // --- Ridership & attendance reports over a date range ---
+    async getCheckinsInRange(startDate, endDate) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['checkins'], 'readonly');
+            const index = transaction.objectStore('checkins').index('date');
+            const request = index.getAll(IDBKeyRange.bound(startDate, endDate));
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    openReportsModal() {
+        if (!this.requirePermission('reports')) return;
+        this.closeCheckinHistoryModal();
+        this.closeSettingsModal();
+        const today = new Date();
+        const toInput = (d) => d.toISOString().split('T')[0];
+        document.getElementById('reportStartDateInput').value = toInput(new Date(today.getFullYear(), today.getMonth(), 1, 12));
+        document.getElementById('reportEndDateInput').value = toInput(today);
+        const busSelect = document.getElementById('reportBusSelect');
+        busSelect.innerHTML = '<option value="">All Busses</option>' +
+            this.busses.map(bus => `<option value="${bus.id}">${this.escapeHtml(bus.name)}</option>`).join('');
+        document.getElementById('reportResults').innerHTML = '';
+        document.getElementById('reportExportButtons').style.display = 'none';
+        this.currentReportData = null;
+        document.getElementById('reportsModal').style.display = 'block';
+    }
+
+    closeReportsModal() {
+        document.getElementById('reportsModal').style.display = 'none';
+    }
+
+    // Attendance compares riders against the bus's current seat assignments, so it reflects today's seating chart
+    async buildRidershipReport(startDate, endDate, busId, route) {
+        let checkins = await this.getCheckinsInRange(startDate, endDate);
+        if (busId) checkins = checkins.filter(c => c.busId === busId);
+        if (route) checkins = checkins.filter(c => c.route === route);
+        
+        // One ride per student per bus, route and day, even if they were checked in twice
+        const rides = new Map();
+        checkins.forEach(c => {
+            const key = `${c.busId}|${c.route}|${c.date}|${c.studentId}`;
+            if (!rides.has(key)) rides.set(key, c);
+        });
+        
+        const days = {};
+        const groups = {};
+        const students = {};
+        const studentEntry = (studentId) => {
+            if (!students[studentId]) students[studentId] = { studentId, am: 0, pm: 0, extras: 0, absences: 0, busIds: new Set() };
+            return students[studentId];
+        };
+        for (const c of rides.values()) {
+            const groupKey = `${c.busId}|${c.route}`;
+            const dayKey = `${c.date}|${groupKey}`;
+            if (!days[dayKey]) days[dayKey] = { date: c.date, busId: c.busId, route: c.route, riders: 0, extras: 0, studentIds: new Set() };
+            days[dayKey].riders++;
+            if (c.isExtra) days[dayKey].extras++;
+            days[dayKey].studentIds.add(c.studentId);
+            if (!groups[groupKey]) groups[groupKey] = { busId: c.busId, route: c.route, dates: new Set(), rides: 0, extras: 0, absences: 0 };
+            groups[groupKey].dates.add(c.date);
+            groups[groupKey].rides++;
+            if (c.isExtra) groups[groupKey].extras++;
+            const entry = studentEntry(c.studentId);
+            entry[c.route === 'PM' ? 'pm' : 'am']++;
+            if (c.isExtra) entry.extras++;
+            entry.busIds.add(c.busId);
+        }
+        
+        this.absences.forEach(a => {
+            if (a.date < startDate || a.date > endDate || (busId && a.busId !== busId) || (route && a.route !== route)) return;
+            const groupKey = `${a.busId}|${a.route}`;
+            if (!groups[groupKey]) groups[groupKey] = { busId: a.busId, route: a.route, dates: new Set(), rides: 0, extras: 0, absences: 0 };
+            groups[groupKey].absences++;
+            const entry = studentEntry(a.studentId);
+            entry.absences++;
+            entry.busIds.add(a.busId);
+        });
+        
+        const busName = (id) => {
+            const bus = this.busses.find(b => b.id === id);
+            return bus ? bus.name : 'Unknown Bus';
+        };
+        const summary = [];
+        for (const group of Object.values(groups)) {
+            const assigned = new Set((await this.getSeatAssignments(group.busId, group.route)).map(a => a.studentId));
+            let assignedRides = 0;
+            Object.values(days).forEach(day => {
+                if (day.busId !== group.busId || day.route !== group.route) return;
+                day.studentIds.forEach(id => { if (assigned.has(id)) assignedRides++; });
+            });
+            const possible = assigned.size * group.dates.size;
+            summary.push({
+                busId: group.busId,
+                busName: busName(group.busId),
+                route: group.route,
+                daysRun: group.dates.size,
+                rides: group.rides,
+                assigned: assigned.size,
+                attendance: possible > 0 ? assignedRides / possible : null,
+                extras: group.extras,
+                absences: group.absences
             });
+        }
+        summary.sort((a, b) => a.busName.localeCompare(b.busName, undefined, { numeric: true }) || a.route.localeCompare(b.route));
+        
+        const daily = Object.values(days)
+            .map(d => ({ date: d.date, busId: d.busId, busName: busName(d.busId), route: d.route, riders: d.riders, extras: d.extras }))
+            .sort((a, b) => a.date.localeCompare(b.date) || a.busName.localeCompare(b.busName, undefined, { numeric: true }) || a.route.localeCompare(b.route));
+        
+        const studentRows = Object.values(students).map(s => {
+            const student = this.students.find(st => st.id === s.studentId);
+            return {
+                studentId: s.studentId,
+                name: this.getStudentDisplayName(student) || 'Unknown',
+                grade: student ? student.grade || '' : '',
+                busNames: [...s.busIds].map(busName).join(', '),
+                am: s.am,
+                pm: s.pm,
+                total: s.am + s.pm,
+                extras: s.extras,
+                absences: s.absences
+            };
+        }).sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+        
+        const totalAbsences = summary.reduce((n, g) => n + g.absences, 0);
+        return { startDate, endDate, summary, daily, students: studentRows, totalRides: rides.size, totalAbsences };
+    }
+
+    formatAttendance(value) {
+        return value === null ? '—' : `${Math.round(value * 100)}%`;
+    }
+
+    async loadReport() {
+        const startDate = document.getElementById('reportStartDateInput').value;
+        const endDate = document.getElementById('reportEndDateInput').value;
+        const busId = document.getElementById('reportBusSelect').value;
+        const route = document.getElementById('reportRouteSelect').value;
+        if (!startDate || !endDate) {
+            alert('Please select a start and end date');
+            return;
+        }
+        if (startDate > endDate) {
+            alert('The start date must be on or before the end date');
+            return;
+        }
+        
+        if (document.getElementById('reportTypeSelect').value === 'adherence') {
+            await this.loadScheduleAdherenceReport(startDate, endDate, busId, route);
+            return;
+        }
+        const report = await this.buildRidershipReport(startDate, endDate, busId, route);
+        this.currentReportData = report;
+        const container = document.getElementById('reportResults');
+        const exportButtons = document.getElementById('reportExportButtons');
+        if (report.totalRides === 0 && report.totalAbsences === 0) {
+            container.innerHTML = '<p style="text-align: center; color: var(--text-secondary); padding: 40px;">No check-ins found for this date range.</p>';
+            exportButtons.style.display = 'none';
+            return;
+        }
+        exportButtons.style.display = 'block';
+        
+        container.innerHTML = `
+            <h3 class="report-heading">Summary by bus and route</h3>
+            <div class="report-table-wrapper">
+                <table class="report-table">
+                    <thead><tr><th>Bus</th><th>Route</th><th>Days</th><th>Rides</th><th>Assigned</th><th>Attendance</th><th>Extra riders</th><th>Absences</th></tr></thead>
+                    <tbody>
+                        ${report.summary.map(g => `
+                            <tr>
+                                <td>${this.escapeHtml(g.busName)}</td>
+                                <td>${g.route}</td>
+                                <td>${g.daysRun}</td>
+                                <td>${g.rides}</td>
+                                <td>${g.assigned}</td>
+                                <td>${this.formatAttendance(g.attendance)}</td>
+                                <td>${g.extras}</td>
+                                <td>${g.absences}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <p class="report-note">Attendance is the share of each bus's currently assigned students who rode on the days the route ran. Absences are counted from finalized runs.</p>
+            
+            <h3 class="report-heading">Daily riders</h3>
+            <div class="report-table-wrapper">
+                <table class="report-table">
+                    <thead><tr><th>Date</th><th>Bus</th><th>Route</th><th>Riders</th><th>Extras</th></tr></thead>
+                    <tbody>
+                        ${report.daily.map(d => `
+                            <tr>
+                                <td>${new Date(d.date + 'T12:00:00').toLocaleDateString()}</td>
+                                <td>${this.escapeHtml(d.busName)}</td>
+                                <td>${d.route}</td>
+                                <td>${d.riders}</td>
+                                <td>${d.extras || ''}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
             
-            checkedInStudents.forEach(s => {
-                // Escape commas and quotes in CSV
-                const name = s.name.replace(/"/g, '""');
-                const status = s.isExtra ? 'EXTRA' : '';
-                csvContent += `"${name}","${s.time}","${status}"\n`;
+            <h3 class="report-heading">Rides per student</h3>
+            <div class="report-table-wrapper">
+                <table class="report-table">
+                    <thead><tr><th>Student</th><th>Grade</th><th>Bus</th><th>AM</th><th>PM</th><th>Total</th><th>As extra</th><th>Absences</th></tr></thead>
+                    <tbody>
+                        ${report.students.map(s => `
+                            <tr>
+                                <td>${this.escapeHtml(s.name)}</td>
+                                <td>${this.escapeHtml(s.grade)}</td>
+                                <td>${this.escapeHtml(s.busNames)}</td>
+                                <td>${s.am}</td>
+                                <td>${s.pm}</td>
+                                <td><strong>${s.total}</strong></td>
+                                <td>${s.extras || ''}</td>
+                                <td>${s.absences || ''}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // Actual time at a stop for each day: the arrival marked in run mode, otherwise the first check-in
+    // (or drop-off) recorded there. AM check-ins made before stops were tracked fall back to the student's stop.
+    // Each day is measured against the route version in effect that day, one group per version.
+    async buildScheduleAdherenceReport(startDate, endDate, busId, route) {
+        const checkins = await this.getCheckinsInRange(startDate, endDate);
+        const busses = (busId ? this.busses.filter(b => b.id === busId) : this.busses.slice())
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        const routes = route ? [route] : ['AM', 'PM'];
+        const { toleranceMinutes, minDays, share } = SCHEDULE_ADHERENCE_FLAG;
+        const groups = [];
+        for (const bus of busses) {
+            for (const r of routes) {
+                const busCheckins = checkins.filter(c => c.busId === bus.id && c.route === r);
+                const busRuns = this.runs.filter(run => run.busId === bus.id && run.route === r && run.date >= startDate && run.date <= endDate);
+                // Group the days by the route version in effect on each
+                const versions = new Map();
+                [...new Set(busCheckins.map(c => c.date).concat(busRuns.map(run => run.date)))].sort().forEach(date => {
+                    const version = this.resolveRouteVersion(bus.id, r, date);
+                    const key = version ? version.id : '';
+                    if (!versions.has(key)) versions.set(key, { version, dates: new Set() });
+                    versions.get(key).dates.add(date);
+                });
+                const hasVersions = this.getRouteVersions(bus.id, r).length > 0;
+                for (const { version, dates } of versions.values()) {
+                    const rows = await this.getRouteVersionRows(bus.id, r, version ? version.id : null);
+                    if (rows.length === 0) continue;
+                    const observed = new Map(rows.map(row => [row.id, {}]));
+                    const see = (rowId, date, isoString) => {
+                        const days = observed.get(rowId);
+                        if (!days || !isoString) return;
+                        const minutes = this.getMinutesOfDay(isoString);
+                        if (days[date] === undefined || minutes < days[date]) days[date] = minutes;
+                    };
+                    busCheckins.filter(c => dates.has(c.date)).forEach(c => {
+                        let stopId = c.stopId;
+                        if (!stopId && r === 'AM') {
+                            const stop = this.findStopForStudent(rows, this.students.find(st => st.id === c.studentId));
+                            stopId = stop ? stop.id : null;
+                        }
+                        if (stopId) see(stopId, c.date, c.timestamp);
+                        if (c.checkedOutAt && c.checkoutStopId) see(c.checkoutStopId, c.date, c.checkedOutAt);
+                    });
+                    busRuns.filter(run => dates.has(run.date)).forEach(run => {
+                        Object.entries(run.stopArrivals || {}).forEach(([rowId, isoString]) => {
+                            const days = observed.get(rowId);
+                            if (days) days[run.date] = this.getMinutesOfDay(isoString);
+                        });
+                    });
+                    
+                    const stops = rows.map((row, index) => {
+                        const times = Object.values(observed.get(row.id));
+                        const scheduled = this.parseScheduledTime(row.time, r);
+                        const diffs = scheduled === null ? [] : times.map(t => t - scheduled);
+                        const average = (values) => values.length ? Math.round(values.reduce((n, v) => n + v, 0) / values.length) : null;
+                        let flag = null;
+                        if (diffs.length >= minDays) {
+                            if (diffs.filter(d => d > toleranceMinutes).length / diffs.length >= share) flag = 'late';
+                            else if (diffs.filter(d => d < -toleranceMinutes).length / diffs.length >= share) flag = 'early';
+                        }
+                        return {
+                            order: index + 1,
+                            stop: row.streetAddress || row.action || 'Stop',
+                            students: this.getRouteRowStudentNames(row),
+                            scheduled,
+                            days: times.length,
+                            average: average(times),
+                            earliest: times.length ? Math.min(...times) : null,
+                            latest: times.length ? Math.max(...times) : null,
+                            averageDifference: average(diffs),
+                            flag
+                        };
+                    });
+                    if (stops.some(stop => stop.days > 0)) {
+                        const versionName = version ? version.name : hasVersions ? 'Original route' : null;
+                        groups.push({ busId: bus.id, busName: bus.name, route: r, versionName, stops });
+                    }
+                }
+            }
+        }
+        return { type: 'adherence', startDate, endDate, groups };
+    }
+
+    formatMinutesOfDay(minutes) {
+        if (minutes === null || minutes === undefined) return '—';
+        return new Date(2000, 0, 1, Math.floor(minutes / 60), minutes % 60).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    }
+
+    async loadScheduleAdherenceReport(startDate, endDate, busId, route) {
+        const report = await this.buildScheduleAdherenceReport(startDate, endDate, busId, route);
+        this.currentReportData = report;
+        const container = document.getElementById('reportResults');
+        const exportButtons = document.getElementById('reportExportButtons');
+        if (report.groups.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: var(--text-secondary); padding: 40px;">No stop times were recorded for this date range.</p>';
+            exportButtons.style.display = 'none';
+            return;
+        }
+        exportButtons.style.display = 'block';
+        
+        const flagLabel = { late: '⚠️ Consistently late', early: '⚠️ Consistently early' };
+        container.innerHTML = report.groups.map(group => `
+            <h3 class="report-heading">${this.escapeHtml(group.busName)} – ${group.route} Route${group.versionName ? ` (${this.escapeHtml(group.versionName)})` : ''}</h3>
+            <div class="report-table-wrapper">
+                <table class="report-table">
+                    <thead><tr><th>#</th><th>Stop</th><th>Students</th><th>Scheduled</th><th>Days</th><th>Average</th><th>Earliest</th><th>Latest</th><th>Avg. difference</th></tr></thead>
+                    <tbody>
+                        ${group.stops.map(stop => `
+                            <tr class="${stop.flag ? `report-row-${stop.flag}` : ''}">
+                                <td>${stop.order}</td>
+                                <td>${this.escapeHtml(stop.stop)}</td>
+                                <td>${this.escapeHtml(stop.students)}</td>
+                                <td>${this.formatMinutesOfDay(stop.scheduled)}</td>
+                                <td>${stop.days}</td>
+                                <td>${this.formatMinutesOfDay(stop.average)}</td>
+                                <td>${this.formatMinutesOfDay(stop.earliest)}</td>
+                                <td>${this.formatMinutesOfDay(stop.latest)}</td>
+                                <td>${stop.averageDifference === null ? '—' : this.formatScheduleDifference(stop.averageDifference)}${stop.flag ? ` <strong>${flagLabel[stop.flag]}</strong>` : ''}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `).join('') + `
+            <p class="report-note">Actual times come from arrivals marked in run mode, or else the first check-in or drop-off at the stop that day. A stop is flagged when, over at least ${SCHEDULE_ADHERENCE_FLAG.minDays} observed days, it was more than ${SCHEDULE_ADHERENCE_FLAG.toleranceMinutes} minutes off schedule in the same direction on ${Math.round(SCHEDULE_ADHERENCE_FLAG.share * 100)}% or more of them.</p>
+        `;
+    }
+
+    formatReportRange(report) {
+        const format = (d) => new Date(d + 'T12:00:00').toLocaleDateString();
+        return `${format(report.startDate)} – ${format(report.endDate)}`;
+    }
+
+    exportReportToExcel() {
+        const report = this.currentReportData;
+        if (!report) {
+            alert('Please run a report first');
+            return;
+        }
+        const fileRange = `${report.startDate.replace(/-/g, '_')}_to_${report.endDate.replace(/-/g, '_')}`;
+        if (report.type === 'adherence') {
+            const time = (minutes) => minutes === null ? '' : { value: minutes / 1440, style: 'time' };
+            this.downloadBlob(this.buildXlsxWorkbook(report.groups.map(group => ({
+                name: `${group.busName} ${group.route}${group.versionName ? ` ${group.versionName}` : ''}`,
+                columns: [{ header: '#', width: 5 }, { header: 'Stop', width: 28 }, { header: 'Students', width: 28 }, { header: 'Scheduled', width: 11 }, { header: 'Days', width: 7 }, { header: 'Average', width: 11 }, { header: 'Earliest', width: 11 }, { header: 'Latest', width: 11 }, { header: 'Avg. difference (min)', width: 20 }, { header: 'Flag', width: 20 }],
+                rows: group.stops.map(stop => [stop.order, stop.stop, stop.students, time(stop.scheduled), stop.days, time(stop.average), time(stop.earliest), time(stop.latest), stop.averageDifference === null ? '' : stop.averageDifference, stop.flag ? `Consistently ${stop.flag}` : ''])
+            }))), `Schedule_Adherence_${fileRange}.xlsx`);
+            return;
+        }
+        const day = (d) => new Date(d + 'T00:00:00');
+        const sheets = [
+            {
+                name: 'Summary',
+                columns: [{ header: 'Bus', width: 20 }, { header: 'Route', width: 8 }, { header: 'Days', width: 8 }, { header: 'Rides', width: 8 }, { header: 'Assigned', width: 10 }, { header: 'Attendance', width: 12 }, { header: 'Extra riders', width: 12 }, { header: 'Absences', width: 10 }],
+                rows: report.summary.map(g => [g.busName, g.route, g.daysRun, g.rides, g.assigned, g.attendance === null ? '' : { value: g.attendance, style: 'percent' }, g.extras, g.absences]),
+                totals: ['Total', '', '', report.totalRides, '', '', report.summary.reduce((n, g) => n + g.extras, 0), report.totalAbsences]
+            },
+            {
+                name: 'Daily Riders',
+                columns: [{ header: 'Date', width: 12 }, { header: 'Bus', width: 20 }, { header: 'Route', width: 8 }, { header: 'Riders', width: 8 }, { header: 'Extras', width: 8 }],
+                rows: report.daily.map(d => [{ value: day(d.date), style: 'date' }, d.busName, d.route, d.riders, d.extras]),
+                totals: ['Total', '', '', report.totalRides, report.daily.reduce((n, d) => n + d.extras, 0)]
+            },
+            {
+                name: 'Rides per Student',
+                columns: [{ header: 'Student', width: 28 }, { header: 'Grade', width: 8 }, { header: 'Bus', width: 20 }, { header: 'AM', width: 6 }, { header: 'PM', width: 6 }, { header: 'Total', width: 8 }, { header: 'As extra', width: 10 }, { header: 'Absences', width: 10 }],
+                rows: report.students.map(s => [s.name, s.grade, s.busNames, s.am, s.pm, s.total, s.extras, s.absences])
+            }
+        ];
+        this.downloadBlob(this.buildXlsxWorkbook(sheets), `Ridership_Report_${fileRange}.xlsx`);
+    }
+
+    // Columns use the roster import labels so an exported roster can be re-imported as-is
+    exportRosterToExcel() {
+        if (this.students.length === 0) {
+            alert('There are no students to export.');
+            return;
+        }
+        const fields = ROSTER_IMPORT_FIELDS.filter(f => f.key !== 'fullName');
+        const students = this.students.slice().sort((a, b) => this.compareStudentsByName(a, b));
+        this.downloadBlob(this.buildXlsxWorkbook([{
+            name: 'Students',
+            columns: fields.map(f => ({ header: f.label, width: ['address', 'dropoffAddress', 'otherInfo'].includes(f.key) ? 32 : 16 })),
+            rows: students.map(student => fields.map(f => {
+                if (f.key === 'firstName' && !student.firstName && !student.lastName) return student.name || '';
+                return student[f.key] || '';
+            }))
+        }]), `Student_Roster_${new Date().toISOString().slice(0, 10).replace(/-/g, '_')}.xlsx`);
+    }
+
+    // One sheet per bus and route, listed front to back; route is 'AM', 'PM' or 'both'
+    async exportSeatingToExcel(route) {
+        if (this.busses.length === 0) {
+            alert('There are no busses to export.');
+            return;
+        }
+        const routes = route === 'both' ? ['AM', 'PM'] : [route];
+        const busses = this.busses.slice().sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        const sheets = [];
+        for (const bus of busses) {
+            const layout = this.getBusLayout(bus);
+            for (const r of routes) {
+                const assignments = await this.getSeatAssignments(bus.id, r);
+                const byKey = {};
+                assignments.forEach(a => { byKey[this.getSeatKey(a.row, a.side, a.position)] = a; });
+                const rows = this.getLayoutSeats(layout).map(seat => {
+                    const assignment = byKey[seat.key];
+                    const student = assignment ? this.students.find(s => s.id === assignment.studentId) : null;
+                    return [seat.label, student ? this.getStudentDisplayName(student) : (seat.blocked ? 'Blocked' : ''), student ? student.grade || '' : '', student ? student.studentNumber || '' : ''];
+                });
+                sheets.push({
+                    name: `${bus.name} ${r}`,
+                    columns: [{ header: 'Seat', width: 12 }, { header: 'Student', width: 28 }, { header: 'Grade', width: 8 }, { header: 'Student ID', width: 14 }],
+                    rows,
+                    totals: ['Seated', assignments.length, '', '']
+                });
+            }
+        }
+        this.downloadBlob(this.buildXlsxWorkbook(sheets), `Seating_Charts_${new Date().toISOString().slice(0, 10).replace(/-/g, '_')}.xlsx`);
+    }
+
+    exportReportToPDF() {
+        if (!this.currentReportData) {
+            alert('Please run a report first');
+            return;
+        }
+        const range = this.formatReportRange(this.currentReportData);
+        const title = this.currentReportData.type === 'adherence' ? 'Schedule Adherence Report' : 'Ridership Report';
+        const results = document.getElementById('reportResults').innerHTML;
+        this.openPrintWindow(`
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>${title} - ${range}</title>
+                <style>
+                    body { font-family: Arial, sans-serif; padding: 20px; }
+                    h1 { color: #333; border-bottom: 2px solid #4169E1; padding-bottom: 10px; }
+                    h3 { color: #555; margin-top: 24px; }
+                    table { width: 100%; border-collapse: collapse; margin-top: 10px; font-size: 12px; }
+                    th { background-color: #4169E1; color: white; padding: 8px; text-align: left; }
+                    td { padding: 6px 8px; border-bottom: 1px solid #ddd; }
+                    tr:nth-child(even) { background-color: #f2f2f2; }
+                    tr { page-break-inside: avoid; break-inside: avoid; }
+                    .report-note { font-size: 11px; color: #666; }
+                    tr.report-row-late td { background-color: #fde2e2; }
+                    tr.report-row-early td { background-color: #fff4d6; }
+                </style>
+            </head>
+            <body>
+                <h1>${title}</h1>
+                <p><strong>Dates:</strong> ${range}</p>
+                ${results}
+            </body>
+            </html>
+        `);
+    }
+
+    // --- Spreadsheet reading (CSV/TSV text and .xlsx workbooks, no external libraries) ---
+    // Returns [{ line, cells }] where line is the 1-based line/row number in the source file
+    async readSpreadsheetFile(file) {
+        if (/\.xlsx$/i.test(file.name)) {
+            return this.readXlsxRows(await file.arrayBuffer());
+        }
+        return this.parseDelimitedText(await file.text());
+    }
+
+    // RFC 4180 style parser; the delimiter (comma, tab or semicolon) is picked from the header line
+    parseDelimitedText(text) {
+        const source = text.replace(/^\uFEFF/, '');
+        const firstLine = source.split(/\r?\n/, 1)[0] || '';
+        const delimiter = [',', '\t', ';'].reduce((best, d) => firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+        const lines = [];
+        let cells = [];
+        let cell = '';
+        let inQuotes = false;
+        let line = 1;
+        let lineStart = 1;
+        for (let i = 0; i < source.length; i++) {
+            const ch = source[i];
+            if (inQuotes) {
+                if (ch === '"') {
+                    if (source[i + 1] === '"') { cell += '"'; i++; }
+                    else inQuotes = false;
+                } else {
+                    if (ch === '\n') line++;
+                    cell += ch;
+                }
+            } else if (ch === '"' && cell === '') {
+                inQuotes = true;
+            } else if (ch === delimiter) {
+                cells.push(cell);
+                cell = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && source[i + 1] === '\n') i++;
+                cells.push(cell);
+                lines.push({ line: lineStart, cells });
+                cells = [];
+                cell = '';
+                line++;
+                lineStart = line;
+            } else {
+                cell += ch;
+            }
+        }
+        if (cell !== '' || cells.length > 0) {
+            cells.push(cell);
+            lines.push({ line: lineStart, cells });
+        }
+        return lines.filter(l => l.cells.some(c => c.trim() !== ''));
+    }
+
+    // Read the entries of a zip archive (as used by .xlsx) into a map of name -> Uint8Array
+    async unzipEntries(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+        let eocd = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+        }
+        if (eocd === -1) throw new Error('Not a valid .xlsx file');
+        const entryCount = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+        const decoder = new TextDecoder();
+        const entries = new Map();
+        for (let n = 0; n < entryCount; n++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Corrupt .xlsx file');
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const data = bytes.subarray(dataStart, dataStart + compressedSize);
+            if (method === 0) {
+                entries.set(name, data);
+            } else if (method === 8) {
+                const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                entries.set(name, new Uint8Array(await new Response(stream).arrayBuffer()));
+            }
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    }
+
+    // Rows of the first worksheet in an .xlsx workbook
+    async readXlsxRows(buffer) {
+        const entries = await this.unzipEntries(buffer);
+        const decoder = new TextDecoder();
+        const parseXml = (name) => entries.has(name) ? new DOMParser().parseFromString(decoder.decode(entries.get(name)), 'application/xml') : null;
+
+        let sheetPath = 'xl/worksheets/sheet1.xml';
+        const workbook = parseXml('xl/workbook.xml');
+        const rels = parseXml('xl/_rels/workbook.xml.rels');
+        const firstSheet = workbook ? workbook.getElementsByTagName('sheet')[0] : null;
+        if (firstSheet && rels) {
+            const relId = firstSheet.getAttribute('r:id');
+            const rel = Array.from(rels.getElementsByTagName('Relationship')).find(r => r.getAttribute('Id') === relId);
+            if (rel) {
+                const target = rel.getAttribute('Target');
+                sheetPath = target.startsWith('/') ? target.slice(1) : 'xl/' + target;
+            }
+        }
+        const sheet = parseXml(sheetPath);
+        if (!sheet) throw new Error('No worksheet found in workbook');
+
+        const sharedStringsXml = parseXml('xl/sharedStrings.xml');
+        const sharedStrings = sharedStringsXml
+            ? Array.from(sharedStringsXml.getElementsByTagName('si')).map(si => Array.from(si.getElementsByTagName('t')).map(t => t.textContent).join(''))
+            : [];
+        const columnIndex = (ref) => {
+            const letters = (ref.match(/^[A-Z]+/) || ['A'])[0];
+            return letters.split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+        };
+
+        return Array.from(sheet.getElementsByTagName('row')).map((rowEl, i) => {
+            const cells = [];
+            Array.from(rowEl.getElementsByTagName('c')).forEach(c => {
+                const type = c.getAttribute('t');
+                const v = c.getElementsByTagName('v')[0];
+                let value = '';
+                if (type === 's') value = sharedStrings[parseInt(v ? v.textContent : '', 10)] ?? '';
+                else if (type === 'inlineStr') value = Array.from(c.getElementsByTagName('t')).map(t => t.textContent).join('');
+                else if (v) value = v.textContent;
+                const ref = c.getAttribute('r');
+                const index = ref ? columnIndex(ref) : cells.length;
+                while (cells.length < index) cells.push('');
+                cells[index] = value;
+            });
+            return { line: parseInt(rowEl.getAttribute('r'), 10) || i + 1, cells };
+        }).filter(l => l.cells.some(c => String(c).trim() !== ''));
+    }
+
+    // --- Spreadsheet writing (.xlsx workbooks, no external libraries) ---
+    // sheets: [{ name, columns: [{ header, width }], rows: [[cell]], totals: [cell] }]
+    // A cell is a string, a number, a Date (written as a date/time cell) or { value, style } where style is
+    // 'time', 'date', 'datetime', 'percent' or 'bold'. Empty cells are null/undefined/''.
+    buildXlsxWorkbook(sheets) {
+        const xmlEscape = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+        const columnName = (index) => {
+            let name = '';
+            for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + (n - 1) % 26) + name;
+            return name;
+        };
+        // Style ids match the cellXfs order in styles.xml below
+        const STYLE_IDS = { header: 1, time: 2, date: 3, datetime: 4, percent: 5, bold: 6 };
+        // Excel stores dates as days since 1899-12-30 in local time
+        const toSerial = (date) => (date.getTime() - date.getTimezoneOffset() * 60000) / 86400000 + 25569;
+        
+        const cellXml = (cell, ref, defaultStyle) => {
+            const spec = cell !== null && typeof cell === 'object' && !(cell instanceof Date) ? cell : { value: cell };
+            let value = spec.value;
+            let style = spec.style || defaultStyle;
+            if (value === null || value === undefined || value === '') return '';
+            if (value instanceof Date) {
+                if (isNaN(value)) return '';
+                style = style && style !== 'bold' ? style : 'datetime';
+                value = toSerial(value);
+            }
+            const s = style ? ` s="${STYLE_IDS[style]}"` : '';
+            if (typeof value === 'number' && isFinite(value)) return `<c r="${ref}"${s}><v>${value}</v></c>`;
+            return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+        };
+        
+        const usedNames = new Set();
+        const sheetNames = sheets.map((sheet, i) => {
+            const base = (String(sheet.name || `Sheet${i + 1}`).replace(/[\[\]:*?\/\\]/g, ' ').trim() || `Sheet${i + 1}`).slice(0, 31);
+            let name = base;
+            for (let n = 2; usedNames.has(name.toLowerCase()); n++) name = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+            usedNames.add(name.toLowerCase());
+            return name;
+        });
+        
+        const sheetXml = (sheet) => {
+            const columns = sheet.columns || [];
+            const rows = [];
+            rows.push(`<row r="1">${columns.map((c, ci) => cellXml({ value: c.header, style: 'header' }, `${columnName(ci)}1`)).join('')}</row>`);
+            (sheet.rows || []).forEach((row, ri) => {
+                const r = ri + 2;
+                rows.push(`<row r="${r}">${row.map((cell, ci) => cellXml(cell, `${columnName(ci)}${r}`)).join('')}</row>`);
             });
+            if (sheet.totals) {
+                const r = (sheet.rows || []).length + 2;
+                rows.push(`<row r="${r}">${sheet.totals.map((cell, ci) => cellXml(cell, `${columnName(ci)}${r}`, 'bold')).join('')}</row>`);
+            }
+            const cols = columns.length
+                ? `<cols>${columns.map((c, ci) => `<col min="${ci + 1}" max="${ci + 1}" width="${c.width || 14}" customWidth="1"/>`).join('')}</cols>`
+                : '';
+            return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+                `${cols}<sheetData>${rows.join('')}</sheetData></worksheet>`;
+        };
+        
+        const files = [
+            ['[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                '</Types>'],
+            ['_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'],
+            ['xl/workbook.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets>${sheetNames.map((name, i) => `<sheet name="${xmlEscape(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>` +
+                '</workbook>'],
+            ['xl/_rels/workbook.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+                `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+                '</Relationships>'],
+            ['xl/styles.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                '<numFmts count="2"><numFmt numFmtId="164" formatCode="h:mm AM/PM"/><numFmt numFmtId="165" formatCode="m/d/yyyy h:mm AM/PM"/></numFmts>' +
+                '<fonts count="3"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><color rgb="FFFFFFFF"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>' +
+                '<fill><patternFill patternType="solid"><fgColor rgb="FF4169E1"/><bgColor indexed="64"/></patternFill></fill></fills>' +
+                '<borders count="2"><border><left/><right/><top/><bottom/><diagonal/></border><border><left/><right/><top style="thin"><color auto="1"/></top><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="7">' +
+                '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+                '<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>' +
+                '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+                '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+                '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+                '<xf numFmtId="9" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+                '<xf numFmtId="0" fontId="2" fillId="0" borderId="1" xfId="0" applyFont="1" applyBorder="1"/>' +
+                '</cellXfs>' +
+                '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+                '</styleSheet>'],
+            ...sheets.map((sheet, i) => [`xl/worksheets/sheet${i + 1}.xml`, sheetXml(sheet)])
+        ];
+        
+        return new Blob([this.buildZip(files)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    }
+
+    // Uncompressed ("stored") zip archive; files: [[path, string content]]
+    buildZip(files) {
+        if (!this.crc32Table) {
+            this.crc32Table = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                this.crc32Table[n] = c >>> 0;
+            }
+        }
+        const crc32 = (bytes) => {
+            let crc = 0xFFFFFFFF;
+            for (let i = 0; i < bytes.length; i++) crc = this.crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+            return (crc ^ 0xFFFFFFFF) >>> 0;
+        };
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+        files.forEach(([path, content]) => {
+            const name = encoder.encode(path);
+            const data = encoder.encode(content);
+            const crc = crc32(data);
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, 0, true); // stored
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
             
-            csvContent += `Total,${checkedInStudents.length}\n\n`;
+            localParts.push(new Uint8Array(local.buffer), name, data);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + data.length;
         });
+        const centralSize = centralParts.reduce((n, part) => n + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
         
-        // Create and download CSV
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `CheckIn_Report_${date.replace(/-/g, '_')}.csv`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const out = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            out.set(part, position);
+            position += part.length;
+        });
+        return out;
     }
 
     // Utility Functions
@@ -2993,6 +9383,17 @@ class BusStudentTracker {
         div.textContent = text;
         return div.innerHTML;
     }
+
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
 }
 
 // Initialize app
@@ -3007,5 +9408,20 @@ document.addEventListener('DOMContentLoaded', () => {
         }).catch(error => {
             console.error('Service Worker registration failed:', error);
         });
+        // Background Sync wakes the service worker, which asks this page to send the outbox (see service-worker.js)
+        navigator.serviceWorker.addEventListener('message', async (event) => {
+            if (!event.data || event.data.type !== 'REPLAY_OUTBOX' || !event.ports[0]) return;
+            let remaining = 0;
+            try {
+                if (app.db) {
+                    await app.flushOutbox(true);
+                    remaining = (await app.getOutboxEntries()).length;
+                }
+            } catch (error) {
+                console.error('Outbox replay failed:', error);
+                remaining = -1;
+            }
+            event.ports[0].postMessage({ remaining });
+        });
     }
 });
@@ -1,6 +1,10 @@
 // Update this version number when you deploy a new version
 const APP_VERSION = '1.0.10';
 const CACHE_NAME = `bus-student-tracker-${APP_VERSION}`;
+// Map tiles are kept across app versions so the GPS replay map works offline. The name changed when tiles
+// moved to CORS requests, so the opaque tiles cached before are deleted on activate
+const TILE_CACHE_NAME = 'bus-student-tracker-tiles-cors';
+const MAX_CACHED_TILES = 300;
 const urlsToCache = [
   './',
   './index.html',
@@ -34,7 +38,7 @@ self.addEventListener('activate', (event) => {
     caches.keys().then((cacheNames) => {
       return Promise.all(
         cacheNames.map((cacheName) => {
-          if (cacheName !== CACHE_NAME) {
+          if (cacheName !== CACHE_NAME && cacheName !== TILE_CACHE_NAME) {
             console.log('Deleting old cache:', cacheName);
             return caches.delete(cacheName);
           }
@@ -61,8 +65,40 @@ function isAppShellRequest(request) {
     url.includes('firebase-config.js');
 }
 
+function isMapTileRequest(request) {
+  return request.url.startsWith('https://tile.openstreetmap.org/');
+}
+
+// Drop the least recently used tiles once the cache is over its limit. A tile is put back when it's
+// used, which moves it to the end of cache.keys()
+function trimTileCache() {
+  return caches.open(TILE_CACHE_NAME).then((cache) => cache.keys().then((keys) => {
+    const excess = keys.length - MAX_CACHED_TILES;
+    return excess > 0 ? Promise.all(keys.slice(0, excess).map((key) => cache.delete(key))) : null;
+  }));
+}
+
 self.addEventListener('fetch', (event) => {
-  if (isAppShellRequest(event.request)) {
+  if (isMapTileRequest(event.request)) {
+    // Cache-first. Tiles are requested with CORS, so only real 200 responses are kept: an opaque response
+    // would count several megabytes against the storage quota however small the tile
+    event.respondWith(
+      caches.open(TILE_CACHE_NAME).then((cache) => cache.match(event.request).then((cached) => {
+        if (cached) {
+          cache.put(event.request, cached.clone()).catch((error) => console.error('Tile cache error:', error));
+          return cached;
+        }
+        return fetch(event.request).then((fetchResponse) => {
+          if (fetchResponse && fetchResponse.status === 200) {
+            cache.put(event.request, fetchResponse.clone())
+              .then(trimTileCache)
+              .catch((error) => console.error('Tile cache error:', error));
+          }
+          return fetchResponse;
+        });
+      }))
+    );
+  } else if (isAppShellRequest(event.request)) {
     event.respondWith(
       fetch(event.request)
         .then((fetchResponse) => {
@@ -103,3 +139,35 @@ self.addEventListener('message', (event) => {
     event.ports[0].postMessage({ version: APP_VERSION });
   }
 });
+
+// Background Sync: the page registers OUTBOX_SYNC_TAG while Firebase writes are waiting in its outbox.
+// The writes need the page's sign-in session and encryption key, so the worker can't send them itself;
+// it asks an open window to do it and fails the sync event if anything is left, so the browser retries later.
+const OUTBOX_SYNC_TAG = 'bus-tracker-outbox';
+// How long to wait for the window to answer before leaving the sync for the browser to retry
+const OUTBOX_REPLY_TIMEOUT_MS = 60000;
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === OUTBOX_SYNC_TAG) {
+    event.waitUntil(replayOutboxInClient());
+  }
+});
+
+async function replayOutboxInClient() {
+  const windows = await self.clients.matchAll({ type: 'window' });
+  if (windows.length === 0) {
+    throw new Error('No open window to send the outbox');
+  }
+  const { remaining } = await new Promise((resolve) => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => resolve({}), OUTBOX_REPLY_TIMEOUT_MS);
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timer);
+      resolve(event.data || {});
+    };
+    windows[0].postMessage({ type: 'REPLAY_OUTBOX' }, [channel.port2]);
+  });
+  if (remaining !== 0) {
+    throw new Error('Outbox not empty');
+  }
+}